@@ -0,0 +1,383 @@
+/**
+ * HiLite - Anchoring
+ * Describes ranges as W3C-style selectors and resolves them back to ranges
+ */
+
+class TextAnchor {
+  constructor(options = {}) {
+    this.root = options.root || document.body;
+    this.highlightSelector = options.highlightSelector || '.web-highlighter-highlight';
+    this.ignoreSelector = options.ignoreSelector || '';
+    this.contextLength = options.contextLength || 32;
+    this.ignoredTags = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'TEMPLATE']);
+  }
+
+  /**
+   * Build a flat index of the page's text nodes and their character offsets
+   */
+  buildIndex() {
+    const walker = document.createTreeWalker(
+      this.root,
+      NodeFilter.SHOW_TEXT,
+      { acceptNode: (node) => this.acceptTextNode(node) },
+      false
+    );
+
+    const nodes = [];
+    let text = '';
+    let node;
+    while ((node = walker.nextNode())) {
+      const start = text.length;
+      text += node.textContent;
+      nodes.push({ node, start, end: text.length });
+    }
+
+    return { text, nodes };
+  }
+
+  /**
+   * Decide whether a text node belongs to the page's readable text
+   */
+  acceptTextNode(node) {
+    const parent = node.parentElement;
+    if (!parent || this.ignoredTags.has(parent.tagName)) {
+      return NodeFilter.FILTER_REJECT;
+    }
+    if (this.ignoreSelector && parent.closest(this.ignoreSelector)) {
+      return NodeFilter.FILTER_REJECT;
+    }
+    return NodeFilter.FILTER_ACCEPT;
+  }
+
+  /**
+   * Describe a range with quote, position and range selectors
+   */
+  describe(range, index = this.buildIndex()) {
+    const start = this.offsetOf(range.startContainer, range.startOffset, index);
+    const end = this.offsetOf(range.endContainer, range.endOffset, index);
+
+    return {
+      quote: {
+        exact: index.text.slice(start, end),
+        prefix: index.text.slice(Math.max(0, start - this.contextLength), start),
+        suffix: index.text.slice(end, end + this.contextLength)
+      },
+      position: { start, end },
+      range: {
+        start: this.describeBoundary(start, index, false),
+        end: this.describeBoundary(end, index, true)
+      }
+    };
+  }
+
+  /**
+   * Resolve stored selectors to a live range, trying the most precise selector first
+   */
+  resolve(selectors, index = this.buildIndex()) {
+    if (!selectors || !selectors.quote || !selectors.quote.exact) {
+      return null;
+    }
+
+    const exact = selectors.quote.exact;
+    const strategies = [
+      () => selectors.range && this.resolveRangeSelector(selectors.range, index),
+      () => selectors.position && this.resolvePositionSelector(selectors.position, index),
+      () => this.resolveQuoteSelector(selectors.quote, selectors.position, index),
+      () => this.resolveFuzzyQuote(selectors.quote, selectors.position, index)
+    ];
+
+    for (const strategy of strategies) {
+      const offsets = strategy();
+      if (offsets && this.matchesQuote(index.text.slice(offsets.start, offsets.end), exact)) {
+        return this.rangeFromOffsets(offsets.start, offsets.end, index);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert a DOM boundary point to a character offset in the text index
+   */
+  offsetOf(container, offset, index) {
+    if (container.nodeType === Node.TEXT_NODE) {
+      const entry = index.nodes.find(e => e.node === container);
+      if (entry) {
+        return entry.start + Math.min(offset, entry.end - entry.start);
+      }
+      // Text node outside the index: treat the boundary as sitting next to it
+      const siblings = Array.from(container.parentNode.childNodes);
+      return this.offsetOf(container.parentNode, siblings.indexOf(container) + (offset > 0 ? 1 : 0), index);
+    }
+
+    const point = document.createRange();
+    point.setStart(container, offset);
+    point.collapse(true);
+
+    const next = index.nodes.find(e => point.comparePoint(e.node, 0) >= 0);
+    return next ? next.start : index.text.length;
+  }
+
+  /**
+   * Describe a text offset as an element path plus an offset within that element's text
+   */
+  describeBoundary(offset, index, isEnd) {
+    const entry = this.entryAt(offset, index, isEnd);
+    if (!entry) {
+      return { path: '', offset };
+    }
+
+    const element = this.closestPageElement(entry.node.parentElement);
+    return {
+      path: this.pathTo(element),
+      offset: offset - this.textStartOf(element, index)
+    };
+  }
+
+  /**
+   * Build an XPath-like path from the root to an element, ignoring our own highlight wrappers
+   */
+  pathTo(element) {
+    const steps = [];
+    let current = element;
+    while (current && current !== this.root) {
+      const tag = current.tagName.toLowerCase();
+      const position = this.pageChildren(current.parentElement)
+        .filter(child => child.tagName === current.tagName)
+        .indexOf(current) + 1;
+      steps.unshift(`${tag}[${position}]`);
+      current = this.closestPageElement(current.parentElement);
+    }
+    return '/' + steps.join('/');
+  }
+
+  /**
+   * Find the element a path points to
+   */
+  elementAt(path) {
+    if (!path) {
+      return null;
+    }
+
+    let current = this.root;
+    const steps = path.split('/').filter(Boolean);
+    for (const step of steps) {
+      const match = step.match(/^([a-z0-9-]+)\[(\d+)\]$/i);
+      if (!match) {
+        return null;
+      }
+      const tag = match[1].toUpperCase();
+      const candidates = this.pageChildren(current).filter(child => child.tagName === tag);
+      current = candidates[parseInt(match[2]) - 1];
+      if (!current) {
+        return null;
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Child elements as the page sees them, looking through our highlight wrappers
+   */
+  pageChildren(parent) {
+    const children = [];
+    Array.from(parent.children).forEach(child => {
+      if (child.matches(this.highlightSelector)) {
+        children.push(...this.pageChildren(child));
+      } else {
+        children.push(child);
+      }
+    });
+    return children;
+  }
+
+  /**
+   * Nearest ancestor (or self) that is not one of our highlight wrappers
+   */
+  closestPageElement(element) {
+    let current = element;
+    while (current && current !== this.root && current.matches(this.highlightSelector)) {
+      current = current.parentElement;
+    }
+    return current || this.root;
+  }
+
+  /**
+   * Offset of the first indexed character inside an element
+   */
+  textStartOf(element, index) {
+    const entry = index.nodes.find(e => element.contains(e.node));
+    return entry ? entry.start : 0;
+  }
+
+  /**
+   * Offset just past the last indexed character inside an element
+   */
+  textEndOf(element, index) {
+    for (let i = index.nodes.length - 1; i >= 0; i--) {
+      if (element.contains(index.nodes[i].node)) {
+        return index.nodes[i].end;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Resolve a range selector (element paths plus relative offsets)
+   */
+  resolveRangeSelector(selector, index) {
+    const startElement = this.elementAt(selector.start && selector.start.path);
+    const endElement = this.elementAt(selector.end && selector.end.path);
+    if (!startElement || !endElement) {
+      return null;
+    }
+
+    const start = this.textStartOf(startElement, index) + selector.start.offset;
+    const end = this.textStartOf(endElement, index) + selector.end.offset;
+    if (start > this.textEndOf(startElement, index) || end > this.textEndOf(endElement, index) || end < start) {
+      return null;
+    }
+    return { start, end };
+  }
+
+  /**
+   * Resolve a text position selector
+   */
+  resolvePositionSelector(selector, index) {
+    if (selector.start < 0 || selector.end > index.text.length || selector.end < selector.start) {
+      return null;
+    }
+    return { start: selector.start, end: selector.end };
+  }
+
+  /**
+   * Resolve a text quote selector, using prefix/suffix context to pick between repeated matches
+   */
+  resolveQuoteSelector(quote, position, index) {
+    const candidates = [];
+    let from = index.text.indexOf(quote.exact);
+    while (from !== -1) {
+      candidates.push({ start: from, end: from + quote.exact.length });
+      from = index.text.indexOf(quote.exact, from + 1);
+    }
+    return this.bestCandidate(candidates, quote, position, index.text);
+  }
+
+  /**
+   * Fall back to a whitespace- and case-insensitive search for the quote
+   */
+  resolveFuzzyQuote(quote, position, index) {
+    const normalized = this.normalizeWithMap(index.text);
+    const needle = this.normalizeWithMap(quote.exact).text.trim();
+    if (!needle) {
+      return null;
+    }
+
+    const candidates = [];
+    let from = normalized.text.indexOf(needle);
+    while (from !== -1) {
+      const last = from + needle.length - 1;
+      candidates.push({ start: normalized.map[from], end: normalized.map[last] + 1 });
+      from = normalized.text.indexOf(needle, from + 1);
+    }
+    return this.bestCandidate(candidates, quote, position, index.text);
+  }
+
+  /**
+   * Score candidates by how well their surroundings match the stored context
+   */
+  bestCandidate(candidates, quote, position, text) {
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    let best = null;
+    let bestScore = -Infinity;
+    candidates.forEach(candidate => {
+      const prefix = text.slice(Math.max(0, candidate.start - this.contextLength), candidate.start);
+      const suffix = text.slice(candidate.end, candidate.end + this.contextLength);
+
+      let score = this.commonSuffixLength(prefix, quote.prefix || '') +
+        this.commonPrefixLength(suffix, quote.suffix || '');
+      if (position) {
+        // Break ties in favour of the match closest to where the highlight used to be
+        score -= Math.abs(candidate.start - position.start) / Math.max(text.length, 1);
+      }
+
+      if (score > bestScore) {
+        bestScore = score;
+        best = candidate;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Collapse whitespace and lowercase text, remembering where each character came from
+   */
+  normalizeWithMap(text) {
+    let normalized = '';
+    const map = [];
+    let previousSpace = false;
+    for (let i = 0; i < text.length; i++) {
+      const isSpace = /\s/.test(text[i]);
+      if (isSpace && previousSpace) {
+        continue;
+      }
+      normalized += isSpace ? ' ' : text[i].toLowerCase();
+      map.push(i);
+      previousSpace = isSpace;
+    }
+    return { text: normalized, map };
+  }
+
+  /**
+   * Compare two quotes, tolerating whitespace and case differences
+   */
+  matchesQuote(found, exact) {
+    if (found === exact) {
+      return true;
+    }
+    return this.normalizeWithMap(found).text.trim() === this.normalizeWithMap(exact).text.trim();
+  }
+
+  commonPrefixLength(a, b) {
+    let i = 0;
+    while (i < a.length && i < b.length && a[i] === b[i]) i++;
+    return i;
+  }
+
+  commonSuffixLength(a, b) {
+    let i = 0;
+    while (i < a.length && i < b.length && a[a.length - 1 - i] === b[b.length - 1 - i]) i++;
+    return i;
+  }
+
+  /**
+   * Find the index entry holding a character offset
+   */
+  entryAt(offset, index, isEnd) {
+    if (isEnd) {
+      return index.nodes.find(e => offset > e.start && offset <= e.end) ||
+        index.nodes.find(e => offset >= e.start && offset <= e.end);
+    }
+    return index.nodes.find(e => offset >= e.start && offset < e.end) ||
+      index.nodes.find(e => offset >= e.start && offset <= e.end);
+  }
+
+  /**
+   * Build a DOM range from character offsets in the text index
+   */
+  rangeFromOffsets(start, end, index) {
+    const startEntry = this.entryAt(start, index, false);
+    const endEntry = this.entryAt(end, index, true);
+    if (!startEntry || !endEntry) {
+      return null;
+    }
+
+    const range = document.createRange();
+    range.setStart(startEntry.node, start - startEntry.start);
+    range.setEnd(endEntry.node, end - endEntry.start);
+    return range;
+  }
+}
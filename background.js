@@ -1,28 +1,46 @@
 
 class BackgroundManager {
   constructor() {
+    // Labels are user-defined per color and stored separately in the colorLabels setting
     this.defaultColors = [
-      '#ffff00', // Yellow
-      '#ff6b6b', // Red
-      '#4ecdc4', // Teal
-      '#45b7d1', // Blue
-      '#96ceb4', // Green
-      '#feca57', // Orange
-      '#ff9ff3', // Pink
-      '#a8e6cf', // Mint
-      '#dda0dd', // Lavender
-      '#f4a460', // Sandy Brown
-      '#98fb98', // Pale Green
-      '#87ceeb', // Sky Blue
-      '#dda0dd', // Plum
-      '#f0e68c', // Khaki
-      '#ffb6c1', // Light Pink
-      '#20b2aa', // Light Sea Green
-      '#87cefa', // Light Sky Blue
-      '#d8bfd8', // Thistle
-      '#f5deb3', // Wheat
-      '#b0e0e6'  // Powder Blue
+      { color: '#ffff00', name: 'Yellow' },
+      { color: '#ff6b6b', name: 'Red' },
+      { color: '#4ecdc4', name: 'Teal' },
+      { color: '#45b7d1', name: 'Blue' },
+      { color: '#96ceb4', name: 'Green' },
+      { color: '#feca57', name: 'Orange' },
+      { color: '#ff9ff3', name: 'Pink' },
+      { color: '#a8e6cf', name: 'Mint' },
+      { color: '#dda0dd', name: 'Lavender' },
+      { color: '#f4a460', name: 'Sandy Brown' },
+      { color: '#98fb98', name: 'Pale Green' },
+      { color: '#87ceeb', name: 'Sky Blue' },
+      { color: '#dda0dd', name: 'Plum' },
+      { color: '#f0e68c', name: 'Khaki' },
+      { color: '#ffb6c1', name: 'Light Pink' },
+      { color: '#20b2aa', name: 'Light Sea Green' },
+      { color: '#87cefa', name: 'Light Sky Blue' },
+      { color: '#d8bfd8', name: 'Thistle' },
+      { color: '#f5deb3', name: 'Wheat' },
+      { color: '#b0e0e6', name: 'Powder Blue' }
     ];
+    // Ways to draw a highlight besides its color; see renderers.js and content.css
+    this.highlightStyles = [
+      { style: 'highlight', name: 'Highlight' },
+      { style: 'underline', name: 'Underline' },
+      { style: 'wavy', name: 'Wavy Underline' },
+      { style: 'strikethrough', name: 'Strikethrough' },
+      { style: 'box', name: 'Outlined Box' },
+      { style: 'bold', name: 'Bold Text' }
+    ];
+    this.store = new HighlightStore();
+    this.migrator = new StorageMigrator(this.store);
+    this.backup = new HighlightBackup();
+    this.sync = new SyncManager(this.store);
+    this.collections = new CollectionManager(this.store);
+    this.trash = new HighlightTrash(this.store);
+    this.usage = new StorageUsage(this.store, this.trash);
+    this.pendingPopupView = null; // see openManager
     this.init();
   }
 
@@ -34,6 +52,12 @@ class BackgroundManager {
     this.setupContextMenu();
     this.setupMessageListener();
     this.setupInstallListener();
+    this.setupLabelListener();
+    this.setupNavigationListener();
+    this.setupCommandListener();
+    this.sync.start();
+    this.collections.start();
+    this.trash.start();
     
     // Test message to confirm script is running
     console.log('Background script setup completed');
@@ -73,11 +97,10 @@ class BackgroundManager {
       });
 
       // Add color submenu items
-      this.defaultColors.forEach((color, index) => {
-        const colorName = this.getColorName(color);
+      this.defaultColors.forEach((entry, index) => {
         browser.contextMenus.create({
           id: `highlight-color-${index}`,
-          title: colorName,
+          title: entry.name,
           contexts: ['selection'],
           parentId: 'highlight-quick-colors'
         }, () => {
@@ -86,6 +109,33 @@ class BackgroundManager {
           }
         });
       });
+      
+      // Show user-defined labels next to the color names
+      this.updateColorMenuTitles();
+
+      // Create submenu for highlighting in another style, with the default color
+      browser.contextMenus.create({
+        id: 'highlight-styles',
+        title: 'Highlight Style',
+        contexts: ['selection']
+      }, () => {
+        if (browser.runtime.lastError) {
+          console.error('Error creating style submenu:', browser.runtime.lastError);
+        }
+      });
+
+      this.highlightStyles.forEach(entry => {
+        browser.contextMenus.create({
+          id: `highlight-style-${entry.style}`,
+          title: entry.name,
+          contexts: ['selection'],
+          parentId: 'highlight-styles'
+        }, () => {
+          if (browser.runtime.lastError) {
+            console.error(`Error creating style menu item ${entry.style}:`, browser.runtime.lastError);
+          }
+        });
+      });
 
       // Handle context menu clicks
       browser.contextMenus.onClicked.addListener((info, tab) => {
@@ -95,8 +145,11 @@ class BackgroundManager {
           this.handleContextMenuHighlight(info, tab);
         } else if (info.menuItemId.startsWith('highlight-color-')) {
           const colorIndex = parseInt(info.menuItemId.split('-').pop());
-          const color = this.defaultColors[colorIndex];
+          const color = this.defaultColors[colorIndex].color;
           this.handleContextMenuHighlight(info, tab, color);
+        } else if (info.menuItemId.startsWith('highlight-style-')) {
+          const style = info.menuItemId.slice('highlight-style-'.length);
+          this.handleContextMenuHighlight(info, tab, null, style);
         }
       });
       
@@ -110,48 +163,211 @@ class BackgroundManager {
    * Get a human-readable name for a color
    */
   getColorName(color) {
-    const colorNames = {
-      '#ffff00': 'Yellow',
-      '#ff6b6b': 'Red',
-      '#4ecdc4': 'Teal',
-      '#45b7d1': 'Blue',
-      '#96ceb4': 'Green',
-      '#feca57': 'Orange',
-      '#ff9ff3': 'Pink',
-      '#a8e6cf': 'Mint',
-      '#dda0dd': 'Lavender',
-      '#f4a460': 'Sandy Brown',
-      '#98fb98': 'Pale Green',
-      '#87ceeb': 'Sky Blue',
-      '#dda0dd': 'Plum',
-      '#f0e68c': 'Khaki',
-      '#ffb6c1': 'Light Pink',
-      '#20b2aa': 'Light Sea Green',
-      '#87cefa': 'Light Sky Blue',
-      '#d8bfd8': 'Thistle',
-      '#f5deb3': 'Wheat',
-      '#b0e0e6': 'Powder Blue'
+    const entry = this.defaultColors.find(c => c.color === color);
+    return entry ? entry.name : color;
+  }
+
+  /**
+   * Get the palette with each color's user-defined label
+   */
+  async getPalette() {
+    const labels = await this.getColorLabels();
+    return this.defaultColors.map(entry => ({
+      color: entry.color,
+      name: entry.name,
+      label: labels[entry.color] || ''
+    }));
+  }
+
+  /**
+   * Search the web for some text with the user's default search engine, in a new tab
+   */
+  async searchText(text) {
+    try {
+      await browser.search.search({ query: text, disposition: 'NEW_TAB' });
+      return { success: true };
+    } catch (error) {
+      console.error('Error searching for text:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the user-defined labels, keyed by color
+   */
+  async getColorLabels() {
+    try {
+      return await this.store.getSetting('colorLabels');
+    } catch (error) {
+      console.error('Error getting color labels:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Set or clear the label for a color
+   */
+  async setColorLabel(color, label) {
+    try {
+      const labels = await this.getColorLabels();
+      const trimmed = (label || '').trim();
+      if (trimmed) {
+        labels[color] = trimmed;
+      } else {
+        delete labels[color];
+      }
+      await this.store.setSettings({ colorLabels: labels });
+      return { success: true };
+    } catch (error) {
+      console.error('Error setting color label:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Keep the color submenu in sync when labels change, and stored page keys
+   * in sync when the URL normalization settings change
+   */
+  setupLabelListener() {
+    browser.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local') {
+        return;
+      }
+      const settings = this.store.settingsChanges(changes);
+      if (settings.colorLabels) {
+        this.updateColorMenuTitles();
+      }
+      if (settings.urlNormalization) {
+        this.migrator.rekeyPages();
+      }
+    });
+  }
+
+  /**
+   * Tell content scripts about client-side navigations (history.pushState/replaceState and
+   * fragment changes), which they can't observe from their isolated world
+   */
+  setupNavigationListener() {
+    const notify = (details) => {
+      // Content scripts only run in the top frame
+      if (details.frameId !== 0) {
+        return;
+      }
+      browser.tabs.sendMessage(details.tabId, { action: 'locationChanged', url: details.url }).catch(() => {
+        console.log(`Tab ${details.tabId} doesn't have content script loaded`);
+      });
     };
-    return colorNames[color] || color;
+    browser.webNavigation.onHistoryStateUpdated.addListener(notify);
+    browser.webNavigation.onReferenceFragmentUpdated.addListener(notify);
+  }
+
+  /**
+   * Handle the keyboard shortcuts declared under "commands" in the manifest.
+   * Users can change the keys in about:addons → Manage Extension Shortcuts.
+   */
+  setupCommandListener() {
+    browser.commands.onCommand.addListener((command) => {
+      console.log('Command received:', command);
+      
+      // The popup can only be opened while the key press still counts as a user action
+      if (command === 'open-manager') {
+        this.openManager();
+        return;
+      }
+      this.handleCommand(command);
+    });
+  }
+
+  /**
+   * Open the popup straight into the highlight manager
+   */
+  openManager() {
+    // openPopup() must run straight from the shortcut, so the popup asks for its view instead of
+    // being pointed at another URL first
+    this.pendingPopupView = 'manager';
+    browser.browserAction.openPopup().catch(error => {
+      this.pendingPopupView = null;
+      console.error('Error opening the highlight manager:', error);
+    });
+  }
+
+  /**
+   * The view the popup should open in, once; null for the usual one
+   */
+  takePopupView() {
+    const view = this.pendingPopupView || null;
+    this.pendingPopupView = null;
+    return view;
+  }
+
+  /**
+   * Forward a keyboard shortcut to the content script of the active tab
+   */
+  async handleCommand(command) {
+    try {
+      const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+      if (!tab || !tab.url || !tab.url.startsWith('http')) {
+        return;
+      }
+      
+      // highlight-color-1 … highlight-color-9 use the first nine palette colors
+      const colorCommand = command.match(/^highlight-color-(\d)$/);
+      if (command === 'highlight-selection' || colorCommand) {
+        const color = colorCommand
+          ? this.defaultColors[parseInt(colorCommand[1]) - 1].color
+          : await this.store.getSetting('defaultHighlightColor');
+        const response = await browser.tabs.sendMessage(tab.id, {
+          action: 'highlightSelection',
+          color: color
+        });
+        if (!response || !response.success) {
+          this.showNotification(response && response.message === 'No text selected' ? 'Select some text to highlight first' : 'Failed to highlight text', 'error');
+        }
+      } else if (command === 'delete-highlight') {
+        await browser.tabs.sendMessage(tab.id, { action: 'deleteHighlightAtCursor' });
+      } else if (command === 'next-highlight' || command === 'previous-highlight') {
+        await browser.tabs.sendMessage(tab.id, {
+          action: 'focusHighlight',
+          direction: command === 'next-highlight' ? 1 : -1
+        });
+      }
+    } catch (error) {
+      console.error(`Error handling command ${command}:`, error);
+    }
+  }
+
+  /**
+   * Refresh the color submenu titles with the current labels
+   */
+  async updateColorMenuTitles() {
+    try {
+      const palette = await this.getPalette();
+      palette.forEach((entry, index) => {
+        const title = entry.label ? `${entry.name} — ${entry.label}` : entry.name;
+        browser.contextMenus.update(`highlight-color-${index}`, { title: title });
+      });
+    } catch (error) {
+      console.error('Error updating color menu titles:', error);
+    }
   }
 
   /**
    * Handle context menu highlight action
    */
-  async handleContextMenuHighlight(info, tab, specificColor = null) {
+  async handleContextMenuHighlight(info, tab, specificColor = null, style = null) {
     try {
       if (info.selectionText && tab.url && tab.url.startsWith('http')) {
         // Get the highlight color
         let color = specificColor;
         if (!color) {
-          const result = await browser.storage.local.get('defaultHighlightColor');
-          color = result.defaultHighlightColor || '#ffff00';
+          color = await this.store.getSetting('defaultHighlightColor');
         }
         
-        // Send message to content script to highlight the selection
+        // Send message to content script to highlight the selection; without a style it uses the default
         const response = await browser.tabs.sendMessage(tab.id, {
           action: 'highlightSelection',
-          color: color
+          color: color,
+          style: style || undefined
         });
         
         if (response && response.success) {
@@ -182,15 +398,81 @@ class BackgroundManager {
         case 'getHighlightStats':
           this.getHighlightStats().then(sendResponse);
           break;
+        case 'cleanupStorage':
+          this.cleanupStorage(message.cleanup, message.days).then(sendResponse);
+          break;
         case 'clearAllData':
           this.clearAllData().then(sendResponse);
           break;
+        case 'previewClear':
+          this.trash.preview(message.filter).then(sendResponse);
+          break;
+        case 'clearHighlights':
+          this.trash.clear(message.filter).then(sendResponse);
+          break;
+        case 'getTrash':
+          this.trash.list().then(sendResponse);
+          break;
+        case 'restoreTrash':
+          this.trash.restore(message.trashId).then(sendResponse);
+          break;
+        case 'deleteTrash':
+          this.trash.remove(message.trashIds).then(sendResponse);
+          break;
         case 'getAvailableColors':
-          sendResponse(this.defaultColors);
+          sendResponse(this.defaultColors.map(entry => entry.color));
+          break;
+        case 'getPalette':
+          this.getPalette().then(sendResponse);
+          break;
+        case 'takePopupView':
+          sendResponse(this.takePopupView());
+          break;
+        case 'setColorLabel':
+          this.setColorLabel(message.color, message.label).then(sendResponse);
+          break;
+        case 'searchText':
+          this.searchText(message.text).then(sendResponse);
           break;
         case 'getColorName':
           sendResponse(this.getColorName(message.color));
           break;
+        case 'openHighlight':
+          this.openHighlight(message.url, message.highlightId).then(sendResponse);
+          break;
+        case 'exportHighlights':
+          this.exportHighlights(message.scope, message.url, message.format).then(sendResponse);
+          break;
+        case 'previewImport':
+          this.previewImport(message.content).then(sendResponse);
+          break;
+        case 'importHighlights':
+          this.importHighlights(message.content, message.strategy).then(sendResponse);
+          break;
+        case 'syncNow':
+          this.sync.syncNow().then(sendResponse);
+          break;
+        case 'getSyncStatus':
+          this.sync.getStatus().then(sendResponse);
+          break;
+        case 'getCollections':
+          this.collections.getStatus().then(sendResponse);
+          break;
+        case 'createCollection':
+          this.collections.createCollection(message.name).then(sendResponse);
+          break;
+        case 'joinCollection':
+          this.collections.joinCollection(message.collectionId).then(sendResponse);
+          break;
+        case 'setCollectionShared':
+          this.collections.setShared(message.collectionId, message.shared).then(sendResponse);
+          break;
+        case 'removeCollection':
+          this.collections.removeCollection(message.collectionId).then(sendResponse);
+          break;
+        case 'syncCollections':
+          this.collections.syncNow().then(sendResponse);
+          break;
       }
       return true; // Keep message channel open for async response
     });
@@ -214,8 +496,8 @@ class BackgroundManager {
    */
   async handleFirstInstall() {
     try {
-      // Set default highlight color
-      await browser.storage.local.set({ defaultHighlightColor: '#ffff00' });
+      // Start out on the current storage schema
+      await this.migrateData();
       
       // Show welcome message
       this.showNotification('HiLite installed! Select text and right-click to highlight.', 'info');
@@ -242,12 +524,15 @@ class BackgroundManager {
   }
 
   /**
-   * Migrate data between versions if needed
+   * Migrate stored data to the current schema; a failed migration leaves storage as it was
    */
   async migrateData(previousVersion) {
-    // Add migration logic here when needed
-    // For now, just log the migration
-    console.log('Data migration completed');
+    const result = await this.migrator.run();
+    if (!result.success) {
+      throw new Error(`Storage migration from ${previousVersion || 'install'} failed: ${result.error}`);
+    }
+    console.log(result.migrated ? `Data migrated to schema ${result.version}` : 'Data already up to date');
+    return result;
   }
 
   /**
@@ -255,8 +540,7 @@ class BackgroundManager {
    */
   async getDefaultColor() {
     try {
-      const result = await browser.storage.local.get('defaultHighlightColor');
-      return result.defaultHighlightColor || '#ffff00';
+      return await this.store.getSetting('defaultHighlightColor');
     } catch (error) {
       console.error('Error getting default color:', error);
       return '#ffff00';
@@ -268,7 +552,7 @@ class BackgroundManager {
    */
   async setDefaultColor(color) {
     try {
-      await browser.storage.local.set({ defaultHighlightColor: color });
+      await this.store.setSettings({ defaultHighlightColor: color });
       return { success: true };
     } catch (error) {
       console.error('Error setting default color:', error);
@@ -277,47 +561,190 @@ class BackgroundManager {
   }
 
   /**
-   * Get statistics about stored highlights
+   * Get statistics about stored highlights, with usage per page and domain and the quotas it counts against
    */
   async getHighlightStats() {
     try {
-      const result = await browser.storage.local.get();
-      const stats = {
-        totalPages: 0,
-        totalHighlights: 0,
-        totalStorageSize: 0
+      return await this.usage.getReport();
+    } catch (error) {
+      console.error('Error getting highlight stats:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Run one of the storage dashboard's cleanup actions
+   */
+  async cleanupStorage(cleanup, days) {
+    switch (cleanup) {
+      case 'olderThan':
+        return this.usage.deleteOlderThan(days);
+      case 'orphaned':
+        return this.usage.deleteOrphaned();
+      case 'duplicates':
+        return this.usage.compactDuplicates();
+      default:
+        return { success: false, error: `Unknown cleanup: ${cleanup}` };
+    }
+  }
+
+  /**
+   * Move every highlight to the trash; settings, sync, collections and teammates' highlights stay
+   */
+  async clearAllData() {
+    return this.trash.clear({});
+  }
+
+  /**
+   * Open or focus the tab for a page and reveal one of its highlights.
+   * Runs here rather than in the popup, which closes as soon as another tab takes focus.
+   */
+  async openHighlight(url, highlightId) {
+    try {
+      // Stored keys are normalized, so match open tabs by their normalized URL too
+      const urls = new UrlNormalizer(await this.store.getSetting('urlNormalization'));
+      const tabs = await browser.tabs.query({});
+      let tab = tabs.find(t => t.url === url) || tabs.find(t => t.url && urls.normalize(t.url) === url);
+      
+      if (tab) {
+        await browser.tabs.update(tab.id, { active: true });
+        await browser.windows.update(tab.windowId, { focused: true });
+      } else {
+        tab = await browser.tabs.create({ url: url });
+      }
+      
+      await this.waitForTabComplete(tab.id);
+      const response = await browser.tabs.sendMessage(tab.id, {
+        action: 'revealHighlight',
+        highlightId: highlightId
+      });
+      
+      if (!response || !response.anchored) {
+        console.log(`Highlight ${highlightId} could not be anchored on ${url}`);
+      }
+      return response;
+    } catch (error) {
+      console.error('Error opening highlight:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Resolve once a tab has finished loading
+   */
+  waitForTabComplete(tabId, timeout = 15000) {
+    return new Promise((resolve) => {
+      const done = () => {
+        browser.tabs.onUpdated.removeListener(listener);
+        clearTimeout(timer);
+        resolve();
+      };
+      const listener = (updatedTabId, changeInfo) => {
+        if (updatedTabId === tabId && changeInfo.status === 'complete') {
+          done();
+        }
       };
+      const timer = setTimeout(done, timeout);
       
-      Object.keys(result).forEach(key => {
-        if (key !== 'defaultHighlightColor') {
-          stats.totalPages++;
-          if (Array.isArray(result[key])) {
-            stats.totalHighlights += result[key].length;
-          }
+      browser.tabs.onUpdated.addListener(listener);
+      browser.tabs.get(tabId).then(tab => {
+        if (tab.status === 'complete') {
+          done();
         }
+      }).catch(done);
+    });
+  }
+
+  /**
+   * Get every page's highlight records, keyed by URL
+   */
+  async getAllPages() {
+    return this.store.getAllPages();
+  }
+
+  /**
+   * Export highlights for one page, one domain or everything, and download the file
+   */
+  async exportHighlights(scope, url, format) {
+    try {
+      const pages = await this.getAllPages();
+      const domain = scope === 'domain' ? new URL(url).hostname : null;
+      
+      const selected = {};
+      Object.entries(pages).forEach(([pageUrl, highlights]) => {
+        if (scope === 'all' ||
+            (scope === 'page' && pageUrl === url) ||
+            (scope === 'domain' && new URL(pageUrl).hostname === domain)) {
+          selected[pageUrl] = highlights;
+        }
+      });
+      
+      if (Object.keys(selected).length === 0) {
+        return { success: false, error: 'No highlights to export' };
+      }
+      
+      const colorLabels = await this.getColorLabels();
+      const content = this.backup.serialize(format, selected, colorLabels);
+      const { extension, mimeType } = this.backup.formats[format];
+      
+      const label = scope === 'all' ? 'all' : (domain || new URL(url).hostname).replace(/^www\./, '');
+      const date = new Date().toISOString().slice(0, 10);
+      const objectUrl = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+      
+      await browser.downloads.download({
+        url: objectUrl,
+        filename: `hilite-${label}-${date}.${extension}`,
+        saveAs: true
       });
       
-      // Estimate storage size (rough calculation)
-      stats.totalStorageSize = JSON.stringify(result).length;
+      // Give the download time to read the blob before releasing it
+      setTimeout(() => URL.revokeObjectURL(objectUrl), 60000);
       
-      return stats;
+      return { success: true, pages: Object.keys(selected).length, highlights: this.backup.countHighlights(selected) };
     } catch (error) {
-      console.error('Error getting highlight stats:', error);
-      return { error: error.message };
+      console.error('Error exporting highlights:', error);
+      return { success: false, error: error.message };
     }
   }
 
- 
-  async clearAllData() {
+  /**
+   * Validate a JSON export and describe what importing it would change
+   */
+  async previewImport(content) {
     try {
-      await browser.storage.local.clear();
+      const incoming = this.backup.parse(content, new UrlNormalizer(await this.store.getSetting('urlNormalization')));
+      const existing = await this.getAllPages();
+      return { success: true, preview: this.backup.preview(incoming, existing) };
+    } catch (error) {
+      console.error('Error previewing import:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Merge a JSON export into storage, resolving id conflicts with the chosen strategy.
+   * Existing color labels win; the export only fills in colors that have none.
+   */
+  async importHighlights(content, strategy = 'skip') {
+    try {
+      const incoming = this.backup.parse(content, new UrlNormalizer(await this.store.getSetting('urlNormalization')));
+      const existing = await this.getAllPages();
+      const { pages, counts } = this.backup.merge(incoming, existing, strategy);
       
-      // Reset default color
-      await browser.storage.local.set({ defaultHighlightColor: '#ffff00' });
+      const colorLabels = await this.getColorLabels();
+      const mergedLabels = Object.assign({}, incoming.colorLabels, colorLabels);
       
-      return { success: true };
+      if (Object.keys(pages).length > 0) {
+        await this.store.savePages(pages);
+      }
+      if (Object.keys(mergedLabels).length !== Object.keys(colorLabels).length) {
+        await this.store.setSettings({ colorLabels: mergedLabels });
+      }
+      
+      console.log('Imported highlights:', counts);
+      return { success: true, counts: counts, pages: Object.keys(pages).length };
     } catch (error) {
-      console.error('Error clearing all data:', error);
+      console.error('Error importing highlights:', error);
       return { success: false, error: error.message };
     }
   }
@@ -0,0 +1,330 @@
+/**
+ * HiLite - Backup
+ * Turns stored highlight records into Markdown, CSV, HTML and lossless JSON exports,
+ * and reads JSON exports back in for merging
+ */
+
+class HighlightBackup {
+  constructor() {
+    this.format = 'hilite-export';
+    this.version = 1;
+    this.markdown = new MarkdownRenderer();
+    this.formats = {
+      markdown: { extension: 'md', mimeType: 'text/markdown' },
+      json: { extension: 'json', mimeType: 'application/json' },
+      csv: { extension: 'csv', mimeType: 'text/csv' },
+      html: { extension: 'html', mimeType: 'text/html' }
+    };
+  }
+
+  /**
+   * Serialize pages of highlights in one of the supported formats
+   */
+  serialize(format, pages, colorLabels = {}) {
+    switch (format) {
+      case 'markdown':
+        return this.toMarkdown(pages, colorLabels);
+      case 'json':
+        return this.toJSON(pages, colorLabels);
+      case 'csv':
+        return this.toCSV(pages, colorLabels);
+      case 'html':
+        return this.toHTML(pages, colorLabels);
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+
+  /**
+   * Lossless export: the stored records exactly as saved, plus color labels
+   */
+  toJSON(pages, colorLabels) {
+    return JSON.stringify({
+      format: this.format,
+      version: this.version,
+      exportedAt: new Date().toISOString(),
+      colorLabels: colorLabels,
+      pages: pages
+    }, null, 2);
+  }
+
+  /**
+   * Markdown grouped by page, with titles, links, labels, tags and notes
+   */
+  toMarkdown(pages, colorLabels) {
+    const lines = [
+      '# HiLite Highlights',
+      '',
+      `Exported ${new Date().toLocaleString()} · ${this.countHighlights(pages)} highlights from ${Object.keys(pages).length} pages`,
+      ''
+    ];
+
+    Object.entries(pages).forEach(([url, highlights]) => {
+      lines.push(`## [${this.pageTitle(url, highlights).replace(/[[\]]/g, '\\$&')}](${url})`, '');
+
+      highlights.forEach(highlight => {
+        (highlight.text || '').split(/\r?\n/).forEach(line => lines.push(`> ${line}`));
+
+        const meta = [colorLabels[highlight.color], ...(highlight.tags || []).map(tag => `#${tag}`)].filter(Boolean);
+        if (meta.length > 0) {
+          lines.push('', `*${meta.join(' · ')}*`);
+        }
+        if (highlight.note) {
+          lines.push('', highlight.note);
+        }
+        lines.push('');
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * One row per highlight
+   */
+  toCSV(pages, colorLabels) {
+    const header = ['url', 'title', 'id', 'text', 'note', 'color', 'label', 'tags', 'created', 'updated'];
+    const rows = [header];
+
+    Object.entries(pages).forEach(([url, highlights]) => {
+      const title = this.pageTitle(url, highlights);
+      highlights.forEach(highlight => {
+        rows.push([
+          url,
+          title,
+          highlight.id,
+          highlight.text || '',
+          highlight.note || '',
+          highlight.color || '',
+          colorLabels[highlight.color] || '',
+          (highlight.tags || []).join(', '),
+          this.formatDate(highlight.timestamp),
+          this.formatDate(highlight.updatedAt)
+        ]);
+      });
+    });
+
+    return rows.map(row => row.map(value => this.csvCell(value)).join(',')).join('\r\n');
+  }
+
+  /**
+   * A standalone HTML report that opens in any browser
+   */
+  toHTML(pages, colorLabels) {
+    const escape = (text) => this.markdown.escapeHtml(text || '');
+    const sections = Object.entries(pages).map(([url, highlights]) => `
+  <section>
+    <h2><a href="${escape(url)}">${escape(this.pageTitle(url, highlights))}</a></h2>
+    <p class="url">${escape(url)}</p>
+    ${highlights.map(highlight => {
+      const meta = [colorLabels[highlight.color], ...(highlight.tags || []).map(tag => `#${tag}`)].filter(Boolean);
+      return `
+    <article style="border-left-color: ${escape(highlight.color)}">
+      <blockquote><mark style="background-color: ${escape(highlight.color)}">${escape(highlight.text)}</mark></blockquote>
+      ${meta.length > 0 ? `<p class="meta">${escape(meta.join(' · '))}</p>` : ''}
+      ${highlight.note ? `<div class="note">${this.markdown.render(highlight.note)}</div>` : ''}
+      <p class="date">${escape(this.formatDate(highlight.timestamp))}</p>
+    </article>`;
+    }).join('')}
+  </section>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>HiLite Highlights</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 800px; margin: 40px auto; padding: 0 20px; color: #333; line-height: 1.5; }
+    h1 { color: #2c3e50; }
+    h2 { font-size: 18px; margin-bottom: 0; }
+    h2 a { color: #2c3e50; }
+    .url, .date { color: #6c757d; font-size: 12px; word-break: break-all; }
+    article { border-left: 4px solid #ccc; padding: 4px 12px; margin: 12px 0; background: #f8f9fa; }
+    blockquote { margin: 8px 0; }
+    mark { color: inherit; }
+    .meta { font-size: 12px; font-weight: 600; color: #495057; }
+    .note { border-top: 1px solid #e9ecef; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <h1>HiLite Highlights</h1>
+  <p>Exported ${escape(new Date().toLocaleString())} · ${this.countHighlights(pages)} highlights from ${Object.keys(pages).length} pages</p>
+  ${sections}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Parse and validate a JSON export, dropping records that can't be restored. Pages move to
+   * the keys urls (a UrlNormalizer with the user's settings) gives them, as restoring looks them
+   * up there; pages that end up on the same key are merged without duplicating ids.
+   */
+  parse(text, urls) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON');
+    }
+
+    if (!data || data.format !== this.format) {
+      throw new Error('The file is not a HiLite JSON export');
+    }
+    if (!Number.isInteger(data.version) || data.version > this.version) {
+      throw new Error(`Unsupported export version: ${data.version}`);
+    }
+    if (!data.pages || typeof data.pages !== 'object' || Array.isArray(data.pages)) {
+      throw new Error('The export contains no pages');
+    }
+
+    const pages = {};
+    let invalid = 0;
+    Object.entries(data.pages).forEach(([exportedUrl, highlights]) => {
+      if (!/^https?:\/\//.test(exportedUrl) || !Array.isArray(highlights)) {
+        invalid += Array.isArray(highlights) ? highlights.length : 1;
+        return;
+      }
+      const valid = highlights.filter(highlight => this.isValidRecord(highlight));
+      invalid += highlights.length - valid.length;
+      if (valid.length === 0) {
+        return;
+      }
+
+      const url = urls.normalize(exportedUrl);
+      const merged = pages[url] || [];
+      const ids = new Set(merged.map(highlight => highlight.id));
+      valid.forEach(highlight => {
+        if (!ids.has(highlight.id)) {
+          ids.add(highlight.id);
+          merged.push(Object.assign({}, highlight, { url: url }));
+        }
+      });
+      pages[url] = merged;
+    });
+
+    const colorLabels = {};
+    Object.entries(data.colorLabels || {}).forEach(([color, label]) => {
+      if (this.isValidColor(color) && typeof label === 'string' && label.trim()) {
+        colorLabels[color] = label.trim();
+      }
+    });
+
+    return { pages, colorLabels, invalid, exportedAt: data.exportedAt || null };
+  }
+
+  /**
+   * Check that a record has everything needed to restore it
+   */
+  isValidRecord(highlight) {
+    return !!highlight && typeof highlight === 'object' &&
+      typeof highlight.id === 'string' && highlight.id !== '' &&
+      typeof highlight.text === 'string' && highlight.text !== '' &&
+      this.isValidColor(highlight.color) &&
+      (highlight.tags === undefined || Array.isArray(highlight.tags));
+  }
+
+  /**
+   * Colors are hex codes, as the palette and the color picker give them; anything else would
+   * end up in inline styles and the popup's markup
+   */
+  isValidColor(color) {
+    return typeof color === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(color);
+  }
+
+  /**
+   * Summarize what an import would do: totals, and incoming ids that already exist on the same page
+   */
+  preview(incoming, existing) {
+    let conflicts = 0;
+    let newPages = 0;
+    Object.entries(incoming.pages).forEach(([url, highlights]) => {
+      const ids = new Set((existing[url] || []).map(highlight => highlight.id));
+      if (ids.size === 0) {
+        newPages++;
+      }
+      conflicts += highlights.filter(highlight => ids.has(highlight.id)).length;
+    });
+
+    return {
+      pages: Object.keys(incoming.pages).length,
+      highlights: this.countHighlights(incoming.pages),
+      newPages: newPages,
+      conflicts: conflicts,
+      invalid: incoming.invalid,
+      labels: Object.keys(incoming.colorLabels).length,
+      exportedAt: incoming.exportedAt
+    };
+  }
+
+  /**
+   * Merge incoming pages into existing ones. On an id conflict the incoming record is
+   * skipped, overwrites the stored one, or is added as a copy with a fresh id.
+   * Returns only the pages that changed.
+   */
+  merge(incoming, existing, strategy = 'skip') {
+    const changed = {};
+    const counts = { added: 0, overwritten: 0, skipped: 0, duplicated: 0 };
+    let copies = 0;
+
+    Object.entries(incoming.pages).forEach(([url, highlights]) => {
+      const merged = (existing[url] || []).slice();
+      const indexById = new Map(merged.map((highlight, index) => [highlight.id, index]));
+      let pageChanged = false;
+
+      highlights.forEach(highlight => {
+        if (!indexById.has(highlight.id)) {
+          indexById.set(highlight.id, merged.length);
+          merged.push(highlight);
+          counts.added++;
+          pageChanged = true;
+        } else if (strategy === 'overwrite') {
+          merged[indexById.get(highlight.id)] = highlight;
+          counts.overwritten++;
+          pageChanged = true;
+        } else if (strategy === 'duplicate') {
+          const id = `highlight-${Date.now()}-import-${++copies}`;
+          indexById.set(id, merged.length);
+          merged.push(Object.assign({}, highlight, { id: id }));
+          counts.duplicated++;
+          pageChanged = true;
+        } else {
+          counts.skipped++;
+        }
+      });
+
+      if (pageChanged) {
+        changed[url] = merged;
+      }
+    });
+
+    return { pages: changed, counts };
+  }
+
+  /**
+   * Best available title for a page
+   */
+  pageTitle(url, highlights) {
+    const withTitle = highlights.find(highlight => highlight.title);
+    return withTitle ? withTitle.title : url;
+  }
+
+  countHighlights(pages) {
+    return Object.values(pages).reduce((sum, highlights) => sum + highlights.length, 0);
+  }
+
+  formatDate(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : '';
+  }
+
+  /**
+   * Quote a CSV value, defusing spreadsheet formulas
+   */
+  csvCell(value) {
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+}
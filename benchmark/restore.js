@@ -0,0 +1,223 @@
+/**
+ * HiLite - Restore Benchmark
+ * Builds a long article with stored highlights and measures how the content script restores them
+ */
+
+const benchmark = {
+  params: new URLSearchParams(window.location.search),
+  data: {},
+  listeners: [],
+  metrics: {
+    storageReads: 0,
+    storageWrites: 0,
+    settleTime: null,
+    drawn: 0,
+    duplicates: 0,
+    eventRestores: null,
+    dynamicContentReads: null,
+    rerenderRecovered: null
+  },
+
+  /**
+   * Fill the page and storage, then install the browser API stand-in before content.js loads
+   */
+  setup() {
+    const paragraphs = parseInt(this.params.get('paragraphs'), 10) || 2000;
+    const highlights = parseInt(this.params.get('highlights'), 10) || 300;
+    const words = ['anchor', 'render', 'idle', 'callback', 'selector', 'restore', 'article', 'paragraph', 'reader', 'margin'];
+
+    const article = document.getElementById('article');
+    for (let i = 0; i < paragraphs; i++) {
+      const p = document.createElement('p');
+      const sentence = Array.from({ length: 40 }, (_, j) => words[(i * 7 + j * 3) % words.length]).join(' ');
+      p.textContent = `Paragraph ${i}: ${sentence}.`;
+      article.appendChild(p);
+    }
+
+    // Highlight the "Paragraph N:" label of evenly spaced paragraphs
+    const anchoring = new TextAnchor({ highlightSelector: '.web-highlighter-highlight' });
+    const records = [];
+    const step = Math.max(1, Math.floor(paragraphs / highlights));
+    for (let i = 0; i < paragraphs && records.length < highlights; i += step) {
+      const text = article.children[i].firstChild;
+      const range = document.createRange();
+      range.setStart(text, 0);
+      range.setEnd(text, text.textContent.indexOf(':') + 1);
+      records.push({
+        id: `bench-${i}`,
+        text: range.toString(),
+        color: '#ffff00',
+        url: window.location.href,
+        anchor: anchoring.describe(range),
+        timestamp: Date.now()
+      });
+    }
+
+    const store = new HighlightStore({});
+    const url = new UrlNormalizer().normalize(window.location.href);
+    this.data[store.pageKey(url)] = records;
+    this.data[store.settingsKey] = { highlightRenderer: this.params.get('renderer') || 'spans' };
+    this.expected = records.length;
+    this.installBrowserStub();
+  },
+
+  /**
+   * Minimal in-memory browser.storage and browser.runtime for the content script
+   */
+  installBrowserStub() {
+    const clone = (value) => JSON.parse(JSON.stringify(value));
+    window.browser = {
+      storage: {
+        local: {
+          get: async (keys) => {
+            this.metrics.storageReads++;
+            if (keys === undefined || keys === null) {
+              return clone(this.data);
+            }
+            const result = {};
+            (Array.isArray(keys) ? keys : [keys]).forEach(key => {
+              if (key in this.data) {
+                result[key] = clone(this.data[key]);
+              }
+            });
+            return result;
+          },
+          set: async (items) => {
+            this.metrics.storageWrites++;
+            const changes = {};
+            Object.entries(items).forEach(([key, value]) => {
+              changes[key] = { oldValue: this.data[key], newValue: clone(value) };
+              this.data[key] = clone(value);
+            });
+            this.listeners.forEach(listener => listener(changes, 'local'));
+          },
+          remove: async (keys) => {
+            (Array.isArray(keys) ? keys : [keys]).forEach(key => delete this.data[key]);
+          }
+        },
+        onChanged: { addListener: (listener) => this.listeners.push(listener) }
+      },
+      runtime: {
+        onMessage: { addListener: () => {} },
+        sendMessage: async () => ({})
+      }
+    };
+  },
+
+  /**
+   * Count drawn highlights until all have been restored
+   */
+  start() {
+    const started = this.startedAt;
+    const check = () => {
+      this.count();
+      if (this.metrics.drawn >= this.expected) {
+        this.metrics.settleTime = `${Math.round(performance.now() - started)} ms`;
+        this.report();
+        return;
+      }
+      if (performance.now() - started > 30000) {
+        this.metrics.settleTime = `gave up after 30 s (${this.metrics.drawn}/${this.expected})`;
+        this.report();
+        return;
+      }
+      requestAnimationFrame(check);
+    };
+    requestAnimationFrame(check);
+
+    document.getElementById('addContent').addEventListener('click', () => this.addContent());
+    document.getElementById('fireEvents').addEventListener('click', () => this.fireEvents());
+    document.getElementById('rerender').addEventListener('click', () => this.rerender());
+  },
+
+  /**
+   * Count distinct drawn highlights, and highlight elements nested in one with the same id
+   */
+  count() {
+    const elements = document.querySelectorAll('#article .web-highlighter-highlight');
+    if (this.params.get('renderer') === 'highlight-api') {
+      this.metrics.drawn = Array.from(CSS.highlights.entries())
+        .filter(([name]) => name.startsWith('hilite-') && name !== 'hilite-flash')
+        .reduce((sum, [, group]) => sum + group.size, 0);
+    } else {
+      this.metrics.drawn = new Set(Array.from(elements).map(element => element.dataset.highlightId)).size;
+    }
+    this.metrics.duplicates = Array.from(elements).filter(element => {
+      const outer = element.parentElement.closest('.web-highlighter-highlight');
+      return outer && outer.dataset.highlightId === element.dataset.highlightId;
+    }).length;
+  },
+
+  /**
+   * Simulate an infinite-scroll page appending content in bursts
+   */
+  async addContent() {
+    const reads = this.metrics.storageReads;
+    const article = document.getElementById('article');
+    for (let batch = 0; batch < 50; batch++) {
+      for (let i = 0; i < 10; i++) {
+        const p = document.createElement('p');
+        p.textContent = `Appended ${batch}.${i}: more text arriving later.`;
+        article.appendChild(p);
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    this.metrics.dynamicContentReads = this.metrics.storageReads - reads;
+    this.count();
+    this.report();
+  },
+
+  /**
+   * Events that used to trigger a full restore each
+   */
+  async fireEvents() {
+    const reads = this.metrics.storageReads;
+    for (let i = 0; i < 10; i++) {
+      window.dispatchEvent(new Event('focus'));
+      document.dispatchEvent(new Event('visibilitychange'));
+      window.dispatchEvent(new Event('load'));
+    }
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    this.metrics.eventRestores = `${this.metrics.storageReads - reads} storage reads`;
+    this.count();
+    this.report();
+  },
+
+  /**
+   * Replace highlighted paragraphs the way a framework re-render would, dropping our elements
+   */
+  async rerender() {
+    const article = document.getElementById('article');
+    const targets = Array.from(article.querySelectorAll('.web-highlighter-highlight'))
+      .map(element => element.closest('p'))
+      .slice(0, 20);
+    targets.forEach(p => {
+      p.textContent = p.textContent;
+    });
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    this.count();
+    this.metrics.rerenderRecovered = `${this.metrics.drawn}/${this.expected} drawn`;
+    this.report();
+  },
+
+  report() {
+    const labels = {
+      storageReads: 'Storage reads',
+      storageWrites: 'Storage writes',
+      settleTime: 'Time until every highlight is drawn',
+      drawn: 'Highlights drawn',
+      duplicates: 'Duplicated highlight elements',
+      eventRestores: 'Focus/visibility/load ×10',
+      dynamicContentReads: 'Storage reads while appending',
+      rerenderRecovered: 'After re-render'
+    };
+    document.getElementById('metrics').innerHTML = Object.entries(labels)
+      .filter(([key]) => this.metrics[key] !== null)
+      .map(([key, label]) => `<tr><td>${label}</td><td>${this.metrics[key]}</td></tr>`)
+      .join('');
+  }
+};
+
+benchmark.startedAt = performance.now();
+benchmark.setup();
@@ -24,6 +24,9 @@ zip -r web-highlighter.xpi . \
     -x "package-lock.json" \
     -x "build.sh" \
     -x "test.html" \
+    -x "benchmark/*" \
+    -x "tools/*" \
+    -x "test/*" \
     -x "*.log"
 
 # Check if the XPI was created successfully
@@ -0,0 +1,462 @@
+/**
+ * HiLite - Team Collections
+ * Collections group highlights from many pages; a highlight lists the collections it is in under
+ * `collections`. A shared collection is kept on a self-hosted REST endpoint as one JSON document:
+ *   GET/PUT <endpoint>/collections/<id>
+ *   { format, version, id, name, members: authorId -> { name, color, updatedAt, highlights } }
+ * Each browser only rewrites its own member entry, and writes are conditional on the document's
+ * ETag, so teammates publishing at the same time don't overwrite each other. Teammates' highlights
+ * are stored under shared:<url>, where the content script draws them read-only in their color.
+ */
+
+class CollectionManager {
+  constructor(store) {
+    this.store = store;
+    this.format = 'hilite-collection';
+    this.version = 1;
+    this.interval = 5 * 60 * 1000;  // pick up teammates' changes
+    this.changeDelay = 10 * 1000;   // gather a burst of local changes into one publish
+    this.startupDelay = 15 * 1000;  // leave time for migrations after an update
+    this.maxAttempts = 3;
+    this.intervalTimer = null;
+    this.changeTimer = null;
+    this.running = null;
+  }
+
+  /**
+   * Publish and pull shared collections in the background from now on, if a server is configured
+   */
+  start() {
+    browser.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local') {
+        return;
+      }
+      const settings = this.store.settingsChanges(changes);
+      if (settings.sharing) {
+        this.reschedule(settings.sharing);
+      } else if (Object.keys(changes).some(key => this.store.isPageKey(key))) {
+        this.scheduleSoon();
+      }
+    });
+
+    this.getConfig().then(config => {
+      this.reschedule(config, this.startupDelay);
+    });
+  }
+
+  /**
+   * The sharing settings, giving this browser a stable author id the first time
+   */
+  async getConfig() {
+    const config = Object.assign({}, this.store.defaultSettings.sharing, await this.store.getSetting('sharing'));
+    if (!config.authorId) {
+      config.authorId = crypto.randomUUID();
+      await this.store.setSettings({ sharing: config });
+    }
+    return config;
+  }
+
+  /**
+   * Restart the periodic publishing for a configuration, running first after the given delay
+   */
+  reschedule(config, delay = 0) {
+    clearInterval(this.intervalTimer);
+    clearTimeout(this.changeTimer);
+    this.intervalTimer = null;
+    if (!config || !config.endpoint) {
+      return;
+    }
+    this.intervalTimer = setInterval(() => this.syncNow(), this.interval);
+    this.changeTimer = setTimeout(() => this.syncNow(), delay);
+  }
+
+  scheduleSoon() {
+    if (!this.intervalTimer) {
+      return;
+    }
+    clearTimeout(this.changeTimer);
+    this.changeTimer = setTimeout(() => this.syncNow(), this.changeDelay);
+  }
+
+  /**
+   * Client for one collection's document on the sharing server
+   */
+  createBackend(config, collectionId) {
+    if (!/^https?:\/\//i.test(config.endpoint || '')) {
+      throw new Error('Enter the http:// or https:// address of the sharing server');
+    }
+    return new HttpSyncBackend({
+      url: `${config.endpoint.replace(/\/+$/, '')}/collections/${encodeURIComponent(collectionId)}`,
+      token: config.token,
+      serverName: 'sharing server'
+    });
+  }
+
+  /**
+   * Start a new collection, private until it is shared
+   */
+  async createCollection(name) {
+    try {
+      const trimmed = (name || '').trim();
+      if (!trimmed) {
+        return { success: false, error: 'Give the collection a name' };
+      }
+      const collection = { id: crypto.randomUUID(), name: trimmed, shared: false, createdAt: Date.now() };
+      const collections = await this.store.getCollections();
+      collections.push(collection);
+      await this.store.saveCollections(collections);
+      return { success: true, collection: collection };
+    } catch (error) {
+      console.error('Error creating collection:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Join a teammate's shared collection by its id
+   */
+  async joinCollection(collectionId) {
+    try {
+      const id = (collectionId || '').trim();
+      if (!/^[\w-]{1,64}$/.test(id)) {
+        return { success: false, error: 'That doesn\'t look like a collection ID' };
+      }
+      const collections = await this.store.getCollections();
+      if (collections.some(collection => collection.id === id)) {
+        return { success: false, error: 'You already have this collection' };
+      }
+
+      const remote = await this.createBackend(await this.getConfig(), id).pull();
+      if (!remote.document) {
+        return { success: false, error: 'There is no collection with this ID on the sharing server' };
+      }
+      const document = this.validate(remote.document, id);
+
+      const collection = { id: id, name: document.name, shared: true, createdAt: Date.now() };
+      collections.push(collection);
+      await this.store.saveCollections(collections);
+      await this.syncNow();
+      return { success: true, collection: collection };
+    } catch (error) {
+      console.error('Error joining collection:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Start or stop sharing a collection. Stopping takes this browser's highlights off the server
+   * and teammates' highlights off the page.
+   */
+  async setShared(collectionId, shared) {
+    try {
+      const config = await this.getConfig();
+      if (shared && !config.endpoint) {
+        return { success: false, error: 'Enter the address of the sharing server first' };
+      }
+      await this.updateCollection(collectionId, { shared: shared, lastError: null });
+      if (!shared && config.endpoint) {
+        await this.withdraw(config, collectionId);
+      }
+      const result = await this.syncNow();
+      return { success: true, errors: result.errors || [] };
+    } catch (error) {
+      console.error('Error changing collection sharing:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete a collection. Its highlights stay, they just aren't in it any more.
+   */
+  async removeCollection(collectionId) {
+    try {
+      const collections = await this.store.getCollections();
+      const collection = collections.find(entry => entry.id === collectionId);
+      if (!collection) {
+        return { success: false, error: 'Collection not found' };
+      }
+
+      const config = await this.getConfig();
+      if (collection.shared && config.endpoint) {
+        await this.withdraw(config, collectionId);
+      }
+      await this.store.saveCollections(collections.filter(entry => entry.id !== collectionId));
+
+      const pages = await this.store.getAllPages();
+      const changed = {};
+      const now = Date.now();
+      Object.entries(pages).forEach(([url, highlights]) => {
+        highlights.forEach(highlight => {
+          if ((highlight.collections || []).includes(collectionId)) {
+            highlight.collections = highlight.collections.filter(id => id !== collectionId);
+            highlight.updatedAt = now;
+            changed[url] = highlights;
+          }
+        });
+      });
+      if (Object.keys(changed).length > 0) {
+        await this.store.savePages(changed);
+      }
+
+      await this.syncNow();
+      return { success: true };
+    } catch (error) {
+      console.error('Error removing collection:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Change some fields of a stored collection
+   */
+  async updateCollection(collectionId, changes) {
+    const collections = await this.store.getCollections();
+    const collection = collections.find(entry => entry.id === collectionId);
+    if (!collection) {
+      throw new Error('Collection not found');
+    }
+    Object.assign(collection, changes);
+    await this.store.saveCollections(collections);
+    return collection;
+  }
+
+  /**
+   * Publish and pull now, or wait for the run already going
+   */
+  syncNow() {
+    if (!this.running) {
+      this.running = this.runSync().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  /**
+   * Publish this browser's highlights to every shared collection and store teammates' highlights
+   */
+  async runSync() {
+    try {
+      const config = await this.getConfig();
+      const collections = (await this.store.getCollections()).filter(collection => collection.shared);
+      if (collections.length > 0 && !config.endpoint) {
+        return { success: false, message: 'Enter the address of the sharing server first' };
+      }
+
+      const pages = await this.store.getAllPages();
+      const documents = [];
+      const failed = new Set();
+      const errors = [];
+      for (const collection of collections) {
+        try {
+          const document = await this.syncCollection(config, collection, pages);
+          documents.push(document);
+          await this.updateCollection(collection.id, { name: document.name, lastSync: Date.now(), lastError: null });
+        } catch (error) {
+          console.error(`Error syncing collection ${collection.name}:`, error);
+          failed.add(collection.id);
+          errors.push(`${collection.name}: ${error.message}`);
+          await this.updateCollection(collection.id, { lastError: error.message });
+        }
+      }
+
+      const shared = await this.saveSharedHighlights(config, documents, failed);
+      console.log(`Collections synced: ${documents.length} of ${collections.length}, ${shared} highlights from teammates`);
+      return { success: errors.length === 0, collections: documents.length, shared: shared, errors: errors };
+    } catch (error) {
+      console.error('Error syncing collections:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Pull a collection's document, put this browser's current entry in it and push it back if
+   * that changed anything, starting over when a teammate wrote in the meantime
+   */
+  async syncCollection(config, collection, pages) {
+    const backend = this.createBackend(config, collection.id);
+    const entry = this.memberEntry(config, collection.id, pages);
+    for (let attempt = 1; ; attempt++) {
+      const remote = await backend.pull();
+      const document = remote.document ? this.validate(remote.document, collection.id) : this.emptyDocument(collection);
+      const current = document.members[config.authorId];
+      if (current && this.sameEntry(current, entry)) {
+        return document;
+      }
+
+      document.members[config.authorId] = Object.assign({}, entry, { updatedAt: Date.now() });
+      document.updatedAt = Date.now();
+      try {
+        await backend.push(document, remote);
+        return document;
+      } catch (error) {
+        if (error.code !== 'conflict' || attempt >= this.maxAttempts) {
+          throw error;
+        }
+        console.log(`Collection ${collection.name} changed while publishing, trying again`);
+      }
+    }
+  }
+
+  /**
+   * Take this browser's entry out of a collection's document
+   */
+  async withdraw(config, collectionId) {
+    const backend = this.createBackend(config, collectionId);
+    for (let attempt = 1; ; attempt++) {
+      const remote = await backend.pull();
+      if (!remote.document || !remote.document.members || !remote.document.members[config.authorId]) {
+        return;
+      }
+      const document = this.validate(remote.document, collectionId);
+      delete document.members[config.authorId];
+      document.updatedAt = Date.now();
+      try {
+        await backend.push(document, remote);
+        return;
+      } catch (error) {
+        if (error.code !== 'conflict' || attempt >= this.maxAttempts) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * This browser's author details and its highlights in a collection, as teammates get them
+   */
+  memberEntry(config, collectionId, pages) {
+    const highlights = [];
+    Object.entries(pages).forEach(([page, records]) => {
+      records
+        .filter(record => (record.collections || []).includes(collectionId))
+        .forEach(record => {
+          highlights.push({
+            id: record.id,
+            page: page,
+            title: record.title || '',
+            text: record.text,
+            style: record.style || 'highlight',
+            anchor: record.anchor || null,
+            note: record.note || '',
+            tags: record.tags || [],
+            timestamp: record.timestamp || 0
+          });
+        });
+    });
+    highlights.sort((a, b) => a.page.localeCompare(b.page) || a.timestamp - b.timestamp);
+    return { name: config.author.trim() || 'Anonymous', color: config.color, highlights: highlights };
+  }
+
+  sameEntry(a, b) {
+    return JSON.stringify([a.name, a.color, a.highlights]) === JSON.stringify([b.name, b.color, b.highlights]);
+  }
+
+  /**
+   * Check a pulled document and fill in what older or hand-made ones lack
+   */
+  validate(document, collectionId) {
+    if (!document || document.format !== this.format) {
+      throw new Error('The sharing server returned something that isn\'t a HiLite collection');
+    }
+    if (document.version > this.version) {
+      throw new Error('This collection was saved by a newer version of HiLite; update the extension');
+    }
+    return Object.assign({ id: collectionId, name: 'Untitled collection' }, document, { members: document.members || {} });
+  }
+
+  emptyDocument(collection) {
+    return { format: this.format, version: this.version, id: collection.id, name: collection.name, members: {} };
+  }
+
+  /**
+   * Store teammates' highlights by page. Collections that couldn't be pulled keep the highlights
+   * they had, so a server hiccup doesn't make them disappear.
+   */
+  async saveSharedHighlights(config, documents, failed) {
+    const urls = new UrlNormalizer(await this.store.getSetting('urlNormalization'));
+    const pages = {};
+    const byId = new Map();
+    const add = (url, record) => {
+      const existing = byId.get(record.id);
+      if (existing) {
+        record.collectionIds.forEach((id, i) => {
+          if (!existing.collectionIds.includes(id)) {
+            existing.collectionIds.push(id);
+            existing.collectionNames.push(record.collectionNames[i]);
+          }
+        });
+        return;
+      }
+      byId.set(record.id, record);
+      (pages[url] = pages[url] || []).push(record);
+    };
+
+    documents.forEach(document => {
+      Object.entries(document.members).forEach(([authorId, member]) => {
+        if (authorId === config.authorId) {
+          return;
+        }
+        (member.highlights || []).forEach(highlight => {
+          const url = urls.normalize(highlight.page);
+          add(url, {
+            id: `shared-${authorId}-${highlight.id}`,
+            text: highlight.text,
+            color: member.color || this.store.defaultSettings.sharing.color,
+            style: highlight.style || 'highlight',
+            url: url,
+            title: highlight.title || '',
+            anchor: highlight.anchor || null,
+            note: highlight.note || '',
+            tags: highlight.tags || [],
+            timestamp: highlight.timestamp || 0,
+            author: member.name || 'A teammate',
+            collectionIds: [document.id],
+            collectionNames: [document.name],
+            shared: true
+          });
+        });
+      });
+    });
+
+    if (failed.size > 0) {
+      const previous = await this.store.getAllSharedPages();
+      Object.entries(previous).forEach(([url, records]) => {
+        records
+          .filter(record => record.collectionIds.some(id => failed.has(id)))
+          .forEach(record => add(url, record));
+      });
+    }
+
+    await this.store.saveSharedPages(pages);
+    return byId.size;
+  }
+
+  /**
+   * Collections with their own highlight counts and how their last sync went, for the popup
+   */
+  async getStatus() {
+    try {
+      const config = await this.getConfig();
+      const collections = await this.store.getCollections();
+      const pages = await this.store.getAllPages();
+      const counts = {};
+      Object.values(pages).forEach(records => {
+        records.forEach(record => {
+          (record.collections || []).forEach(id => {
+            counts[id] = (counts[id] || 0) + 1;
+          });
+        });
+      });
+      return {
+        success: true,
+        configured: !!config.endpoint,
+        running: !!this.running,
+        collections: collections.map(collection => Object.assign({ count: counts[collection.id] || 0 }, collection))
+      };
+    } catch (error) {
+      console.error('Error getting collections:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
@@ -7,6 +7,40 @@ class WebHighlighter {
   constructor() {
     this.highlightClass = 'web-highlighter-highlight';
     this.highlightCounter = 0;
+    this.uiSelector = '.highlight-context-menu, .highlight-note-editor, .highlight-note-tooltip, .highlight-toast, .highlight-reanchor-banner, .highlight-selection-toolbar';
+    this.records = new Map(); // highlight id -> stored record for this page
+    this.shared = new Map();  // highlight id -> teammate's record from a shared collection, read-only
+    this.readOnlyMessage = 'Highlights shared by teammates are read-only';
+    this.store = new HighlightStore();
+    this.urls = new UrlNormalizer();
+    this.currentLocation = window.location.href;
+    this.currentPageKey = null;   // key of the highlights currently drawn
+    this.staleCanonical = null;   // previous route's canonical link, ignored until the app replaces it
+    this.restoreGeneration = 0;
+    this.statusDelay = 2000;      // quiet time before anchoring status is written to storage
+    this.statusTimer = null;
+    this.colorLabels = {};
+    this.highlightStyles = ['highlight', 'underline', 'wavy', 'strikethrough', 'box', 'bold'];
+    this.defaultStyle = 'highlight';
+    this.toolbarDisabledSites = [];
+    this.palette = null;          // palette colors with names and labels, once loaded
+    this.history = new UndoHistory();
+    this.lastPointerEvent = null;   // where the mouse is, for "delete highlight under cursor"
+    this.focusedHighlightId = null; // last highlight reached with next/previous
+    this.markdown = new MarkdownRenderer();
+    this.anchoring = new TextAnchor({
+      highlightSelector: `.${this.highlightClass}`,
+      ignoreSelector: this.uiSelector
+    });
+    this.contrast = new ContrastAdjuster();
+    this.renderer = this.createRenderer('spans');
+    this.scheduler = new RestoreScheduler({
+      anchoring: this.anchoring,
+      getRenderer: () => this.renderer,
+      render: (record, range) => this.drawRecord(record, range),
+      ignoreSelector: this.uiSelector,
+      onSettled: () => this.scheduleStatusReport()
+    });
     this.init();
   }
 
@@ -14,45 +48,24 @@ class WebHighlighter {
    * Initialize the highlighter
    */
   init() {
+    this.rendererReady = this.loadRendererSetting();
+    this.urlSettingsReady = this.loadUrlSettings();
+    this.loadColorLabels();
+    this.loadStyleSetting();
+    this.loadContrastSetting();
+    this.setupThemeListener();
     this.setupMessageListener();
     this.setupContextMenu();
     this.setupStorageListener();
     this.setupHighlightClickListeners();
+    this.setupNoteTooltips();
+    this.setupNavigationListeners();
+    this.setupUndoShortcuts();
+    this.setupSelectionToolbar();
     
-    // Handle different page load scenarios
-    if (document.readyState === 'loading') {
-      // Page is still loading
-      document.addEventListener('DOMContentLoaded', () => {
-        setTimeout(() => this.restoreHighlights(), 100);
-      });
-    } else if (document.readyState === 'interactive') {
-      // DOM is ready but resources may still be loading
-      setTimeout(() => this.restoreHighlights(), 50);
-    } else {
-      // Page is fully loaded
-      setTimeout(() => this.restoreHighlights(), 50);
-    }
-    
-    // Also listen for when the page becomes fully loaded
-    window.addEventListener('load', () => {
-      setTimeout(() => this.restoreHighlights(), 100);
-    });
-    
-    // Listen for page visibility changes (tab switching, page focus)
-    document.addEventListener('visibilitychange', () => {
-      if (!document.hidden) {
-        console.log('Page became visible, checking for highlights...');
-        setTimeout(() => this.restoreHighlights(), 100);
-      }
-    });
-    
-    // Listen for page focus (when user returns to the tab)
-    window.addEventListener('focus', () => {
-      console.log('Page focused, checking for highlights...');
-      setTimeout(() => this.restoreHighlights(), 100);
-    });
-    
-    this.observeDOMChanges();
+    // Restore once; content the page renders later is picked up by the scheduler's observer
+    this.restoreHighlights();
+    this.whenDocumentReady().then(() => this.scheduler.observe(document.body));
   }
 
   /**
@@ -60,12 +73,12 @@ class WebHighlighter {
    */
   async debugStorage() {
     try {
-      const url = window.location.href;
+      const url = await this.getPageKey();
       console.log('=== STORAGE DEBUG ===');
-      console.log('Current URL:', url);
+      console.log('Current URL:', window.location.href);
+      console.log('Storage key:', url);
       
-      const result = await browser.storage.local.get(url);
-      const highlights = result[url] || [];
+      const highlights = await this.store.getPage(url);
       console.log('Highlights in main storage:', highlights);
       
       console.log('Total highlights found:', highlights.length);
@@ -85,12 +98,10 @@ class WebHighlighter {
     browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
       switch (message.action) {
         case 'highlightSelection':
-          const result = this.highlightSelection(message.color);
-          sendResponse(result);
+          this.highlightSelection(message.color, message.style).then(sendResponse);
           break;
         case 'clearAllHighlights':
-          const clearResult = this.clearAllHighlights();
-          sendResponse(clearResult);
+          this.clearAllHighlights().then(sendResponse);
           break;
         case 'getHighlights':
           sendResponse(this.getCurrentHighlights());
@@ -98,10 +109,46 @@ class WebHighlighter {
         case 'deleteHighlight':
           this.deleteHighlight(message.highlightId).then(sendResponse);
           break;
-        case 'refreshHighlights':
-          this.refreshHighlightsFromStorage();
+        case 'updateHighlight':
+          this.updateHighlight(message.highlightId, message.changes).then(sendResponse);
+          break;
+        case 'revealHighlight':
+          this.revealHighlight(message.highlightId).then(sendResponse);
+          break;
+        case 'showNotification':
+          this.showToast(message.message, message.type);
           sendResponse({ success: true });
           break;
+        case 'refreshHighlights':
+          this.refreshHighlights(message.pageKey).then(sendResponse);
+          break;
+        case 'locationChanged':
+          this.handleLocationChange().then(sendResponse);
+          break;
+        case 'deleteHighlightAtCursor':
+          this.deleteHighlightAtCursor().then(sendResponse);
+          break;
+        case 'focusHighlight':
+          sendResponse(this.focusAdjacentHighlight(message.direction));
+          break;
+        case 'undo':
+          this.undo().then(sendResponse);
+          break;
+        case 'redo':
+          this.redo().then(sendResponse);
+          break;
+        case 'getAnchoringStatus':
+          this.getAnchoringStatus().then(sendResponse);
+          break;
+        case 'getHighlightOrder':
+          this.getHighlightOrder().then(sendResponse);
+          break;
+        case 'startReanchor':
+          sendResponse(this.startReanchor(message.highlightId));
+          break;
+        case 'getPageKey':
+          this.getPageKey().then(pageKey => sendResponse({ pageKey: pageKey }));
+          break;
         case 'debugStorage':
           this.debugStorage().then(sendResponse);
           break;
@@ -135,9 +182,9 @@ class WebHighlighter {
   }
 
   /**
-   * Highlight the currently selected text
+   * Highlight the currently selected text; resolves once the highlight is saved
    */
-  highlightSelection(color = '#ffff00') {
+  async highlightSelection(color = '#ffff00', style = this.defaultStyle) {
     const selection = window.getSelection();
     
     if (!selection.toString().trim()) {
@@ -146,14 +193,18 @@ class WebHighlighter {
 
     try {
       const range = selection.getRangeAt(0);
-      const { id, text } = this.createHighlight(range, color);
       
-      // Save highlight to storage
-      this.saveHighlight(id, text, color);
+      // Describe the selection before the DOM is touched so offsets stay accurate
+      const anchor = this.anchoring.describe(range);
+      style = this.normalizeStyle(style);
+      const { id, text } = this.createHighlight(range, color, undefined, style);
       
       // Clear selection
       selection.removeAllRanges();
       
+      // Save highlight to storage
+      await this.saveHighlight(id, text, color, anchor, style);
+      
       return { success: true, highlightId: id };
     } catch (error) {
       console.error('Error highlighting text:', error);
@@ -162,454 +213,1248 @@ class WebHighlighter {
   }
 
   /**
-   * Create a highlight element around the selected text
+   * Draw a highlight over a range with the active renderer
    */
-  createHighlight(range, color) {
-    const highlightId = `highlight-${Date.now()}-${++this.highlightCounter}`;
-    
-    // Get the text content
+  createHighlight(range, color, highlightId = `highlight-${Date.now()}-${++this.highlightCounter}`, style = 'highlight') {
     const textContent = range.toString();
-    
-    // Create a simple highlight span
-    const highlightSpan = document.createElement('span');
-    highlightSpan.className = this.highlightClass;
-    highlightSpan.id = highlightId;
-    highlightSpan.style.backgroundColor = color;
-    highlightSpan.textContent = textContent;
-    
-    // Replace the range content with the highlight
-    range.deleteContents();
-    range.insertNode(highlightSpan);
-    
+    this.renderer.render(highlightId, range, color, this.normalizeStyle(style));
     return { id: highlightId, text: textContent };
   }
 
   /**
-   * Save highlight information to browser storage
+   * Draw a stored record; teammates' highlights are marked with their author
    */
-  async saveHighlight(highlightId, textContent, color) {
-    try {
-      const url = window.location.href;
-      const highlightData = {
-        id: highlightId,
-        text: textContent,
-        color: color,
-        url: url,
-        timestamp: Date.now()
-      };
+  drawRecord(record, range) {
+    this.createHighlight(range, record.color, record.id, record.style);
+    if (record.shared) {
+      this.renderer.markShared(record.id, record.author);
+    }
+  }
 
-      console.log('Saving highlight:', highlightData);
+  /**
+   * Fall back to a plain highlight for missing or unknown styles, e.g. in records from older versions
+   */
+  normalizeStyle(style) {
+    return this.highlightStyles.includes(style) ? style : 'highlight';
+  }
 
-      // Get existing highlights for this URL
-      const result = await browser.storage.local.get(url);
-      const highlights = result[url] || [];
-      highlights.push(highlightData);
-      
-      // Save back to storage
-      await browser.storage.local.set({ [url]: highlights });
-      console.log('Highlight saved successfully');
-      
+  /**
+   * Create a renderer for the given mode, falling back to spans where the Highlight API is missing
+   */
+  createRenderer(mode) {
+    if (mode === 'highlight-api' && CustomHighlightRenderer.isSupported()) {
+      return new CustomHighlightRenderer({ contrast: this.contrast });
+    }
+    if (mode === 'highlight-api') {
+      console.log('CSS Custom Highlight API not available, using span renderer');
+    }
+    return new SpanRenderer({
+      highlightClass: this.highlightClass,
+      anchoring: this.anchoring,
+      contrast: this.contrast
+    });
+  }
+
+  /**
+   * Load the preferred rendering backend from storage
+   */
+  async loadRendererSetting() {
+    try {
+      this.switchRenderer(await this.store.getSetting('highlightRenderer'));
     } catch (error) {
-      console.error('Error saving highlight:', error);
+      console.error('Error loading renderer setting:', error);
     }
   }
 
   /**
-   * Restore highlights when the page loads
+   * Load the URL normalization settings used to compute this page's storage key
    */
-  async restoreHighlights() {
+  async loadUrlSettings() {
     try {
-      const url = window.location.href;
-      console.log('Attempting to restore highlights for URL:', url);
-      
-      // Try to get highlights from main storage
-      let result = await browser.storage.local.get(url);
-      let highlights = result[url] || [];
-      
-      console.log('Final highlights to restore:', highlights);
-      
-      if (highlights.length > 0) {
-        console.log(`Restoring ${highlights.length} highlights for ${url}`);
-        
-        // For immediate page reloads, try to restore immediately
-        if (document.readyState === 'complete') {
-          setTimeout(() => this.applyHighlights(highlights), 100);
-        } else if (document.readyState === 'interactive') {
-          setTimeout(() => this.applyHighlights(highlights), 150);
-        } else {
-          // Page is still loading
-          document.addEventListener('DOMContentLoaded', () => {
-            setTimeout(() => this.applyHighlights(highlights), 200);
-          });
-        }
-        
-        // Also try to restore when page becomes fully loaded
-        window.addEventListener('load', () => {
-          setTimeout(() => this.applyHighlights(highlights), 100);
-        });
-      } else {
-        console.log('No highlights found for this URL');
-      }
+      this.urls = new UrlNormalizer(await this.store.getSetting('urlNormalization'));
     } catch (error) {
-      console.error('Error restoring highlights:', error);
+      console.error('Error loading URL normalization settings:', error);
     }
   }
 
   /**
-   * Apply saved highlights to the page
+   * Get the key this page's highlights are stored under: the normalized URL,
+   * or the normalized canonical URL when the page declares one
+   */
+  async getPageKey() {
+    await this.urlSettingsReady;
+    const canonical = this.getCanonicalHref();
+    return this.urls.normalize(window.location.href, canonical !== this.staleCanonical ? canonical : null);
+  }
+
+  getCanonicalHref() {
+    const link = document.querySelector('link[rel="canonical"][href]');
+    return link ? link.getAttribute('href') : null;
+  }
+
+  /**
+   * Follow client-side route changes in single-page apps. pushState and replaceState aren't
+   * visible to content scripts, so the background script reports them; popstate and
+   * hashchange are seen here directly.
+   */
+  setupNavigationListeners() {
+    window.addEventListener('popstate', () => this.handleLocationChange());
+    window.addEventListener('hashchange', () => this.handleLocationChange());
+  }
+
+  /**
+   * Restore the new route's highlights after the URL changed without a reload.
+   * performRestore tears down the previous route's highlights if the page key changed.
    */
-  applyHighlights(highlights) {
-    console.log('Applying highlights:', highlights);
+  async handleLocationChange() {
+    const previousLocation = this.currentLocation;
+    if (window.location.href === previousLocation) {
+      return { success: true, changed: false };
+    }
+    this.currentLocation = window.location.href;
     
-    highlights.forEach((highlight, index) => {
-      try {
-        console.log(`Restoring highlight ${index + 1}/${highlights.length}:`, highlight);
-        this.restoreHighlight(highlight);
-      } catch (error) {
-        console.error(`Error restoring highlight ${highlight.id}:`, error);
-      }
-    });
+    // Apps update <link rel="canonical"> after rendering the new route, if at all
+    if (this.urls.normalize(previousLocation) !== this.urls.normalize(window.location.href)) {
+      this.staleCanonical = this.getCanonicalHref();
+    }
+    
+    console.log('Route changed to', window.location.href);
+    
+    // The new route usually renders after the URL changes; the scheduler retries as it appears
+    this.restoreHighlights();
+    return { success: true, changed: true };
   }
 
   /**
-   * Restore a single highlight
+   * Load the user-defined color labels
    */
-  restoreHighlight(highlight) {
+  async loadColorLabels() {
     try {
-      // Simple approach: search for the text and highlight it
-      const textToFind = highlight.text;
-      if (!textToFind || textToFind.trim() === '') {
-        return;
-      }
-      
-      // Search the entire document for the text
-      const walker = document.createTreeWalker(
-        document.body,
-        NodeFilter.SHOW_TEXT,
-        null,
-        false
-      );
-      
-      let textNode;
-      while (textNode = walker.nextNode()) {
-        const text = textNode.textContent;
-        if (text.includes(textToFind)) {
-          // Found the text, create a highlight
-          const highlightSpan = document.createElement('span');
-          highlightSpan.className = this.highlightClass;
-          highlightSpan.id = highlight.id;
-          highlightSpan.style.backgroundColor = highlight.color;
-          highlightSpan.textContent = textToFind;
-          
-          // Replace the text with the highlight
-          const beforeText = text.substring(0, text.indexOf(textToFind));
-          const afterText = text.substring(text.indexOf(textToFind) + textToFind.length);
-          
-          const fragment = document.createDocumentFragment();
-          if (beforeText) fragment.appendChild(document.createTextNode(beforeText));
-          fragment.appendChild(highlightSpan);
-          if (afterText) fragment.appendChild(document.createTextNode(afterText));
-          
-          textNode.parentNode.replaceChild(fragment, textNode);
-          break; // Only highlight the first occurrence
-        }
-      }
+      this.colorLabels = await this.store.getSetting('colorLabels');
     } catch (error) {
-      console.error('Error restoring highlight:', error);
+      console.error('Error loading color labels:', error);
     }
   }
 
   /**
-   * Clear all highlights from the current page
+   * Load the style new highlights get unless one is chosen
    */
-  clearAllHighlights() {
+  async loadStyleSetting() {
     try {
-      // Find all highlight elements
-      const highlights = document.querySelectorAll(`.${this.highlightClass}`);
-      const count = highlights.length;
-      
-      console.log(`Found ${count} highlights to clear`);
-      
-      if (count === 0) {
-        return { success: true, count: 0, message: 'No highlights found' };
-      }
-      
-      // Clear each highlight
-      highlights.forEach((highlight, index) => {
-        try {
-          // Get the text content
-          const text = highlight.textContent;
-          
-          // Replace the highlight with a text node
-          const textNode = document.createTextNode(text);
-          highlight.parentNode.replaceChild(textNode, highlight);
-          
-          console.log(`Cleared highlight ${index + 1}/${count}`);
-        } catch (error) {
-          console.error(`Error clearing highlight ${index + 1}:`, error);
-        }
-      });
-      
-      // Clear from storage
-      this.clearHighlightsFromStorage();
-      
-      console.log(`Successfully cleared ${count} highlights`);
-      return { success: true, count: count, message: `Cleared ${count} highlights` };
-      
+      this.defaultStyle = this.normalizeStyle(await this.store.getSetting('defaultHighlightStyle'));
     } catch (error) {
-      console.error('Error in clearAllHighlights:', error);
-      return { success: false, message: error.message };
+      console.error('Error loading highlight style setting:', error);
     }
   }
 
   /**
-   * Clear highlights from browser storage for current page
+   * Load whether highlight colors are adjusted to keep their text readable
    */
-  async clearHighlightsFromStorage() {
+  async loadContrastSetting() {
     try {
-      const url = window.location.href;
-      await browser.storage.local.remove(url);
-      console.log('Highlights cleared from storage for:', url);
+      this.setAutoContrast(await this.store.getSetting('autoContrast'));
     } catch (error) {
-      console.error('Error clearing highlights from storage:', error);
+      console.error('Error loading contrast setting:', error);
     }
   }
 
   /**
-   * Get current highlights on the page
+   * Turn contrast adjustment on or off, repainting highlights already drawn
    */
-  getCurrentHighlights() {
-    const highlights = document.querySelectorAll(`.${this.highlightClass}`);
-    return Array.from(highlights).map(h => ({
-      id: h.id,
-      text: h.textContent,
-      color: h.style.backgroundColor
-    }));
+  setAutoContrast(enabled) {
+    if (this.contrast.enabled === enabled) {
+      return;
+    }
+    this.contrast.enabled = enabled;
+    if (this.renderer.list().length > 0) {
+      this.refreshHighlightsFromStorage();
+    }
   }
 
   /**
-   * Observe DOM changes to handle dynamic content
+   * Repaint highlights when the system switches between light and dark, since pages that
+   * follow it change their colors too
    */
-  observeDOMChanges() {
-    const observer = new MutationObserver((mutations) => {
-      mutations.forEach((mutation) => {
-        if (mutation.type === 'childList') {
-          // Check if new nodes contain any of our highlights
-          mutation.addedNodes.forEach((node) => {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              this.checkForLostHighlights(node);
-            }
-          });
-        }
-      });
+  setupThemeListener() {
+    const query = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)');
+    if (!query) {
+      return;
+    }
+    query.addEventListener('change', () => {
+      if (this.contrast.enabled && this.renderer.list().length > 0) {
+        console.log('Color scheme changed, repainting highlights');
+        this.refreshHighlightsFromStorage();
+      }
     });
-    
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
+  }
+
+  /**
+   * Show the selection toolbar next to text the user selects, unless it's turned off for this site
+   */
+  setupSelectionToolbar() {
+    this.loadToolbarSettings();
+    this.toolbar = new SelectionToolbar({
+      hostClass: 'highlight-selection-toolbar',
+      shouldShow: (target) => this.isToolbarEnabled() && !this.isEditableTarget(target) &&
+        !(target && target.closest && target.closest(this.uiSelector)),
+      getPalette: () => this.getPalette(),
+      actions: {
+        highlight: (color) => this.highlightSelection(color),
+        addNote: () => this.highlightAndAddNote(),
+        copyQuote: () => this.copySelectionAsQuote(),
+        search: () => this.searchSelection(),
+        disableSite: () => this.setToolbarEnabledForSite(false)
+      }
     });
+    this.toolbar.attach();
   }
 
   /**
-   * Check for and restore lost highlights in new content
+   * Load the sites where the selection toolbar is turned off
    */
-  async checkForLostHighlights(element) {
+  async loadToolbarSettings() {
     try {
-      const url = window.location.href;
-      const result = await browser.storage.local.get(url);
-      const highlights = result[url] || [];
-      
-      highlights.forEach(highlight => {
-        if (element.textContent.includes(highlight.text)) {
-          // Check if highlight is already applied
-          if (!document.getElementById(highlight.id)) {
-            this.restoreHighlight(highlight);
-          }
-        }
-      });
+      this.toolbarDisabledSites = await this.store.getSetting('toolbarDisabledSites');
     } catch (error) {
-      console.error('Error checking for lost highlights:', error);
+      console.error('Error loading selection toolbar settings:', error);
     }
   }
 
+  isToolbarEnabled() {
+    return !this.toolbarDisabledSites.includes(window.location.hostname);
+  }
+
   /**
-   * Set up storage change listener
+   * Turn the selection toolbar on or off for this site
    */
-  setupStorageListener() {
-    browser.storage.onChanged.addListener((changes, areaName) => {
-      if (areaName === 'local') {
-        const currentUrl = window.location.href;
-        
-        // Check if our URL's highlights were changed
-        if (changes[currentUrl]) {
-          console.log('Storage changed for current URL, updating highlights...');
-          setTimeout(() => this.restoreHighlights(), 50);
-        }
+  async setToolbarEnabledForSite(enabled) {
+    try {
+      const hostname = window.location.hostname;
+      const sites = (await this.store.getSetting('toolbarDisabledSites')).filter(site => site !== hostname);
+      if (!enabled) {
+        sites.push(hostname);
       }
-    });
+      await this.store.setSettings({ toolbarDisabledSites: sites });
+      
+      if (!enabled) {
+        this.showToast('Selection toolbar turned off for this site', 'info', {
+          label: 'Undo',
+          onClick: () => this.setToolbarEnabledForSite(true)
+        });
+      }
+    } catch (error) {
+      console.error('Error changing selection toolbar setting:', error);
+    }
   }
 
   /**
-   * Delete a specific highlight by its ID
+   * Get the palette with color names and labels from the background script.
+   * Colors listed twice under different names are only returned once.
    */
-  async deleteHighlight(highlightId) {
+  async getPalette() {
+    if (this.palette) {
+      return this.palette;
+    }
     try {
-      const url = window.location.href;
-      const result = await browser.storage.local.get(url);
-      const highlights = result[url] || [];
-
-      const initialCount = highlights.length;
-
-      // Filter out the highlight to be deleted
-      const updatedHighlights = highlights.filter(highlight => highlight.id !== highlightId);
-
-      // Save back to storage
-      await browser.storage.local.set({ [url]: updatedHighlights });
-
-      console.log(`Highlight with ID ${highlightId} deleted from storage for URL: ${url}`);
-      return { success: true, count: initialCount - updatedHighlights.length };
+      const palette = await browser.runtime.sendMessage({ action: 'getPalette' }) || [];
+      const seen = new Set();
+      this.palette = palette.filter(entry => !seen.has(entry.color) && seen.add(entry.color));
+      return this.palette;
     } catch (error) {
-      console.error('Error deleting highlight:', error);
-      return { success: false, message: error.message };
+      console.error('Error loading palette:', error);
+      return [];
     }
   }
 
   /**
-   * Set up click event listeners for highlights
+   * Highlight the selection with the default color and open its note editor
    */
-  setupHighlightClickListeners() {
-    // Handle clicks on the dustbin icon specifically
-    document.addEventListener('click', (e) => {
-      // Check if click is on the dustbin icon (pseudo-element)
-      const highlightElement = e.target.closest(`.${this.highlightClass}`);
-      if (highlightElement) {
-        // Calculate if click is within the dustbin icon area
-        const rect = highlightElement.getBoundingClientRect();
-        const clickX = e.clientX;
-        const clickY = e.clientY;
-        
-        // Dustbin icon is positioned at top-right of highlight
-        const dustbinLeft = rect.right - 8; // 8px from right edge
-        const dustbinTop = rect.top - 8;    // 8px from top edge
-        const dustbinSize = 20;             // 20x20px size
-        
-        // Check if click is within dustbin bounds
-        if (clickX >= dustbinLeft && clickX <= dustbinLeft + dustbinSize &&
-            clickY >= dustbinTop && clickY <= dustbinTop + dustbinSize) {
-          
-          const highlightId = highlightElement.id;
-          
-          // Show a simple confirmation and delete
-          if (confirm('Delete this highlight?')) {
-            this.deleteHighlight(highlightId).then(response => {
-              if (response.success) {
-                console.log(`Highlight with ID ${highlightId} deleted. ${response.count} highlights remaining.`);
-                // Remove the highlight element from the page
-                const highlightElement = document.getElementById(highlightId);
-                if (highlightElement) {
-                  highlightElement.parentNode.replaceChild(document.createTextNode(highlightElement.textContent), highlightElement);
-                }
-              } else {
-                console.error(`Failed to delete highlight with ID ${highlightId}:`, response.message);
-              }
-            });
-          }
-        }
+  async highlightAndAddNote() {
+    try {
+      const color = await this.store.getSetting('defaultHighlightColor');
+      // Wait for the save, or saving the note could miss the highlight or be overwritten by it
+      const result = await this.highlightSelection(color);
+      if (result.success) {
+        this.showNoteEditor(result.highlightId);
       }
-    });
-
-    // Handle right-click on highlights - show context menu
-    document.addEventListener('contextmenu', (e) => {
-      const highlightElement = e.target.closest(`.${this.highlightClass}`);
-      if (highlightElement) {
-        e.preventDefault(); // Prevent default context menu
-        const highlightId = highlightElement.id;
-        const highlightText = highlightElement.textContent;
-        const highlightColor = highlightElement.style.backgroundColor;
+    } catch (error) {
+      console.error('Error adding note:', error);
+    }
+  }
 
-        // Open a context menu for deletion
-        this.showContextMenu(e.clientX, e.clientY, highlightId, highlightText, highlightColor);
-      }
-    });
+  /**
+   * Copy the selection to the clipboard as a Markdown quote with a link to the page
+   */
+  async copySelectionAsQuote() {
+    const text = window.getSelection().toString().trim();
+    if (!text) {
+      return;
+    }
+    
+    const quote = text.split(/\r?\n/).map(line => `> ${line}`).join('\n');
+    const source = `— [${document.title || window.location.hostname}](${window.location.href})`;
+    try {
+      await navigator.clipboard.writeText(`${quote}\n\n${source}`);
+      this.showToast('Quote copied', 'success');
+    } catch (error) {
+      console.error('Error copying quote:', error);
+      this.showToast('Could not copy the quote', 'error');
+    }
   }
 
   /**
-   * Show a context menu for highlighting
+   * Search the web for the selection in a new tab
    */
-  showContextMenu(x, y, highlightId, highlightText, highlightColor) {
-    // Remove any existing menus
-    const existingMenus = document.querySelectorAll('.highlight-context-menu');
-    existingMenus.forEach(menu => menu.remove());
+  searchSelection() {
+    const text = window.getSelection().toString().trim();
+    if (text) {
+      browser.runtime.sendMessage({ action: 'searchText', text: text });
+    }
+  }
 
-    const menu = document.createElement('div');
-    menu.className = 'highlight-context-menu';
-    
-    // Ensure menu stays within viewport
-    const menuWidth = 150;
-    const menuHeight = 50;
-    const viewportWidth = window.innerWidth;
-    const viewportHeight = window.innerHeight;
-    
-    let left = x;
-    let top = y;
-    
-    // Adjust horizontal position if menu would go off-screen
-    if (x + menuWidth > viewportWidth) {
-      left = x - menuWidth;
+  /**
+   * Swap the rendering backend, redrawing any highlights already on the page
+   */
+  switchRenderer(mode) {
+    const next = this.createRenderer(mode);
+    if (next.name === this.renderer.name) {
+      return;
     }
     
-    // Adjust vertical position if menu would go off-screen
-    if (y + menuHeight > viewportHeight) {
-      top = y - menuHeight;
+    console.log(`Switching highlight renderer to ${next.name}`);
+    const hadHighlights = this.renderer.clear().length > 0;
+    this.renderer = next;
+    if (hadHighlights) {
+      this.refreshHighlightsFromStorage();
     }
-    
-    menu.style.position = 'fixed';
-    menu.style.left = `${left}px`;
-    menu.style.top = `${top}px`;
-    menu.style.backgroundColor = '#fff';
-    menu.style.border = '1px solid #ccc';
-    menu.style.borderRadius = '4px';
-    menu.style.boxShadow = '0 2px 8px rgba(0,0,0,0.2)';
-    menu.style.zIndex = '9999';
-    menu.style.padding = '8px 0';
-    menu.style.fontSize = '14px';
-    menu.style.cursor = 'pointer';
-    menu.style.whiteSpace = 'nowrap';
-    menu.style.minWidth = '150px';
+  }
 
-    const deleteItem = document.createElement('div');
-    deleteItem.textContent = '🗑️ Delete Highlight';
-    deleteItem.style.color = '#dc3545';
-    deleteItem.style.padding = '8px 16px';
-    deleteItem.style.cursor = 'pointer';
-    deleteItem.style.transition = 'background-color 0.2s';
+  /**
+   * Save highlight information to browser storage
+   */
+  async saveHighlight(highlightId, textContent, color, anchor, style = 'highlight') {
+    try {
+      const url = await this.getPageKey();
+      const highlightData = {
+        id: highlightId,
+        text: textContent,
+        color: color,
+        style: style,
+        url: url,
+        title: document.title,
+        anchor: anchor,
+        timestamp: Date.now()
+      };
 
-    deleteItem.addEventListener('mouseenter', () => {
-      deleteItem.style.backgroundColor = '#f8f9fa';
+      console.log('Saving highlight:', highlightData);
+
+      // Get existing highlights for this URL
+      const highlights = await this.store.getPage(url);
+      highlights.push(highlightData);
+      this.records.set(highlightId, highlightData);
+      
+      // Save back to storage
+      await this.store.savePage(url, highlights);
+      this.history.push('Highlight created', url, [], [highlightData]);
+      console.log('Highlight saved successfully');
+      
+    } catch (error) {
+      console.error('Error saving highlight:', error);
+    }
+  }
+
+  /**
+   * Restore this page's highlights; the returned promise settles once each has had an anchoring attempt.
+   * Pass the records when they are already known, e.g. from a storage change event.
+   */
+  restoreHighlights(records = null) {
+    this.restorePromise = this.performRestore(records);
+    return this.restorePromise;
+  }
+
+  /**
+   * Load this page's records and teammates' highlights on it, and hand them to the restore scheduler
+   */
+  async performRestore(records) {
+    // A newer restore, e.g. after a route change, supersedes this one
+    const generation = ++this.restoreGeneration;
+    
+    try {
+      await this.rendererReady;
+      const url = await this.getPageKey();
+      const highlights = records || await this.store.getPage(url);
+      const shared = await this.store.getSharedPage(url);
+      await this.whenDocumentReady();
+      if (generation !== this.restoreGeneration) {
+        return;
+      }
+      
+      // Moving to another page without a reload: drop the previous page's highlights and UI
+      if (this.currentPageKey && this.currentPageKey !== url) {
+        console.log(`Page changed from ${this.currentPageKey}, clearing its highlights`);
+        this.removeHighlightUI();
+        this.scheduler.reset();
+        this.renderer.clear();
+      }
+      this.currentPageKey = url;
+      this.cacheRecords(highlights, shared);
+      this.syncDrawnStyles(highlights.concat(shared));
+      
+      console.log(`Restoring ${highlights.length} highlights and ${shared.length} shared ones for ${url}`);
+      this.scheduler.setRecords(highlights.concat(shared));
+      await this.scheduler.whenSettled();
+    } catch (error) {
+      console.error('Error restoring highlights:', error);
+    }
+  }
+
+    /**
+   * Resolve once the DOM has been parsed
+   */
+  whenDocumentReady() {
+    if (document.readyState !== 'loading') {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      document.addEventListener('DOMContentLoaded', resolve, { once: true });
+    });
+  }
+
+  /**
+   * Redraw highlights whose stored color or style changed, e.g. after recoloring in another tab or the manager
+   */
+  syncDrawnStyles(highlights) {
+    const drawn = new Map(this.renderer.list().map(highlight => [highlight.id, highlight]));
+    highlights.forEach(highlight => {
+      if (drawn.has(highlight.id)) {
+        this.updateDrawnStyle(drawn.get(highlight.id), highlight);
+      }
+    });
+  }
+
+  /**
+   * Bring a drawn highlight's color and style in line with its record
+   */
+  updateDrawnStyle(drawn, record) {
+    if (drawn.color !== record.color) {
+      this.renderer.recolor(record.id, record.color);
+    }
+    const style = this.normalizeStyle(record.style);
+    if (drawn.style !== style) {
+      this.renderer.restyle(record.id, style);
+    }
+  }
+
+  /**
+   * Remember the stored records for this page so menus and tooltips can read them synchronously
+   */
+  cacheRecords(highlights, shared = []) {
+    this.records = new Map(highlights.map(highlight => [highlight.id, highlight]));
+    this.shared = new Map(shared.map(highlight => [highlight.id, highlight]));
+  }
+
+  /**
+   * The page's own highlights that couldn't be placed; teammates' are left to them
+   */
+  getOwnOrphans() {
+    return this.scheduler.getOrphans().filter(record => !record.shared);
+  }
+
+  /**
+   * Write the anchoring status to storage once anchoring has been quiet for a moment,
+   * so orphans can be flagged in the popup and manager while the page isn't open
+   */
+  scheduleStatusReport() {
+    clearTimeout(this.statusTimer);
+    this.statusTimer = setTimeout(() => this.saveAnchoringStatus(), this.statusDelay);
+  }
+
+  /**
+   * Mark stored records that couldn't be placed as orphaned, and clear the mark from ones that now are.
+   * Only writes when a status actually changed.
+   */
+  async saveAnchoringStatus() {
+    try {
+      await this.scheduler.whenSettled();
+      const url = this.currentPageKey;
+      if (!url || url !== await this.getPageKey()) {
+        return;
+      }
+      
+      const orphanIds = new Set(this.scheduler.getOrphans().map(record => record.id));
+      const highlights = await this.store.getPage(url);
+      let changed = 0;
+      highlights.forEach(highlight => {
+        if (orphanIds.has(highlight.id) && !highlight.orphaned) {
+          highlight.orphaned = true;
+          changed++;
+        } else if (highlight.orphaned && this.scheduler.isAnchored(highlight.id)) {
+          delete highlight.orphaned;
+          changed++;
+        }
+      });
+      
+      if (changed > 0) {
+        await this.store.savePage(url, highlights);
+        console.log(`Anchoring status changed for ${changed} highlights; ${orphanIds.size} could not be placed`);
+      }
+    } catch (error) {
+      console.error('Error saving anchoring status:', error);
+    }
+  }
+
+  /**
+   * Report how many of this page's highlights are drawn and which couldn't be placed
+   */
+  async getAnchoringStatus() {
+    try {
+      await (this.restorePromise || this.restoreHighlights());
+      const orphans = this.getOwnOrphans().map(({ id, text, color }) => ({ id, text, color }));
+      return { success: true, total: this.records.size, orphaned: orphans };
+    } catch (error) {
+      console.error('Error getting anchoring status:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Report this page's storage key, the drawn highlights in reading order and the ones that
+   * couldn't be placed, once anchoring has settled
+   */
+  async getHighlightOrder() {
+    try {
+      await (this.restorePromise || this.restoreHighlights());
+      await this.scheduler.whenSettled();
+      return {
+        success: true,
+        pageKey: await this.getPageKey(),
+        order: this.getHighlightsInOrder().filter(id => !this.shared.has(id)),
+        orphaned: this.getOwnOrphans().map(record => record.id)
+      };
+    } catch (error) {
+      console.error('Error getting highlight order:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Ask the user to select the text an orphaned highlight should be reattached to
+   */
+  startReanchor(highlightId) {
+    const record = this.records.get(highlightId);
+    if (!record) {
+      return { success: false, message: 'Highlight not found' };
+    }
+    
+    this.removeHighlightUI();
+    const banner = document.createElement('div');
+    banner.className = 'highlight-reanchor-banner';
+    
+    const message = document.createElement('div');
+    message.className = 'highlight-reanchor-message';
+    const preview = record.text.length > 80 ? record.text.substring(0, 80) + '...' : record.text;
+    message.textContent = `Select the text to reattach "${preview}" to, then click Reattach.`;
+    
+    const actions = document.createElement('div');
+    actions.className = 'highlight-note-actions';
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => banner.remove());
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = 'Delete Highlight';
+    deleteButton.className = 'danger';
+    deleteButton.addEventListener('click', async () => {
+      const response = await this.deleteHighlight(highlightId);
+      banner.remove();
+      if (!response.success) {
+        this.showToast('Could not delete the highlight', 'error');
+      }
+    });
+    
+    const reattachButton = document.createElement('button');
+    reattachButton.textContent = 'Reattach';
+    reattachButton.className = 'primary';
+    reattachButton.addEventListener('click', async () => {
+      const selection = window.getSelection();
+      if (!selection.toString().trim()) {
+        this.showToast('Select some text on the page first', 'error');
+        return;
+      }
+      const response = await this.reanchorHighlight(highlightId, selection.getRangeAt(0));
+      if (response.success) {
+        selection.removeAllRanges();
+        banner.remove();
+        this.showToast('Highlight reattached', 'success');
+      } else {
+        this.showToast('Could not reattach the highlight: ' + response.message, 'error');
+      }
+    });
+    
+    // Keep the user's selection when they click the banner's buttons
+    banner.addEventListener('mousedown', (e) => e.preventDefault());
+    
+    actions.appendChild(cancelButton);
+    actions.appendChild(deleteButton);
+    actions.appendChild(reattachButton);
+    banner.appendChild(message);
+    banner.appendChild(actions);
+    document.body.appendChild(banner);
+    
+    return { success: true };
+  }
+
+  /**
+   * Attach an existing highlight to a new range, replacing its stored text and anchor
+   */
+  async reanchorHighlight(highlightId, range) {
+    try {
+      const url = await this.getPageKey();
+      const highlights = await this.store.getPage(url);
+      const highlight = highlights.find(h => h.id === highlightId);
+      if (!highlight) {
+        return { success: false, message: 'Highlight not found' };
+      }
+      
+      // Describe the selection before the DOM is touched so offsets stay accurate
+      const anchor = this.anchoring.describe(range);
+      this.renderer.remove(highlightId);
+      const { text } = this.createHighlight(range, highlight.color, highlightId, highlight.style);
+      this.scheduler.markAnchored(highlightId);
+      
+      Object.assign(highlight, { text: text, anchor: anchor, updatedAt: Date.now() });
+      delete highlight.orphaned;
+      this.records.set(highlightId, highlight);
+      await this.store.savePage(url, highlights);
+      
+      console.log(`Highlight with ID ${highlightId} reattached for URL: ${url}`);
+      return { success: true, highlight: highlight };
+    } catch (error) {
+      console.error('Error reattaching highlight:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Restore a single highlight
+   */
+  restoreHighlight(highlight) {
+    try {
+      return this.scheduler.anchorNow(highlight);
+    } catch (error) {
+      console.error('Error restoring highlight:', error);
+      return false;
+    }
+  }
+
+
+  /**
+   * Clear all of this page's own highlights; teammates' stay
+   */
+  async clearAllHighlights() {
+    try {
+      const clearedIds = this.renderer.list().map(highlight => highlight.id).filter(id => !this.shared.has(id));
+      clearedIds.forEach(id => {
+        this.renderer.remove(id);
+        this.scheduler.forget(id);
+      });
+      const count = clearedIds.length;
+      
+      console.log(`Cleared ${count} highlights from the page`);
+      
+      if (count === 0) {
+        return { success: true, count: 0, message: 'No highlights found' };
+      }
+      
+      // Offer undo only once the clear is stored and in the history
+      if (!(await this.clearHighlightsFromStorage())) {
+        return { success: false, message: 'Could not clear highlights' };
+      }
+      this.showToast(`Cleared ${count} highlight${count !== 1 ? 's' : ''}`, 'info', this.undoAction());
+      
+      console.log(`Successfully cleared ${count} highlights`);
+      return { success: true, count: count, message: `Cleared ${count} highlights` };
+      
+    } catch (error) {
+      console.error('Error in clearAllHighlights:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Clear highlights from browser storage for current page, keeping a copy in the trash.
+   * Returns whether it worked; if not, the highlights are drawn again.
+   */
+  async clearHighlightsFromStorage() {
+    try {
+      const url = await this.getPageKey();
+      const highlights = await this.store.getPage(url);
+      const result = await browser.runtime.sendMessage({ action: 'clearHighlights', filter: { url: url } });
+      if (!result || !result.success) {
+        throw new Error(result?.error || 'Unknown error');
+      }
+      this.records.clear();
+      this.history.push('Highlights cleared', url, highlights, []);
+      console.log('Highlights cleared from storage for:', url);
+      return true;
+    } catch (error) {
+      console.error('Error clearing highlights from storage:', error);
+      // Nothing was removed from storage, so bring the highlights back
+      this.showToast('Could not clear highlights: ' + error.message, 'error');
+      this.restoreHighlights();
+      return false;
+    }
+  }
+
+  /**
+   * Get current highlights on the page
+   */
+  getCurrentHighlights() {
+    return this.renderer.list();
+  }
+
+  /**
+   * Set up storage change listener
+   */
+  setupStorageListener() {
+    browser.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local') {
+        const settings = this.store.settingsChanges(changes);
+        
+        if (settings.highlightRenderer) {
+          this.switchRenderer(settings.highlightRenderer);
+        }
+        
+        if (settings.colorLabels) {
+          this.colorLabels = settings.colorLabels;
+          // Swatch titles show the labels
+          this.palette = null;
+          this.toolbar.reset();
+        }
+        
+        if (settings.defaultHighlightStyle) {
+          this.defaultStyle = this.normalizeStyle(settings.defaultHighlightStyle);
+        }
+        
+        if (settings.autoContrast !== undefined) {
+          this.setAutoContrast(settings.autoContrast);
+        }
+        
+        if (settings.toolbarDisabledSites) {
+          this.toolbarDisabledSites = settings.toolbarDisabledSites;
+          if (!this.isToolbarEnabled()) {
+            this.toolbar.hide();
+          }
+        }
+        
+        if (settings.urlNormalization) {
+          this.urls = new UrlNormalizer(settings.urlNormalization);
+          this.refreshHighlightsFromStorage();
+          return;
+        }
+        
+        // Check if our URL's highlights, or teammates' highlights on it, were changed
+        this.getPageKey().then(pageKey => {
+          const records = this.store.pageChange(changes, pageKey);
+          if (records || this.store.sharedPageChange(changes, pageKey)) {
+            console.log('Storage changed for current URL, updating highlights...');
+            this.restoreHighlights(records);
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * Delete a specific highlight by its ID
+   */
+  async deleteHighlight(highlightId) {
+    if (this.shared.has(highlightId)) {
+      return { success: false, message: this.readOnlyMessage };
+    }
+    try {
+      const url = await this.getPageKey();
+      const highlights = await this.store.getPage(url);
+
+      const initialCount = highlights.length;
+
+      // Filter out the highlight to be deleted
+      const deleted = highlights.filter(highlight => highlight.id === highlightId);
+      const updatedHighlights = highlights.filter(highlight => highlight.id !== highlightId);
+
+      // Save back to storage
+      await this.store.savePage(url, updatedHighlights);
+      this.records.delete(highlightId);
+      // The scheduler forgets it too, so the storage listener won't take it off the page
+      this.scheduler.forget(highlightId);
+      this.renderer.remove(highlightId);
+      
+      if (deleted.length > 0) {
+        this.history.push('Highlight deleted', url, deleted, []);
+        this.showToast('Highlight deleted', 'info', this.undoAction());
+      }
+
+      console.log(`Highlight with ID ${highlightId} deleted from storage for URL: ${url}`);
+      return { success: true, count: initialCount - updatedHighlights.length };
+    } catch (error) {
+      console.error('Error deleting highlight:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Update fields of a stored highlight, e.g. its note
+   */
+  async updateHighlight(highlightId, changes) {
+    if (this.shared.has(highlightId)) {
+      return { success: false, message: this.readOnlyMessage };
+    }
+    try {
+      const url = await this.getPageKey();
+      const highlights = await this.store.getPage(url);
+      
+      const highlight = highlights.find(h => h.id === highlightId);
+      if (!highlight) {
+        return { success: false, message: 'Highlight not found' };
+      }
+      
+      const before = JSON.parse(JSON.stringify(highlight));
+      Object.assign(highlight, changes, { updatedAt: Date.now() });
+      this.records.set(highlightId, highlight);
+      
+      // Save back to storage
+      await this.store.savePage(url, highlights);
+      
+      // Recoloring can be undone; note and tag edits have their own editors
+      if (changes.color && changes.color !== before.color) {
+        this.history.push('Highlight recolored', url, [before], [highlight]);
+      }
+      
+      console.log(`Highlight with ID ${highlightId} updated for URL: ${url}`);
+      return { success: true, highlight: highlight };
+    } catch (error) {
+      console.error('Error updating highlight:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Change a highlight's color on the page and in storage
+   */
+  async recolorHighlight(highlightId, color) {
+    if (this.shared.has(highlightId)) {
+      return { success: false, message: this.readOnlyMessage };
+    }
+    this.renderer.recolor(highlightId, color);
+    return this.updateHighlight(highlightId, { color: color });
+  }
+
+  /**
+   * Scroll a highlight into view and flash it, once restoring has finished.
+   * Reports whether the highlight could be anchored on the page.
+   */
+  async revealHighlight(highlightId) {
+    try {
+      await (this.restorePromise || this.restoreHighlights());
+      
+      // The page may have rendered more content since the restore ran
+      const record = this.records.get(highlightId);
+      if (record && !this.renderer.has(highlightId)) {
+        this.restoreHighlight(record);
+      }
+      
+      if (!this.renderer.has(highlightId)) {
+        const message = record ? 'This highlight could not be found on the page' : 'Highlight not found';
+        this.showToast(message, 'error');
+        return { success: false, anchored: false, message: message };
+      }
+      
+      this.scrollToHighlight(highlightId);
+      return { success: true, anchored: true };
+    } catch (error) {
+      console.error('Error revealing highlight:', error);
+      return { success: false, anchored: false, message: error.message };
+    }
+  }
+
+  /**
+   * Scroll a drawn highlight to the middle of the viewport and flash it
+   */
+  scrollToHighlight(highlightId) {
+    const range = this.renderer.getRange(highlightId);
+    const node = range.startContainer;
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    this.renderer.flash(highlightId);
+  }
+
+  /**
+   * Get the ids of the drawn highlights in document order
+   */
+  getHighlightsInOrder() {
+    return this.renderer.list()
+      .map(highlight => ({ id: highlight.id, range: this.renderer.getRange(highlight.id) }))
+      .filter(entry => entry.range)
+      .sort((a, b) => a.range.compareBoundaryPoints(Range.START_TO_START, b.range))
+      .map(entry => entry.id);
+  }
+
+  /**
+   * Move to the next (direction 1) or previous (-1) highlight on the page. The first move
+   * starts from the viewport; later ones step from the last highlight reached, wrapping around.
+   */
+  focusAdjacentHighlight(direction) {
+    const ids = this.getHighlightsInOrder();
+    if (ids.length === 0) {
+      this.showToast('No highlights on this page');
+      return { success: false, message: 'No highlights on this page' };
+    }
+    
+    let index = ids.indexOf(this.focusedHighlightId);
+    if (index === -1) {
+      const tops = ids.map(id => this.renderer.getRange(id).getBoundingClientRect().top);
+      if (direction > 0) {
+        index = tops.findIndex(top => top > 1);
+      } else {
+        index = tops.map(top => top < -1).lastIndexOf(true);
+      }
+      if (index === -1) {
+        index = direction > 0 ? 0 : ids.length - 1;
+      }
+    } else {
+      index = (index + direction + ids.length) % ids.length;
+    }
+    
+    this.focusedHighlightId = ids[index];
+    this.scrollToHighlight(ids[index]);
+    this.showToast(`Highlight ${index + 1} of ${ids.length}`);
+    return { success: true, highlightId: ids[index], position: index + 1, total: ids.length };
+  }
+
+  /**
+   * Delete the highlight under the mouse cursor
+   */
+  async deleteHighlightAtCursor() {
+    const highlightId = this.lastPointerEvent && this.renderer.highlightIdAt(this.lastPointerEvent);
+    if (!highlightId) {
+      this.showToast('Point at a highlight to delete it');
+      return { success: false, message: 'No highlight under the cursor' };
+    }
+    if (this.shared.has(highlightId)) {
+      this.showToast(this.readOnlyMessage);
+      return { success: false, message: this.readOnlyMessage };
+    }
+    
+    return this.deleteHighlight(highlightId);
+  }
+
+  /**
+   * Show a short-lived message at the bottom of the page, optionally with an action button
+   */
+  showToast(message, type = 'info', action = null) {
+    document.querySelectorAll('.highlight-toast').forEach(toast => toast.remove());
+    
+    const toast = document.createElement('div');
+    toast.className = `highlight-toast highlight-toast-${type}`;
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.appendChild(text);
+    
+    if (action) {
+      const button = document.createElement('button');
+      button.className = 'highlight-toast-action';
+      button.textContent = action.label;
+      button.addEventListener('click', () => {
+        toast.remove();
+        action.onClick();
+      });
+      toast.appendChild(button);
+    }
+    document.body.appendChild(toast);
+    
+    // Leave time to reach the action button
+    setTimeout(() => toast.remove(), action ? 6000 : 3000);
+    return toast;
+  }
+
+  /**
+   * Toast action that undoes the latest change
+   */
+  undoAction() {
+    return { label: 'Undo', onClick: () => this.undo() };
+  }
+
+  /**
+   * Undo with Ctrl/Cmd+Z and redo with Ctrl/Cmd+Shift+Z or Ctrl+Y, leaving the keys to the page
+   * while typing in a field or when there is nothing of ours to undo
+   */
+  setupUndoShortcuts() {
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || this.isEditableTarget(e.target)) {
+        return;
+      }
+      
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey && this.history.canUndo()) {
+        e.preventDefault();
+        this.undo();
+      } else if (((key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey)) && this.history.canRedo()) {
+        e.preventDefault();
+        this.redo();
+      }
+    });
+  }
+
+  /**
+   * Check whether an event target takes text input
+   */
+  isEditableTarget(target) {
+    if (!target || target.nodeType !== Node.ELEMENT_NODE) {
+      return false;
+    }
+    return target.isContentEditable || !!target.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])');
+  }
+
+  /**
+   * Undo the latest highlight change in this tab
+   */
+  async undo() {
+    const entry = this.history.takeUndo();
+    if (!entry) {
+      this.showToast('Nothing to undo');
+      return { success: false, message: 'Nothing to undo' };
+    }
+    
+    const result = await this.applyHistoryStates(entry.url, entry.before);
+    if (result.success) {
+      this.showToast(`Undone: ${entry.label}`, 'info', { label: 'Redo', onClick: () => this.redo() });
+    } else {
+      this.showToast('Could not undo: ' + result.message, 'error');
+    }
+    return Object.assign(result, { label: entry.label });
+  }
+
+  /**
+   * Redo the latest undone highlight change in this tab
+   */
+  async redo() {
+    const entry = this.history.takeRedo();
+    if (!entry) {
+      this.showToast('Nothing to redo');
+      return { success: false, message: 'Nothing to redo' };
+    }
+    
+    const result = await this.applyHistoryStates(entry.url, entry.after);
+    if (result.success) {
+      this.showToast(`Redone: ${entry.label}`, 'info', this.undoAction());
+    } else {
+      this.showToast('Could not redo: ' + result.message, 'error');
+    }
+    return Object.assign(result, { label: entry.label });
+  }
+
+  /**
+   * Put highlight records back the way an undo entry recorded them: a null record means the
+   * highlight didn't exist. Storage is updated for the entry's page, and the page is redrawn
+   * when it is the one open in this tab.
+   */
+  async applyHistoryStates(url, states) {
+    try {
+      const highlights = await this.store.getPage(url);
+      const byId = new Map(highlights.map(highlight => [highlight.id, highlight]));
+      // Putting a version back is a change of its own, so sync doesn't take it for an old one
+      const now = Date.now();
+      const restored = states.map(({ id, record }) => ({ id: id, record: record && Object.assign({}, record, { updatedAt: now }) }));
+      restored.forEach(({ id, record }) => {
+        if (record) {
+          byId.set(id, record);
+        } else {
+          byId.delete(id);
+        }
+      });
+      
+      if (url === this.currentPageKey) {
+        const drawn = new Map(this.renderer.list().map(highlight => [highlight.id, highlight]));
+        restored.forEach(({ id, record }) => {
+          if (drawn.has(id) && !record) {
+            this.renderer.remove(id);
+          } else if (drawn.has(id)) {
+            this.updateDrawnStyle(drawn.get(id), record);
+          }
+          if (record) {
+            this.records.set(id, record);
+            this.scheduler.add(record);
+          } else {
+            this.records.delete(id);
+            this.scheduler.forget(id);
+          }
+        });
+      }
+      
+      // Keep restored highlights in the order they were made
+      const records = Array.from(byId.values()).sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+      await this.store.savePage(url, records);
+      return { success: true };
+    } catch (error) {
+      console.error('Error applying undo history:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Set up click event listeners for highlights
+   */
+  setupHighlightClickListeners() {
+    // Handle clicks on the dustbin icon specifically
+    document.addEventListener('click', (e) => {
+      // Check if click is on the dustbin icon (pseudo-element)
+      const highlightElement = e.target.closest(`.${this.highlightClass}`);
+      // Teammates' highlights show their author instead of the dustbin
+      if (highlightElement && !highlightElement.classList.contains('web-highlighter-shared')) {
+        // Calculate if click is within the dustbin icon area
+        const rect = highlightElement.getBoundingClientRect();
+        const clickX = e.clientX;
+        const clickY = e.clientY;
+        
+        // Dustbin icon is positioned at top-right of highlight
+        const dustbinLeft = rect.right - 8; // 8px from right edge
+        const dustbinTop = rect.top - 8;    // 8px from top edge
+        const dustbinSize = 20;             // 20x20px size
+        
+        // Check if click is within dustbin bounds
+        if (clickX >= dustbinLeft && clickX <= dustbinLeft + dustbinSize &&
+            clickY >= dustbinTop && clickY <= dustbinTop + dustbinSize) {
+          
+          const highlightId = highlightElement.dataset.highlightId;
+          
+          // Delete right away; the toast offers to undo it
+          this.deleteHighlight(highlightId).then(response => {
+            if (response.success) {
+              console.log(`Highlight with ID ${highlightId} deleted. ${response.count} highlights remaining.`);
+            } else {
+              console.error(`Failed to delete highlight with ID ${highlightId}:`, response.message);
+            }
+          });
+        }
+      }
     });
 
-    deleteItem.addEventListener('mouseleave', () => {
-      deleteItem.style.backgroundColor = 'transparent';
+    // Handle right-click on highlights - show context menu
+    document.addEventListener('contextmenu', (e) => {
+      const highlightId = this.renderer.highlightIdAt(e);
+      if (highlightId) {
+        e.preventDefault(); // Prevent default context menu
+        if (this.shared.has(highlightId)) {
+          this.showSharedMenu(e.clientX, e.clientY, this.shared.get(highlightId));
+          return;
+        }
+        const highlight = this.renderer.list().find(h => h.id === highlightId);
+        const record = this.records.get(highlightId) || {};
+
+        // Open a context menu for notes, tags and deletion
+        this.showContextMenu(e.clientX, e.clientY, highlightId, highlight.text, record.color || highlight.color, record.note);
+      }
     });
+  }
+
+  /**
+   * Remove open menus, editors and tooltips, e.g. when the page changes under them
+   */
+  removeHighlightUI() {
+    document.querySelectorAll('.highlight-context-menu, .highlight-note-editor, .highlight-reanchor-banner').forEach(element => element.remove());
+    this.hideNoteTooltip();
+  }
+
+  /**
+   * Show a context menu for highlighting
+   */
+  showContextMenu(x, y, highlightId, highlightText, highlightColor, note) {
+    const menu = this.createMenu();
+
+    menu.appendChild(this.createColorRow(highlightColor, (color) => {
+      this.recolorHighlight(highlightId, color);
+      menu.remove();
+    }));
+
+    menu.appendChild(this.createMenuItem(note ? '✏️ Edit Note' : '📝 Add Note', '#333', () => {
+      this.showNoteEditor(highlightId);
+      menu.remove();
+    }));
+
+    if (note) {
+      menu.appendChild(this.createMenuItem('✖️ Delete Note', '#333', () => {
+        this.updateHighlight(highlightId, { note: '' });
+        menu.remove();
+      }));
+    }
+
+    menu.appendChild(this.createMenuItem('🏷️ Edit Tags', '#333', () => {
+      this.showTagEditor(highlightId);
+      menu.remove();
+    }));
+
+    menu.appendChild(this.createCollectionItems(highlightId, () => menu.remove()));
+
+    const label = this.colorLabels[highlightColor];
+    menu.appendChild(this.createMenuItem(label ? `🔖 Color Label: ${label}` : '🔖 Label This Color', '#333', () => {
+      this.showLabelEditor(highlightId, highlightColor);
+      menu.remove();
+    }));
 
-    deleteItem.addEventListener('click', () => {
+    menu.appendChild(this.createMenuItem('🗑️ Delete Highlight', '#dc3545', () => {
       this.deleteHighlight(highlightId).then(response => {
         if (response.success) {
           console.log(`Highlight with ID ${highlightId} deleted. ${response.count} highlights remaining.`);
-          // Remove the highlight element from the page
-          const highlightElement = document.getElementById(highlightId);
-          if (highlightElement) {
-            highlightElement.parentNode.replaceChild(document.createTextNode(highlightElement.textContent), highlightElement);
-          }
         } else {
           console.error(`Failed to delete highlight with ID ${highlightId}:`, response.message);
         }
       });
       menu.remove();
-    });
+    }));
+
+    this.openMenu(menu, x, y);
+  }
+
+  /**
+   * Show a read-only context menu for a teammate's highlight: who made it and where it's shared
+   */
+  showSharedMenu(x, y, record) {
+    const menu = this.createMenu();
+    menu.appendChild(this.createMenuItem(`👤 Shared by ${record.author} (read-only)`, '#333', () => menu.remove()));
+    menu.appendChild(this.createMenuItem(`📚 ${record.collectionNames.join(', ')}`, '#6c757d', () => menu.remove()));
+    this.openMenu(menu, x, y);
+  }
+
+  /**
+   * Create an empty in-page context menu, replacing any that is open
+   */
+  createMenu() {
+    document.querySelectorAll('.highlight-context-menu').forEach(menu => menu.remove());
+
+    const menu = document.createElement('div');
+    menu.className = 'highlight-context-menu';
+    
+    menu.style.position = 'fixed';
+    menu.style.backgroundColor = '#fff';
+    menu.style.border = '1px solid #ccc';
+    menu.style.borderRadius = '4px';
+    menu.style.boxShadow = '0 2px 8px rgba(0,0,0,0.2)';
+    menu.style.zIndex = '9999';
+    menu.style.padding = '8px 0';
+    menu.style.fontSize = '14px';
+    menu.style.cursor = 'pointer';
+    menu.style.whiteSpace = 'nowrap';
+    menu.style.minWidth = '150px';
+    return menu;
+  }
 
-    menu.appendChild(deleteItem);
+  /**
+   * Show a context menu at a point, closing it on the next click outside
+   */
+  openMenu(menu, x, y) {
     document.body.appendChild(menu);
+    this.positionInViewport(menu, x, y);
 
     // Add click outside handler
     const clickOutsideHandler = (e) => {
@@ -625,41 +1470,302 @@ class WebHighlighter {
     }, 100);
   }
 
+  /**
+   * Create a row of palette swatches for the in-page context menu
+   */
+  createColorRow(currentColor, onPick) {
+    const row = document.createElement('div');
+    row.className = 'highlight-color-row';
+    
+    const fill = (palette) => {
+      palette.forEach(entry => {
+        const swatch = document.createElement('span');
+        swatch.className = 'highlight-color-option';
+        swatch.classList.toggle('current', entry.color === currentColor);
+        swatch.style.backgroundColor = entry.color;
+        swatch.title = entry.label ? `${entry.name} – ${entry.label}` : entry.name;
+        swatch.addEventListener('click', () => {
+          if (entry.color !== currentColor) {
+            onPick(entry.color);
+          }
+        });
+        row.appendChild(swatch);
+      });
+    };
+    
+    // The palette comes from the background script the first time
+    if (this.palette) {
+      fill(this.palette);
+    } else {
+      this.getPalette().then(fill);
+    }
+    return row;
+  }
+
+  /**
+   * Menu items adding a highlight to or taking it out of each collection, filled in once loaded
+   */
+  createCollectionItems(highlightId, onDone) {
+    const container = document.createElement('div');
+    this.store.getCollections().then(collections => {
+      const current = (this.records.get(highlightId) || {}).collections || [];
+      collections.forEach(collection => {
+        const member = current.includes(collection.id);
+        container.appendChild(this.createMenuItem(`${member ? '☑' : '☐'} ${collection.name}`, '#333', async () => {
+          onDone();
+          const ids = member ? current.filter(id => id !== collection.id) : current.concat(collection.id);
+          const response = await this.updateHighlight(highlightId, { collections: ids });
+          if (response.success) {
+            this.showToast(member ? `Removed from ${collection.name}` : `Added to ${collection.name}`, 'success');
+          }
+        }));
+      });
+    }).catch(error => console.error('Error loading collections:', error));
+    return container;
+  }
+
+  /**
+   * Create an item for the in-page context menu
+   */
+  createMenuItem(label, color, onClick) {
+    const item = document.createElement('div');
+    item.textContent = label;
+    item.style.color = color;
+    item.style.padding = '8px 16px';
+    item.style.cursor = 'pointer';
+    item.style.transition = 'background-color 0.2s';
+
+    item.addEventListener('mouseenter', () => {
+      item.style.backgroundColor = '#f8f9fa';
+    });
+
+    item.addEventListener('mouseleave', () => {
+      item.style.backgroundColor = 'transparent';
+    });
+
+    item.addEventListener('click', onClick);
+    return item;
+  }
+
+  /**
+   * Place a fixed-position element at a point, keeping it within the viewport
+   */
+  positionInViewport(element, x, y) {
+    const width = element.offsetWidth;
+    const height = element.offsetHeight;
+    
+    let left = x;
+    let top = y;
+    
+    // Adjust horizontal position if the element would go off-screen
+    if (x + width > window.innerWidth) {
+      left = Math.max(0, x - width);
+    }
+    
+    // Adjust vertical position if the element would go off-screen
+    if (y + height > window.innerHeight) {
+      top = Math.max(0, y - height);
+    }
+    
+    element.style.left = `${left}px`;
+    element.style.top = `${top}px`;
+  }
+
+  /**
+   * Show an in-page editor for a highlight's note
+   */
+  showNoteEditor(highlightId) {
+    const record = this.records.get(highlightId) || {};
+    this.showInlineEditor(highlightId, {
+      value: record.note || '',
+      placeholder: 'Write a note (Markdown supported)',
+      multiline: true,
+      onSave: (value) => this.updateHighlight(highlightId, { note: value })
+    });
+  }
+
+  /**
+   * Show an in-page editor for a highlight's tags
+   */
+  showTagEditor(highlightId) {
+    const record = this.records.get(highlightId) || {};
+    this.showInlineEditor(highlightId, {
+      value: (record.tags || []).join(', '),
+      placeholder: 'Tags, separated by commas',
+      onSave: (value) => this.updateHighlight(highlightId, { tags: this.parseTags(value) })
+    });
+  }
+
+  /**
+   * Show an in-page editor for the label of a highlight's color
+   */
+  showLabelEditor(highlightId, color) {
+    this.showInlineEditor(highlightId, {
+      value: this.colorLabels[color] || '',
+      placeholder: 'What does this color mean? e.g. "Key fact"',
+      onSave: (value) => browser.runtime.sendMessage({ action: 'setColorLabel', color: color, label: value })
+    });
+  }
+
+  /**
+   * Turn comma-separated input into a clean list of tags
+   */
+  parseTags(value) {
+    const tags = value.split(',')
+      .map(tag => tag.trim().replace(/^#/, ''))
+      .filter(Boolean);
+    return Array.from(new Set(tags));
+  }
+
+  /**
+   * Show a small in-page editor next to a highlight
+   */
+  showInlineEditor(highlightId, { value, placeholder, multiline = false, onSave }) {
+    document.querySelectorAll('.highlight-note-editor').forEach(editor => editor.remove());
+    this.hideNoteTooltip();
+    
+    const editor = document.createElement('div');
+    editor.className = 'highlight-note-editor';
+    
+    const input = document.createElement(multiline ? 'textarea' : 'input');
+    input.value = value;
+    input.placeholder = placeholder;
+    
+    const actions = document.createElement('div');
+    actions.className = 'highlight-note-actions';
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => editor.remove());
+    
+    const saveButton = document.createElement('button');
+    saveButton.textContent = 'Save';
+    saveButton.className = 'primary';
+    saveButton.addEventListener('click', async () => {
+      await onSave(input.value.trim());
+      editor.remove();
+    });
+    
+    // Enter (Ctrl/Cmd+Enter in multi-line editors) saves, Escape cancels
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        editor.remove();
+      } else if (e.key === 'Enter' && (!multiline || e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        saveButton.click();
+      }
+    });
+    
+    actions.appendChild(cancelButton);
+    actions.appendChild(saveButton);
+    editor.appendChild(input);
+    editor.appendChild(actions);
+    document.body.appendChild(editor);
+    
+    // Open just below the highlight
+    const range = this.renderer.getRange(highlightId);
+    const rect = range ? range.getBoundingClientRect() : { left: 20, bottom: 20 };
+    this.positionInViewport(editor, rect.left, rect.bottom + 6);
+    input.focus();
+  }
+
+  /**
+   * Show notes as tooltips while hovering their highlights
+   */
+  setupNoteTooltips() {
+    let framePending = false;
+    document.addEventListener('mousemove', (e) => {
+      this.lastPointerEvent = e;
+      if (framePending) {
+        return;
+      }
+      framePending = true;
+      requestAnimationFrame(() => {
+        framePending = false;
+        this.updateNoteTooltip(e);
+      });
+    });
+  }
+
+  /**
+   * Show or hide the note tooltip for the highlight under the cursor. Teammates' highlights
+   * always get one, naming their author and collection.
+   */
+  updateNoteTooltip(e) {
+    const highlightId = this.renderer.highlightIdAt(e);
+    const shared = highlightId && this.shared.get(highlightId);
+    const record = highlightId && (this.records.get(highlightId) || shared);
+    const label = shared
+      ? `${shared.author} · ${shared.collectionNames.join(', ')}`
+      : record && this.colorLabels[record.color];
+    const tags = (record && record.tags) || [];
+    
+    if (!record || (!record.note && !label && tags.length === 0)) {
+      this.hideNoteTooltip();
+      return;
+    }
+    
+    if (this.noteTooltip && this.noteTooltip.dataset.highlightId === highlightId) {
+      return;
+    }
+    
+    this.hideNoteTooltip();
+    const tooltip = document.createElement('div');
+    tooltip.className = 'highlight-note-tooltip';
+    tooltip.dataset.highlightId = highlightId;
+    
+    if (label || tags.length > 0) {
+      const meta = document.createElement('div');
+      meta.className = 'highlight-note-meta';
+      meta.textContent = [label, ...tags.map(tag => `#${tag}`)].filter(Boolean).join('  ');
+      tooltip.appendChild(meta);
+    }
+    if (record.note) {
+      const note = document.createElement('div');
+      note.innerHTML = this.markdown.render(record.note);
+      tooltip.appendChild(note);
+    }
+    
+    document.body.appendChild(tooltip);
+    this.positionInViewport(tooltip, e.clientX + 12, e.clientY + 16);
+    this.noteTooltip = tooltip;
+  }
+
+  /**
+   * Remove the note tooltip if one is showing
+   */
+  hideNoteTooltip() {
+    if (this.noteTooltip) {
+      this.noteTooltip.remove();
+      this.noteTooltip = null;
+    }
+  }
+
+  /**
+   * Refresh on request, optionally only when this page is stored under the given key
+   */
+  async refreshHighlights(pageKey) {
+    if (pageKey && pageKey !== await this.getPageKey()) {
+      return { success: true, refreshed: false };
+    }
+    await this.refreshHighlightsFromStorage();
+    return { success: true, refreshed: true };
+  }
+
   /**
    * Refresh highlights from storage (useful when highlights are deleted externally)
    */
   async refreshHighlightsFromStorage() {
     try {
-      const url = window.location.href;
-      const result = await browser.storage.local.get(url);
-      const highlights = result[url] || [];
-      
-      // Clear all current highlights from the page
-      const currentHighlights = document.querySelectorAll(`.${this.highlightClass}`);
-      currentHighlights.forEach(highlight => {
-        try {
-          const textContent = highlight.textContent;
-          const textNode = document.createTextNode(textContent);
-          highlight.parentNode.replaceChild(textNode, highlight);
-        } catch (error) {
-          console.error('Error clearing highlight:', error);
-        }
-      });
-      
-      // Restore highlights from storage (if any remain)
-      if (highlights.length > 0) {
-        console.log(`Restoring ${highlights.length} highlights after refresh`);
-        highlights.forEach(highlight => {
-          this.restoreHighlight(highlight);
-        });
-      } else {
-        console.log('No highlights to restore after refresh');
-      }
-      
+      // Clear all current highlights from the page, then restore whatever storage still holds
+      this.scheduler.reset();
+      this.renderer.clear();
+      await this.restoreHighlights();
     } catch (error) {
       console.error('Error refreshing highlights from storage:', error);
     }
   }
+
 }
 
 // Initialize the highlighter when the content script loads
@@ -0,0 +1,123 @@
+/**
+ * HiLite - Contrast
+ * Keeps highlighted text readable. Measures the text and background colors where a highlight is
+ * drawn and picks a highlight background, and if needed a text color, meeting WCAG AA contrast.
+ */
+
+class ContrastAdjuster {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.minimumRatio = options.minimumRatio || 4.5; // WCAG AA for normal text
+    this.opacities = [1, 0.6, 0.4, 0.25];            // how see-through a highlight may get, in order
+    this.canvas = { r: 255, g: 255, b: 255, a: 1 };  // what shows behind pages without a background
+  }
+
+  /**
+   * Work out how to paint a background highlight of the given color on an element's text.
+   * Returns { background, text }; text is null when the page's own text color stays readable.
+   */
+  adjust(element, color) {
+    const highlight = this.parseColor(color);
+    if (!this.enabled || !element || !highlight) {
+      return { background: color, text: null };
+    }
+
+    const page = this.backgroundOf(element);
+    const text = this.composite(this.parseColor(getComputedStyle(element).color) || { r: 0, g: 0, b: 0, a: 1 }, page);
+
+    // Prefer keeping the page's text color, letting more of the page through a lighter highlight
+    for (const opacity of this.opacities) {
+      const tinted = { ...highlight, a: highlight.a * opacity };
+      if (this.contrastRatio(text, this.composite(tinted, page)) >= this.minimumRatio) {
+        return { background: opacity === 1 ? color : this.toCss(tinted), text: null };
+      }
+    }
+
+    // Otherwise keep the full color and switch the text to black or white, whichever reads better
+    const background = this.composite(highlight, page);
+    const black = { r: 0, g: 0, b: 0, a: 1 };
+    const white = { r: 255, g: 255, b: 255, a: 1 };
+    const best = this.contrastRatio(black, background) >= this.contrastRatio(white, background) ? black : white;
+    return { background: color, text: this.toCss(best) };
+  }
+
+  /**
+   * The opaque color showing behind an element, blending see-through ancestor backgrounds.
+   * Background images aren't taken into account.
+   */
+  backgroundOf(element) {
+    const layers = [];
+    for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+      const background = this.parseColor(getComputedStyle(node).backgroundColor);
+      if (background && background.a > 0) {
+        layers.push(background);
+        if (background.a >= 1) {
+          break;
+        }
+      }
+    }
+    return layers.reduceRight((below, layer) => this.composite(layer, below), this.canvas);
+  }
+
+  /**
+   * Parse #rgb, #rrggbb, #rrggbbaa, rgb() and rgba() colors; other formats give null
+   */
+  parseColor(value) {
+    const color = String(value || '').trim().toLowerCase();
+    if (color === 'transparent') {
+      return { r: 0, g: 0, b: 0, a: 0 };
+    }
+
+    const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+    if (hex) {
+      const digits = hex[1].length === 3 ? hex[1].split('').map(digit => digit + digit).join('') : hex[1];
+      const channel = (index) => parseInt(digits.slice(index * 2, index * 2 + 2), 16);
+      return { r: channel(0), g: channel(1), b: channel(2), a: digits.length === 8 ? channel(3) / 255 : 1 };
+    }
+
+    // Both the legacy comma syntax and the space syntax with an optional "/ alpha"
+    const rgb = color.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/);
+    if (rgb) {
+      let alpha = rgb[4] === undefined ? 1 : parseFloat(rgb[4]);
+      if (rgb[4] && rgb[4].endsWith('%')) {
+        alpha /= 100;
+      }
+      return { r: parseFloat(rgb[1]), g: parseFloat(rgb[2]), b: parseFloat(rgb[3]), a: alpha };
+    }
+
+    return null;
+  }
+
+  /**
+   * Blend a possibly see-through color over an opaque one
+   */
+  composite(top, below) {
+    const mix = (channel) => top[channel] * top.a + below[channel] * (1 - top.a);
+    return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+  }
+
+  /**
+   * Relative luminance as defined by WCAG
+   */
+  luminance(color) {
+    const linear = (channel) => {
+      const value = channel / 255;
+      return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * linear(color.r) + 0.7152 * linear(color.g) + 0.0722 * linear(color.b);
+  }
+
+  /**
+   * WCAG contrast ratio between two opaque colors, from 1 to 21
+   */
+  contrastRatio(first, second) {
+    const a = this.luminance(first);
+    const b = this.luminance(second);
+    return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+  }
+
+  toCss(color) {
+    const channels = [color.r, color.g, color.b].map(channel => Math.round(channel)).join(', ');
+    return color.a >= 1 ? `rgb(${channels})` : `rgba(${channels}, ${Math.round(color.a * 100) / 100})`;
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * HiLite - Undo History
+ * Undo and redo stacks for highlight changes in a tab. Each entry holds the affected records
+ * before and after the change, so undoing and redoing both come down to putting records back.
+ */
+
+class UndoHistory {
+  constructor(limit = 50) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Record a change. before/after list the affected records; an id missing from one side
+   * means the highlight didn't exist then. A new change drops anything that could be redone.
+   */
+  push(label, url, before, after) {
+    const ids = Array.from(new Set([...before, ...after].map(record => record.id)));
+    const snapshot = (records) => {
+      const byId = new Map(records.map(record => [record.id, record]));
+      // Copy, since the live records keep being edited
+      return ids.map(id => ({ id: id, record: byId.has(id) ? JSON.parse(JSON.stringify(byId.get(id))) : null }));
+    };
+
+    this.undoStack.push({ label: label, url: url, before: snapshot(before), after: snapshot(after) });
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Take the latest change off the undo stack, making it available to redo
+   */
+  takeUndo() {
+    const entry = this.undoStack.pop();
+    if (entry) {
+      this.redoStack.push(entry);
+    }
+    return entry || null;
+  }
+
+  /**
+   * Take the latest undone change off the redo stack, making it available to undo again
+   */
+  takeRedo() {
+    const entry = this.redoStack.pop();
+    if (entry) {
+      this.undoStack.push(entry);
+    }
+    return entry || null;
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * HiLite - Import Page
+ * Reads a JSON export, previews what it contains and merges it into storage via the background script
+ */
+
+class ImportManager {
+  constructor() {
+    this.content = null;
+    this.init();
+  }
+
+  /**
+   * Initialize the import page
+   */
+  init() {
+    document.getElementById('importFile').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        this.loadFile(file);
+      }
+    });
+    
+    document.getElementById('importBtn').addEventListener('click', () => {
+      this.importHighlights();
+    });
+  }
+
+  /**
+   * Read the chosen file and ask the background script for a preview
+   */
+  async loadFile(file) {
+    this.content = null;
+    document.getElementById('importPreview').hidden = true;
+    
+    try {
+      const content = await file.text();
+      const response = await browser.runtime.sendMessage({ action: 'previewImport', content: content });
+      
+      if (!response || !response.success) {
+        this.updateStatus('Cannot import this file: ' + (response?.error || 'Unknown error'), true);
+        return;
+      }
+      
+      this.content = content;
+      this.showPreview(response.preview);
+      this.updateStatus(`Ready to import ${file.name}`);
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      this.updateStatus('Error: ' + error.message, true);
+    }
+  }
+
+  /**
+   * Show totals and conflicts for the loaded export
+   */
+  showPreview(preview) {
+    const lines = [
+      `${preview.highlights} highlight${preview.highlights !== 1 ? 's' : ''} on ${preview.pages} page${preview.pages !== 1 ? 's' : ''}`,
+      `${preview.newPages} page${preview.newPages !== 1 ? 's' : ''} not yet in this browser`
+    ];
+    if (preview.labels > 0) {
+      lines.push(`${preview.labels} color label${preview.labels !== 1 ? 's' : ''} (existing labels are kept)`);
+    }
+    if (preview.exportedAt) {
+      lines.push(`Exported ${new Date(preview.exportedAt).toLocaleString()}`);
+    }
+    
+    const summary = document.getElementById('importSummary');
+    summary.innerHTML = '';
+    lines.forEach(line => this.addSummaryLine(summary, line));
+    if (preview.conflicts > 0) {
+      this.addSummaryLine(summary, `${preview.conflicts} highlight${preview.conflicts !== 1 ? 's' : ''} already exist${preview.conflicts === 1 ? 's' : ''} here`, true);
+    }
+    if (preview.invalid > 0) {
+      this.addSummaryLine(summary, `${preview.invalid} damaged record${preview.invalid !== 1 ? 's' : ''} will be ignored`, true);
+    }
+    
+    // The conflict strategy only matters when something conflicts
+    document.getElementById('importStrategy').disabled = preview.conflicts === 0;
+    document.getElementById('importPreview').hidden = false;
+  }
+
+  addSummaryLine(list, text, warning = false) {
+    const item = document.createElement('li');
+    item.textContent = text;
+    if (warning) {
+      item.className = 'warning';
+    }
+    list.appendChild(item);
+  }
+
+  /**
+   * Merge the loaded export using the chosen conflict strategy
+   */
+  async importHighlights() {
+    if (!this.content) {
+      return;
+    }
+    
+    const strategy = document.querySelector('input[name="strategy"]:checked').value;
+    const button = document.getElementById('importBtn');
+    button.disabled = true;
+    
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'importHighlights',
+        content: this.content,
+        strategy: strategy
+      });
+      
+      if (response && response.success) {
+        const { added, overwritten, skipped, duplicated } = response.counts;
+        const parts = [`${added} added`];
+        if (overwritten) parts.push(`${overwritten} overwritten`);
+        if (duplicated) parts.push(`${duplicated} copied`);
+        if (skipped) parts.push(`${skipped} skipped`);
+        this.updateStatus(`Import complete: ${parts.join(', ')}`);
+        
+        this.content = null;
+        document.getElementById('importPreview').hidden = true;
+        document.getElementById('importFile').value = '';
+      } else {
+        this.updateStatus('Import failed: ' + (response?.error || 'Unknown error'), true);
+      }
+    } catch (error) {
+      console.error('Error importing highlights:', error);
+      this.updateStatus('Error: ' + error.message, true);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Update the status message
+   */
+  updateStatus(message, isError = false) {
+    const statusElement = document.getElementById('status');
+    statusElement.textContent = message;
+    statusElement.style.background = isError ? '#f8d7da' : '#d4edda';
+    statusElement.style.color = isError ? '#721c24' : '#155724';
+  }
+}
+
+// Initialize import page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new ImportManager();
+});
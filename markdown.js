@@ -0,0 +1,74 @@
+/**
+ * HiLite - Markdown
+ * Minimal, escape-first Markdown rendering for highlight notes
+ */
+
+class MarkdownRenderer {
+  /**
+   * Render a note to HTML; all input is escaped before any formatting is applied
+   */
+  render(text) {
+    const blocks = [];
+    let list = null;
+
+    String(text || '').split(/\r?\n/).forEach(line => {
+      const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+      if (bullet) {
+        list = list || [];
+        list.push(`<li>${this.renderInline(bullet[1])}</li>`);
+        return;
+      }
+      if (list) {
+        blocks.push(`<ul>${list.join('')}</ul>`);
+        list = null;
+      }
+
+      const heading = line.match(/^(#{1,6})\s+(.*)$/);
+      if (heading) {
+        blocks.push(`<strong>${this.renderInline(heading[2])}</strong>`);
+      } else if (line.trim()) {
+        blocks.push(`<p>${this.renderInline(line)}</p>`);
+      }
+    });
+
+    if (list) {
+      blocks.push(`<ul>${list.join('')}</ul>`);
+    }
+    return blocks.join('');
+  }
+
+  /**
+   * Render inline code, links, bold and italics within a single line
+   */
+  renderInline(text) {
+    return this.escapeHtml(text)
+      .replace(/`([^`]+)`/g, '<code>$1</code>')
+      .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+      .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^*])\*([^*]+)\*/g, '$1<em>$2</em>')
+      .replace(/(^|\W)_([^_]+)_(?=\W|$)/g, '$1<em>$2</em>');
+  }
+
+  /**
+   * Render a note as plain text, e.g. for titles and previews
+   */
+  toPlainText(text) {
+    return String(text || '')
+      .replace(/^\s*#{1,6}\s+/gm, '')
+      .replace(/^\s*[-*+]\s+/gm, '• ')
+      .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+      .replace(/[*_`]/g, '');
+  }
+
+  /**
+   * Escape text for safe insertion into HTML
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * HiLite - Storage Migrations
+ * Upgrades stored data to the current schema version. Each migration is a pure function from
+ * one storage snapshot to the next; the runner writes the result and rolls back on failure.
+ */
+
+class StorageMigrator {
+  constructor(store) {
+    this.store = store;
+    this.area = store.area;
+    this.legacySettings = ['defaultHighlightColor', 'highlightRenderer', 'colorLabels'];
+    this.migrations = [
+      {
+        version: 2,
+        description: 'Move pages under page:<url>, settings under settings, and build the page index',
+        migrate: (data) => this.migrateToV2(data)
+      },
+      {
+        version: 3,
+        description: 'Re-key pages by normalized URL, merging pages that normalize to the same key',
+        migrate: (data) => this.migrateToV3(data)
+      }
+    ];
+  }
+
+  /**
+   * Bring storage up to the current schema version.
+   * Storage without a schemaVersion key predates versioning and is treated as version 1.
+   */
+  async run() {
+    const snapshot = await this.area.get();
+    const fromVersion = snapshot.schemaVersion || 1;
+    const pending = this.migrations.filter(migration => migration.version > fromVersion);
+
+    if (pending.length === 0) {
+      return { success: true, migrated: false, version: fromVersion };
+    }
+
+    let data = JSON.parse(JSON.stringify(snapshot));
+    pending.forEach(migration => {
+      console.log(`Migrating storage to schema ${migration.version}: ${migration.description}`);
+      data = migration.migrate(data);
+      data.schemaVersion = migration.version;
+    });
+
+    try {
+      await this.write(snapshot, data);
+    } catch (error) {
+      console.error('Storage migration failed, rolling back:', error);
+      await this.rollback(snapshot, data);
+      return { success: false, migrated: false, version: fromVersion, error: error.message };
+    }
+
+    console.log(`Storage migrated from schema ${fromVersion} to ${data.schemaVersion}`);
+    return { success: true, migrated: true, version: data.schemaVersion };
+  }
+
+  /**
+   * Move pages to the keys the current URL normalization settings give them,
+   * e.g. after those settings change
+   */
+  async rekeyPages() {
+    const snapshot = await this.area.get();
+    const data = this.migrateToV3(JSON.parse(JSON.stringify(snapshot)));
+    data.schemaVersion = snapshot.schemaVersion;
+
+    try {
+      await this.write(snapshot, data);
+    } catch (error) {
+      console.error('Re-keying pages failed, rolling back:', error);
+      await this.rollback(snapshot, data);
+      return { success: false, error: error.message };
+    }
+    return { success: true };
+  }
+
+  /**
+   * Write migrated data: new keys first, then drop obsolete ones, and bump the version last
+   * so an interrupted run is simply repeated
+   */
+  async write(before, after) {
+    const changes = {};
+    Object.keys(after).forEach(key => {
+      if (key !== 'schemaVersion' && JSON.stringify(after[key]) !== JSON.stringify(before[key])) {
+        changes[key] = after[key];
+      }
+    });
+    const obsolete = Object.keys(before).filter(key => !(key in after));
+
+    await this.area.set(changes);
+    if (obsolete.length > 0) {
+      await this.area.remove(obsolete);
+    }
+    await this.area.set({ schemaVersion: after.schemaVersion });
+  }
+
+  /**
+   * Put storage back exactly as it was before the migration
+   */
+  async rollback(before, after) {
+    try {
+      const added = Object.keys(after).filter(key => !(key in before));
+      if (added.length > 0) {
+        await this.area.remove(added);
+      }
+      await this.area.set(before);
+    } catch (error) {
+      console.error('Error rolling back storage migration:', error);
+    }
+  }
+
+  /**
+   * Schema 1 -> 2: raw URL keys become page:<url>, loose settings move into settings,
+   * and the page index is built. Empty pages are dropped; unknown keys are kept. 1.0.0 ran on
+   * every page, so its keys may be file:, ftp: or other URLs besides http(s).
+   */
+  migrateToV2(data) {
+    const result = {};
+    const settings = Object.assign({}, data.settings);
+    const pages = {};
+
+    Object.entries(data).forEach(([key, value]) => {
+      if (this.legacySettings.includes(key)) {
+        if (settings[key] === undefined) {
+          settings[key] = value;
+        }
+      } else if (Array.isArray(value) && this.isUrl(key)) {
+        if (value.length > 0) {
+          pages[key] = value.map(record => Object.assign({}, record, { url: record.url || key }));
+          result[this.store.pageKey(key)] = pages[key];
+        }
+      } else if (key !== 'settings') {
+        result[key] = value;
+      }
+    });
+
+    result.settings = settings;
+    result[this.store.indexKey] = this.store.buildIndex(pages);
+    return result;
+  }
+
+  isUrl(key) {
+    try {
+      new URL(key);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Schema 2 -> 3: pages move to their normalized URL. Pages that collapse onto the same key,
+   * e.g. with and without tracking parameters, are merged without duplicating ids.
+   */
+  migrateToV3(data) {
+    const result = {};
+    const normalizer = new UrlNormalizer((data.settings || {}).urlNormalization);
+    const pages = {};
+
+    Object.entries(data).forEach(([key, value]) => {
+      if (this.store.isPageKey(key) && Array.isArray(value)) {
+        const url = normalizer.normalize(this.store.urlFromKey(key));
+        const merged = pages[url] || [];
+        const ids = new Set(merged.map(record => record.id));
+        value.forEach(record => {
+          if (!ids.has(record.id)) {
+            ids.add(record.id);
+            merged.push(Object.assign({}, record, { url: url }));
+          }
+        });
+        pages[url] = merged;
+      } else if (key !== this.store.indexKey) {
+        result[key] = value;
+      }
+    });
+
+    Object.entries(pages).forEach(([url, records]) => {
+      result[this.store.pageKey(url)] = records;
+    });
+    result[this.store.indexKey] = this.store.buildIndex(pages);
+    return result;
+  }
+}
@@ -6,7 +6,12 @@
 class PopupManager {
   constructor() {
     this.currentColor = '#ffff00';
+    this.currentStyle = 'highlight';
     this.colorSwatches = [];
+    this.markdown = new MarkdownRenderer();
+    this.store = new HighlightStore();
+    this.colorLabels = {};
+    this.palette = [];
     this.init();
   }
 
@@ -15,9 +20,63 @@ class PopupManager {
    */
   init() {
     this.bindEvents();
+    this.loadRendererSetting();
+    this.loadContrastSetting();
+    this.loadStyleSetting();
+    this.loadUrlSettings();
+    this.loadSyncSettings();
+    this.loadSharingSettings();
+    this.loadColorLabels();
+    this.loadPalette();
     this.updateColorPreview();
-    this.checkCurrentPage();
+    this.checkCurrentPage().then(() => this.checkStorageUsage());
     this.setupColorSwatches();
+    this.loadShortcuts();
+    
+    this.openRequestedView();
+  }
+
+  /**
+   * Open the view the background asked for, e.g. the manager from its keyboard shortcut
+   */
+  async openRequestedView() {
+    try {
+      if (await browser.runtime.sendMessage({ action: 'takePopupView' }) === 'manager') {
+        this.manageHighlights();
+      }
+    } catch (error) {
+      console.error('Error checking the requested view:', error);
+    }
+  }
+
+  /**
+   * Load the palette offered for recoloring highlights, without repeated colors
+   */
+  async loadPalette() {
+    try {
+      const palette = await browser.runtime.sendMessage({ action: 'getPalette' }) || [];
+      const seen = new Set();
+      this.palette = palette.filter(entry => !seen.has(entry.color) && seen.add(entry.color));
+    } catch (error) {
+      console.error('Error loading palette:', error);
+    }
+  }
+
+  /**
+   * List the keyboard shortcuts, as configured in about:addons
+   */
+  async loadShortcuts() {
+    try {
+      const commands = await browser.commands.getAll();
+      const list = document.getElementById('shortcutList');
+      list.innerHTML = commands
+        .filter(command => command.shortcut)
+        .map(command => `
+          <li><kbd>${this.markdown.escapeHtml(command.shortcut)}</kbd> ${this.markdown.escapeHtml(command.description)}</li>
+        `).join('');
+    } catch (error) {
+      console.error('Error loading keyboard shortcuts:', error);
+    }
   }
 
   /**
@@ -71,20 +130,43 @@ class PopupManager {
    */
   async saveDefaultColor(color) {
     try {
-      await browser.storage.local.set({ defaultHighlightColor: color });
+      await this.store.setSettings({ defaultHighlightColor: color });
       console.log('Default color saved:', color);
     } catch (error) {
       console.error('Error saving default color:', error);
     }
   }
 
+  /**
+   * Load the style new highlights get by default
+   */
+  async loadStyleSetting() {
+    try {
+      this.currentStyle = await this.store.getSetting('defaultHighlightStyle');
+      document.getElementById('styleSelect').value = this.currentStyle;
+    } catch (error) {
+      console.error('Error loading highlight style:', error);
+    }
+  }
+
+  /**
+   * Save the style new highlights get by default
+   */
+  async saveStyleSetting(style) {
+    try {
+      await this.store.setSettings({ defaultHighlightStyle: style });
+      this.updateStatus('Highlight style saved');
+    } catch (error) {
+      console.error('Error saving highlight style:', error);
+    }
+  }
+
   /**
    * Load the default color from storage
    */
   async loadDefaultColor() {
     try {
-      const result = await browser.storage.local.get('defaultHighlightColor');
-      const defaultColor = result.defaultHighlightColor || '#ffff00';
+      const defaultColor = await this.store.getSetting('defaultHighlightColor');
       this.currentColor = defaultColor;
       this.updateColorPreview();
       this.updateActiveSwatch(defaultColor);
@@ -94,6 +176,70 @@ class PopupManager {
     }
   }
 
+  /**
+   * Load the user-defined color labels and show them on the swatches
+   */
+  async loadColorLabels() {
+    try {
+      this.colorLabels = await this.store.getSetting('colorLabels');
+      document.querySelectorAll('.color-swatch').forEach(swatch => {
+        const name = swatch.dataset.name || swatch.title;
+        const label = this.colorLabels[swatch.dataset.color];
+        swatch.dataset.name = name;
+        swatch.title = label ? `${name} — ${label}` : name;
+      });
+    } catch (error) {
+      console.error('Error loading color labels:', error);
+    }
+  }
+
+  /**
+   * Load the highlight rendering backend from storage
+   */
+  async loadRendererSetting() {
+    try {
+      document.getElementById('rendererSelect').value = await this.store.getSetting('highlightRenderer');
+    } catch (error) {
+      console.error('Error loading renderer setting:', error);
+    }
+  }
+
+  /**
+   * Save the highlight rendering backend; open pages switch via their storage listener
+   */
+  async saveRendererSetting(mode) {
+    try {
+      await this.store.setSettings({ highlightRenderer: mode });
+      this.updateStatus(mode === 'highlight-api' ? 'Using CSS Highlight API rendering' : 'Using inline element rendering');
+    } catch (error) {
+      console.error('Error saving renderer setting:', error);
+    }
+  }
+
+  /**
+   * Load whether highlight colors are adjusted for contrast
+   */
+  async loadContrastSetting() {
+    try {
+      document.getElementById('autoContrast').checked = await this.store.getSetting('autoContrast');
+    } catch (error) {
+      console.error('Error loading contrast setting:', error);
+    }
+  }
+
+  /**
+   * Turn contrast adjustment on or off; open pages repaint via their storage listener
+   */
+  async saveContrastSetting(enabled) {
+    try {
+      await this.store.setSettings({ autoContrast: enabled });
+      this.updateStatus(enabled ? 'Highlight colors adjust to keep text readable' : 'Highlights use their exact colors');
+    } catch (error) {
+      console.error('Error saving contrast setting:', error);
+      this.updateStatus('Error saving setting');
+    }
+  }
+
   /**
    * Bind event listeners to UI elements
    */
@@ -113,6 +259,12 @@ class PopupManager {
       this.updateActiveSwatch(this.currentColor);
     });
 
+    // Highlight style change
+    document.getElementById('styleSelect').addEventListener('change', (e) => {
+      this.currentStyle = e.target.value;
+      this.saveStyleSetting(this.currentStyle);
+    });
+
     // Highlight button click
     document.getElementById('highlightBtn').addEventListener('click', () => {
       this.highlightSelection();
@@ -123,10 +275,421 @@ class PopupManager {
       this.manageHighlights();
     });
 
+    // Sidebar button click
+    document.getElementById('sidebarBtn').addEventListener('click', () => {
+      this.openSidebar();
+    });
+
     // Clear highlights button click
     document.getElementById('clearBtn').addEventListener('click', () => {
       this.clearAllHighlights();
     });
+
+    // Import button click
+    document.getElementById('importBtn').addEventListener('click', () => {
+      this.openImportPage();
+    });
+
+    // Scoped clear and trash button click
+    document.getElementById('trashBtn').addEventListener('click', () => {
+      this.showTrashManager();
+    });
+
+    // Storage dashboard button click
+    document.getElementById('storageBtn').addEventListener('click', () => {
+      this.showStorageDashboard();
+    });
+
+    // Rendering backend change
+    document.getElementById('rendererSelect').addEventListener('change', (e) => {
+      this.saveRendererSetting(e.target.value);
+    });
+
+    // Selection toolbar on/off for the current site
+    document.getElementById('toolbarSite').addEventListener('change', (e) => {
+      this.saveToolbarSetting(e.target.checked, e.target.dataset.hostname);
+    });
+
+    // Automatic contrast
+    document.getElementById('autoContrast').addEventListener('change', (e) => {
+      this.saveContrastSetting(e.target.checked);
+    });
+
+    // Sync settings
+    ['syncBackend', 'syncUrl', 'syncUsername', 'syncPassword'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.saveSyncSettings());
+    });
+    document.getElementById('syncNowBtn').addEventListener('click', () => {
+      this.syncNow();
+    });
+
+    // Team collections
+    ['sharingEndpoint', 'sharingToken', 'sharingAuthor', 'sharingColor'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.saveSharingSettings());
+    });
+    document.getElementById('createCollectionBtn').addEventListener('click', () => {
+      this.createCollection();
+    });
+    document.getElementById('joinCollectionBtn').addEventListener('click', () => {
+      this.joinCollection();
+    });
+    document.getElementById('syncCollectionsBtn').addEventListener('click', () => {
+      this.syncCollections();
+    });
+
+    // URL matching settings
+    ['stripFragments', 'stripTracking', 'useCanonical', 'urlRules'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.saveUrlSettings());
+    });
+  }
+
+  /**
+   * Load the URL normalization settings into the URL matching section
+   */
+  async loadUrlSettings() {
+    try {
+      const settings = Object.assign({}, UrlNormalizer.defaults, await this.store.getSetting('urlNormalization'));
+      document.getElementById('stripFragments').checked = settings.stripFragments;
+      document.getElementById('stripTracking').checked = settings.stripTracking;
+      document.getElementById('useCanonical').checked = settings.useCanonical;
+      document.getElementById('urlRules').value = UrlNormalizer.formatRules(settings.rules);
+    } catch (error) {
+      console.error('Error loading URL settings:', error);
+    }
+  }
+
+  /**
+   * Save the URL normalization settings; the background script re-keys stored pages to match
+   */
+  async saveUrlSettings() {
+    try {
+      await this.store.setSettings({
+        urlNormalization: {
+          enabled: true,
+          stripFragments: document.getElementById('stripFragments').checked,
+          stripTracking: document.getElementById('stripTracking').checked,
+          useCanonical: document.getElementById('useCanonical').checked,
+          rules: UrlNormalizer.parseRules(document.getElementById('urlRules').value)
+        }
+      });
+      this.updateStatus('URL matching updated');
+    } catch (error) {
+      console.error('Error saving URL settings:', error);
+    }
+  }
+
+  /**
+   * Load the sync configuration and the outcome of the last sync
+   */
+  async loadSyncSettings() {
+    try {
+      const config = await this.store.getSetting('sync');
+      document.getElementById('syncBackend').value = config.backend;
+      document.getElementById('syncUrl').value = config.url || '';
+      document.getElementById('syncUsername').value = config.username || '';
+      document.getElementById('syncPassword').value = config.password || '';
+      this.updateSyncForm();
+      this.showSyncStatus(await browser.runtime.sendMessage({ action: 'getSyncStatus' }));
+    } catch (error) {
+      console.error('Error loading sync settings:', error);
+    }
+  }
+
+  /**
+   * Save the sync configuration and sync right away when it's usable
+   */
+  async saveSyncSettings() {
+    try {
+      const config = {
+        backend: document.getElementById('syncBackend').value,
+        url: document.getElementById('syncUrl').value.trim(),
+        username: document.getElementById('syncUsername').value,
+        password: document.getElementById('syncPassword').value
+      };
+      await this.store.setSettings({ sync: config });
+      this.updateSyncForm();
+      
+      if (config.backend === 'storage-sync' || (config.backend === 'http' && config.url)) {
+        this.syncNow();
+      } else {
+        this.updateStatus(config.backend === 'off' ? 'Sync turned off' : 'Enter the address of the sync file');
+      }
+    } catch (error) {
+      console.error('Error saving sync settings:', error);
+      this.updateStatus('Error saving sync settings');
+    }
+  }
+
+  /**
+   * Show the server fields only for HTTP sync
+   */
+  updateSyncForm() {
+    const backend = document.getElementById('syncBackend').value;
+    document.getElementById('syncServer').hidden = backend !== 'http';
+    document.getElementById('syncNowBtn').disabled = backend === 'off';
+  }
+
+  /**
+   * Run a sync in the background script and report how it went
+   */
+  async syncNow() {
+    const button = document.getElementById('syncNowBtn');
+    button.disabled = true;
+    document.getElementById('syncStatus').textContent = 'Syncing…';
+    try {
+      const result = await browser.runtime.sendMessage({ action: 'syncNow' });
+      if (result && result.success) {
+        this.updateStatus(result.received > 0 ? `Synced; ${result.received} changes from other devices` : 'Synced');
+      } else {
+        this.updateStatus('Sync failed');
+      }
+      this.showSyncStatus(await browser.runtime.sendMessage({ action: 'getSyncStatus' }));
+    } catch (error) {
+      console.error('Error syncing:', error);
+      this.updateStatus('Error: ' + error.message);
+    } finally {
+      this.updateSyncForm();
+    }
+  }
+
+  /**
+   * Show when the last sync happened, or why it failed
+   */
+  showSyncStatus(status) {
+    const element = document.getElementById('syncStatus');
+    element.classList.remove('sync-error');
+    if (!status || !status.success || status.backend === 'off') {
+      element.textContent = '';
+    } else if (status.lastError) {
+      element.textContent = status.lastError;
+      element.classList.add('sync-error');
+    } else if (status.lastSync) {
+      element.textContent = `Last synced ${new Date(status.lastSync).toLocaleString()}`;
+    } else {
+      element.textContent = 'Not synced yet';
+    }
+  }
+
+  /**
+   * Load the sharing server settings and the collections
+   */
+  async loadSharingSettings() {
+    try {
+      const config = await this.store.getSetting('sharing');
+      document.getElementById('sharingEndpoint').value = config.endpoint || '';
+      document.getElementById('sharingToken').value = config.token || '';
+      document.getElementById('sharingAuthor').value = config.author || '';
+      document.getElementById('sharingColor').value = config.color || '#45b7d1';
+      await this.loadCollections();
+    } catch (error) {
+      console.error('Error loading sharing settings:', error);
+    }
+  }
+
+  /**
+   * Save the sharing server settings, keeping this browser's author id
+   */
+  async saveSharingSettings() {
+    try {
+      const config = await this.store.getSetting('sharing');
+      await this.store.setSettings({
+        sharing: Object.assign({}, config, {
+          endpoint: document.getElementById('sharingEndpoint').value.trim(),
+          token: document.getElementById('sharingToken').value.trim(),
+          author: document.getElementById('sharingAuthor').value.trim(),
+          color: document.getElementById('sharingColor').value
+        })
+      });
+      this.updateStatus('Sharing settings saved');
+    } catch (error) {
+      console.error('Error saving sharing settings:', error);
+      this.updateStatus('Error saving sharing settings');
+    }
+  }
+
+  /**
+   * List the collections with their highlight counts, sharing switches and actions
+   */
+  async loadCollections() {
+    const list = document.getElementById('collectionList');
+    const status = await browser.runtime.sendMessage({ action: 'getCollections' });
+    if (!status || !status.success) {
+      list.innerHTML = '';
+      return;
+    }
+    if (status.collections.length === 0) {
+      list.innerHTML = '<div class="collection-meta">Create a collection, then right-click highlights on a page to add them to it</div>';
+      return;
+    }
+    
+    list.innerHTML = status.collections.map(collection => `
+      <div class="collection-item" data-id="${this.markdown.escapeHtml(collection.id)}">
+        <div class="collection-info">
+          <div class="collection-name" title="${this.markdown.escapeHtml(collection.name)}">${this.markdown.escapeHtml(collection.name)}</div>
+          <div class="collection-meta${collection.lastError ? ' sync-error' : ''}">${this.markdown.escapeHtml(this.describeCollection(collection))}</div>
+        </div>
+        <label class="collection-share" title="Publish your highlights in this collection and show your teammates' ones"><input type="checkbox" class="share-collection"${collection.shared ? ' checked' : ''}> Share</label>
+        <button class="copy-collection-btn" title="Copy the ID teammates need to join">📋</button>
+        <button class="remove-collection-btn" title="Delete this collection; its highlights stay">✕</button>
+      </div>
+    `).join('');
+    
+    list.querySelectorAll('.collection-item').forEach(item => {
+      const collection = status.collections.find(entry => entry.id === item.dataset.id);
+      item.querySelector('.share-collection').addEventListener('change', (e) => {
+        this.setCollectionShared(collection, e.target);
+      });
+      item.querySelector('.copy-collection-btn').addEventListener('click', () => {
+        this.copyCollectionId(collection);
+      });
+      item.querySelector('.remove-collection-btn').addEventListener('click', () => {
+        this.removeCollection(collection);
+      });
+    });
+  }
+
+  /**
+   * One line about a collection: its size and how sharing it went
+   */
+  describeCollection(collection) {
+    const count = `${collection.count} highlight${collection.count !== 1 ? 's' : ''}`;
+    if (collection.lastError) {
+      return `${count} · ${collection.lastError}`;
+    }
+    if (collection.shared && collection.lastSync) {
+      return `${count} · shared, synced ${new Date(collection.lastSync).toLocaleTimeString()}`;
+    }
+    return collection.shared ? `${count} · shared` : count;
+  }
+
+  /**
+   * Create a collection from the name field
+   */
+  async createCollection() {
+    const input = document.getElementById('collectionName');
+    try {
+      const result = await browser.runtime.sendMessage({ action: 'createCollection', name: input.value });
+      if (result && result.success) {
+        input.value = '';
+        this.updateStatus(`Collection "${result.collection.name}" created`);
+        await this.loadCollections();
+      } else {
+        this.updateStatus(result ? result.error : 'Error creating collection');
+      }
+    } catch (error) {
+      console.error('Error creating collection:', error);
+      this.updateStatus('Error: ' + error.message);
+    }
+  }
+
+  /**
+   * Join a teammate's collection by the ID they shared
+   */
+  async joinCollection() {
+    const input = document.getElementById('joinCollectionId');
+    const button = document.getElementById('joinCollectionBtn');
+    button.disabled = true;
+    try {
+      const result = await browser.runtime.sendMessage({ action: 'joinCollection', collectionId: input.value });
+      if (result && result.success) {
+        input.value = '';
+        this.updateStatus(`Joined "${result.collection.name}"`);
+        await this.loadCollections();
+      } else {
+        this.updateStatus(result ? result.error : 'Error joining collection');
+      }
+    } catch (error) {
+      console.error('Error joining collection:', error);
+      this.updateStatus('Error: ' + error.message);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Start or stop sharing a collection, putting the switch back if that failed
+   */
+  async setCollectionShared(collection, checkbox) {
+    checkbox.disabled = true;
+    try {
+      const result = await browser.runtime.sendMessage({
+        action: 'setCollectionShared',
+        collectionId: collection.id,
+        shared: checkbox.checked
+      });
+      if (result && result.success) {
+        this.updateStatus(checkbox.checked ? `Sharing "${collection.name}"` : `Stopped sharing "${collection.name}"`);
+      } else {
+        checkbox.checked = !checkbox.checked;
+        this.updateStatus(result ? result.error : 'Error changing collection sharing');
+      }
+      await this.loadCollections();
+    } catch (error) {
+      console.error('Error changing collection sharing:', error);
+      this.updateStatus('Error: ' + error.message);
+      checkbox.disabled = false;
+    }
+  }
+
+  /**
+   * Copy a collection's ID for teammates to join it with
+   */
+  async copyCollectionId(collection) {
+    try {
+      await navigator.clipboard.writeText(collection.id);
+      this.updateStatus(collection.shared ? 'Collection ID copied' : 'Collection ID copied; turn on Share so teammates can join');
+    } catch (error) {
+      console.error('Error copying collection ID:', error);
+      this.updateStatus('Could not copy the collection ID');
+    }
+  }
+
+  /**
+   * Delete a collection after confirming; its highlights stay
+   */
+  async removeCollection(collection) {
+    if (!confirm(`Delete the collection "${collection.name}"? Its highlights stay on their pages.`)) {
+      return;
+    }
+    try {
+      const result = await browser.runtime.sendMessage({ action: 'removeCollection', collectionId: collection.id });
+      if (result && result.success) {
+        this.updateStatus(`Collection "${collection.name}" deleted`);
+      } else {
+        this.updateStatus(result ? result.error : 'Error deleting collection');
+      }
+      await this.loadCollections();
+    } catch (error) {
+      console.error('Error deleting collection:', error);
+      this.updateStatus('Error: ' + error.message);
+    }
+  }
+
+  /**
+   * Publish and pull every shared collection now
+   */
+  async syncCollections() {
+    const button = document.getElementById('syncCollectionsBtn');
+    const status = document.getElementById('collectionsStatus');
+    button.disabled = true;
+    status.textContent = 'Syncing…';
+    status.classList.remove('sync-error');
+    try {
+      const result = await browser.runtime.sendMessage({ action: 'syncCollections' });
+      if (result && result.success) {
+        status.textContent = `${result.shared} highlight${result.shared !== 1 ? 's' : ''} from teammates`;
+      } else {
+        status.textContent = result ? (result.message || result.errors.join('; ')) : 'Sync failed';
+        status.classList.add('sync-error');
+      }
+      await this.loadCollections();
+    } catch (error) {
+      console.error('Error syncing collections:', error);
+      status.textContent = error.message;
+      status.classList.add('sync-error');
+    } finally {
+      button.disabled = false;
+    }
   }
 
   /**
@@ -151,6 +714,8 @@ class PopupManager {
       if (tab.url && tab.url.startsWith('http')) {
         this.updateStatus('Ready to highlight text on this page');
         document.getElementById('highlightBtn').disabled = false;
+        this.loadToolbarSetting(tab);
+        this.showOrphans(tab);
       } else {
         this.updateStatus('Highlighting not available on this page');
         document.getElementById('highlightBtn').disabled = true;
@@ -162,136 +727,783 @@ class PopupManager {
   }
 
   /**
-   * Highlight the currently selected text
+   * Show whether the selection toolbar is on for the current tab's site
+   */
+  async loadToolbarSetting(tab) {
+    try {
+      const hostname = new URL(tab.url).hostname;
+      const checkbox = document.getElementById('toolbarSite');
+      checkbox.checked = !(await this.store.getSetting('toolbarDisabledSites')).includes(hostname);
+      checkbox.disabled = false;
+      checkbox.dataset.hostname = hostname;
+    } catch (error) {
+      console.error('Error loading selection toolbar setting:', error);
+    }
+  }
+
+  /**
+   * Turn the selection toolbar on or off for the current tab's site
+   */
+  async saveToolbarSetting(enabled, hostname) {
+    try {
+      const sites = (await this.store.getSetting('toolbarDisabledSites')).filter(site => site !== hostname);
+      if (!enabled) {
+        sites.push(hostname);
+      }
+      await this.store.setSettings({ toolbarDisabledSites: sites });
+      this.updateStatus(`Selection toolbar turned ${enabled ? 'on' : 'off'} for ${hostname}`);
+    } catch (error) {
+      console.error('Error saving selection toolbar setting:', error);
+      this.updateStatus('Error saving setting');
+    }
+  }
+
+  /**
+   * List the current page's highlights that couldn't be placed, with re-anchor and delete actions
+   */
+  async showOrphans(tab) {
+    const section = document.getElementById('orphansSection');
+    let status;
+    try {
+      status = await browser.tabs.sendMessage(tab.id, { action: 'getAnchoringStatus' });
+    } catch (error) {
+      // No content script on this page, e.g. it was open before the extension loaded
+      console.log('Could not get anchoring status:', error);
+      return;
+    }
+    
+    const orphans = (status && status.orphaned) || [];
+    section.hidden = orphans.length === 0;
+    if (orphans.length === 0) {
+      return;
+    }
+    
+    section.innerHTML = `
+      <div class="orphans-header">⚠️ ${orphans.length} highlight${orphans.length !== 1 ? 's' : ''} could not be placed</div>
+      <div class="orphans-list">
+        ${orphans.map(orphan => `
+          <div class="orphan-item" data-id="${this.markdown.escapeHtml(orphan.id)}">
+            <div class="highlight-preview" style="background-color: ${this.markdown.escapeHtml(orphan.color)}"></div>
+            <div class="orphan-text">${this.markdown.escapeHtml(this.truncateText(orphan.text, 50))}</div>
+            <button class="reanchor-btn" data-id="${this.markdown.escapeHtml(orphan.id)}" title="Select new text on the page for this highlight">Re-anchor</button>
+            <button class="delete-orphan-btn" data-id="${this.markdown.escapeHtml(orphan.id)}" title="Delete this highlight">🗑️</button>
+          </div>
+        `).join('')}
+      </div>
+    `;
+    
+    section.querySelectorAll('.reanchor-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        // The page shows a banner asking for the new text; the popup would close on the first click anyway
+        await browser.tabs.sendMessage(tab.id, { action: 'startReanchor', highlightId: btn.dataset.id });
+        window.close();
+      });
+    });
+    
+    section.querySelectorAll('.delete-orphan-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const response = await browser.tabs.sendMessage(tab.id, { action: 'deleteHighlight', highlightId: btn.dataset.id });
+        if (response && response.success) {
+          this.updateStatus('Highlight deleted');
+          this.showOrphans(tab);
+        } else {
+          this.updateStatus('Error deleting highlight');
+        }
+      });
+    });
+  }
+
+  /**
+   * Highlight the currently selected text
+   */
+  async highlightSelection() {
+    try {
+      const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+      
+      if (!tab.url || !tab.url.startsWith('http')) {
+        this.updateStatus('Cannot highlight on this page type');
+        return;
+      }
+
+      // Send message to content script to highlight selection
+      const response = await browser.tabs.sendMessage(tab.id, {
+        action: 'highlightSelection',
+        color: this.currentColor,
+        style: this.currentStyle
+      });
+
+      if (response && response.success) {
+        this.updateStatus(`Highlighted text with ${this.currentColor}`);
+        
+        // Close popup after successful highlight
+        setTimeout(() => {
+          window.close();
+        }, 1000);
+      } else {
+        this.updateStatus('No text selected or highlighting failed');
+      }
+    } catch (error) {
+      console.error('Error highlighting selection:', error);
+      this.updateStatus('Error: ' + error.message);
+    }
+  }
+
+  /**
+   * Clear all highlights on the current page
+   */
+  async clearAllHighlights() {
+    try {
+      const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+      
+      if (!tab.url || !tab.url.startsWith('http')) {
+        this.updateStatus('Cannot clear highlights on this page type');
+        return;
+      }
+
+      // First check if there are any highlights to clear
+      const highlights = await this.store.getPage(await this.getPageKey(tab));
+      
+      if (highlights.length === 0) {
+        this.updateStatus('No highlights found on this page');
+        return;
+      }
+
+      // Confirm deletion
+      if (!confirm(`Move all ${highlights.length} highlights on this page to the trash?`)) {
+        return;
+      }
+
+      // Send message to content script to clear highlights
+      const response = await browser.tabs.sendMessage(tab.id, {
+        action: 'clearAllHighlights'
+      });
+
+      if (response && response.success) {
+        this.updateStatus(`Moved ${response.count} highlights to the trash`);
+        
+        // Close popup after successful clear
+        setTimeout(() => {
+          window.close();
+        }, 1500);
+      } else {
+        this.updateStatus('Failed to clear highlights: ' + (response?.message || 'Unknown error'));
+      }
+    } catch (error) {
+      console.error('Error clearing highlights:', error);
+      this.updateStatus('Error: ' + error.message);
+    }
+  }
+
+  /**
+   * Manage highlights on the current page
+   */
+  async manageHighlights() {
+    try {
+      // Get all stored highlights from all websites
+      const urlHighlights = await this.store.getAllPages();
+      
+      if (Object.keys(urlHighlights).length > 0) {
+        const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+        this.activeTabUrl = tab && tab.url && await this.getPageKey(tab);
+        await this.loadColorLabels();
+        this.showWebsitesManager(urlHighlights);
+      } else {
+        this.updateStatus('No highlights found on any website');
+      }
+    } catch (error) {
+      console.error('Error managing highlights:', error);
+      this.updateStatus('Error: ' + error.message);
+    }
+  }
+
+  /**
+   * Export highlights for the viewed website (or the active tab), its domain, or everything
+   */
+  async exportHighlights(scope, format) {
+    try {
+      const url = this.viewedUrl || this.activeTabUrl;
+      if (scope !== 'all' && (!url || !url.startsWith('http'))) {
+        this.updateStatus('Open a web page or view a website to export it');
+        return;
+      }
+      
+      const response = await browser.runtime.sendMessage({
+        action: 'exportHighlights',
+        scope: scope,
+        url: url,
+        format: format
+      });
+      
+      if (response && response.success) {
+        this.updateStatus(`Exported ${response.highlights} highlights from ${response.pages} page${response.pages !== 1 ? 's' : ''}`);
+      } else {
+        this.updateStatus('Export failed: ' + (response?.error || 'Unknown error'));
+      }
+    } catch (error) {
+      console.error('Error exporting highlights:', error);
+      this.updateStatus('Error: ' + error.message);
+    }
+  }
+
+  /**
+   * Open the sidebar listing the current page's highlights
+   */
+  openSidebar() {
+    // Must be called straight from the click handler, which counts as the user action it requires
+    browser.sidebarAction.open()
+      .then(() => window.close())
+      .catch(error => {
+        console.error('Error opening sidebar:', error);
+        this.updateStatus('Error: ' + error.message);
+      });
+  }
+
+  /**
+   * Open the import page in a tab; a file picker would close the popup
+   */
+  async openImportPage() {
+    try {
+      await browser.tabs.create({ url: browser.runtime.getURL('import.html') });
+      window.close();
+    } catch (error) {
+      console.error('Error opening import page:', error);
+      this.updateStatus('Error: ' + error.message);
+    }
+  }
+
+  /**
+   * Refresh the highlights list (useful after clearing highlights)
+   */
+  async refreshHighlightsList() {
+    try {
+      const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+      
+      if (tab.url && tab.url.startsWith('http')) {
+        // Get updated highlights for current page
+        const highlights = await this.store.getPage(await this.getPageKey(tab));
+        
+        if (highlights.length === 0) {
+          this.updateStatus('No highlights on this page');
+        } else {
+          this.updateStatus(`${highlights.length} highlights on this page`);
+        }
+      }
+    } catch (error) {
+      console.error('Error refreshing highlights list:', error);
+    }
+  }
+
+  /**
+   * Warn when stored data gets close to a quota
+   */
+  async checkStorageUsage() {
+    try {
+      const report = await browser.runtime.sendMessage({ action: 'getHighlightStats' });
+      if (report && report.warnings && report.warnings.length > 0) {
+        document.getElementById('storageBtn').classList.add('quota-warning');
+        this.updateStatus('⚠️ ' + report.warnings[0]);
+      }
+    } catch (error) {
+      console.error('Error checking storage usage:', error);
+    }
+  }
+
+  /**
+   * Show the storage dashboard: usage per quota and domain, the oldest and largest pages, and cleanup actions
+   */
+  async showStorageDashboard() {
+    const modal = document.createElement('div');
+    modal.className = 'highlights-modal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>Storage</h3>
+          <button class="close-btn" id="closeModal">×</button>
+        </div>
+        <div class="modal-body storage-dashboard">
+          <div class="storage-empty">Measuring storage...</div>
+        </div>
+        <div class="modal-footer">
+          <button class="btn btn-secondary" id="closeModalBtn">Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    modal.querySelector('#closeModal').addEventListener('click', () => this.closeModal(modal));
+    modal.querySelector('#closeModalBtn').addEventListener('click', () => this.closeModal(modal));
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        this.closeModal(modal);
+      }
+    });
+
+    await this.refreshStorageDashboard(modal);
+  }
+
+  /**
+   * Measure storage again and redraw the dashboard
+   */
+  async refreshStorageDashboard(modal) {
+    const body = modal.querySelector('.modal-body');
+    try {
+      const report = await browser.runtime.sendMessage({ action: 'getHighlightStats' });
+      if (!report || !report.success) {
+        throw new Error(report?.error || 'Unknown error');
+      }
+      body.innerHTML = this.renderStorageDashboard(report);
+      this.bindStorageDashboardEvents(report, modal);
+      document.getElementById('storageBtn').classList.toggle('quota-warning', report.warnings.length > 0);
+    } catch (error) {
+      console.error('Error loading storage usage:', error);
+      body.innerHTML = `<div class="storage-empty">Could not measure storage: ${this.markdown.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  /**
+   * Render the dashboard's sections from a usage report
+   */
+  renderStorageDashboard(report) {
+    const html = text => this.markdown.escapeHtml(String(text));
+    const plural = (count, word) => `${count} ${word}${count !== 1 ? 's' : ''}`;
+    const pageRow = (page, detail) => `
+      <div class="storage-row" title="${html(page.url)}">
+        <span class="storage-name">${html(page.title || this.getDomainFromUrl(page.url))}</span>
+        <span class="storage-detail">${detail}</span>
+      </div>
+    `;
+    const oldest = report.pages.slice().sort((a, b) => a.updatedAt - b.updatedAt).slice(0, 5);
+    const largest = report.pages.slice().sort((a, b) => b.bytes - a.bytes).slice(0, 5);
+
+    return `
+      ${report.quotas.map(quota => `
+        <div class="storage-quota storage-${quota.level}">
+          <div class="storage-quota-label">
+            <span>${html(quota.name)}</span>
+            <span>${this.formatBytes(quota.used)} of ${this.formatBytes(quota.limit)}</span>
+          </div>
+          <div class="storage-meter"><div style="width: ${Math.min(100, quota.ratio * 100).toFixed(1)}%"></div></div>
+        </div>
+      `).join('')}
+      ${report.warnings.map(warning => `<div class="storage-alert">⚠️ ${html(warning)}</div>`).join('')}
+      <div class="storage-summary">
+        ${plural(report.totalHighlights, 'highlight')} on ${plural(report.totalPages, 'page')}:
+        ${this.formatBytes(report.breakdown.highlights)}.
+        Teammates' highlights ${this.formatBytes(report.breakdown.shared)},
+        the trash ${this.formatBytes(report.breakdown.trash)},
+        settings and other data ${this.formatBytes(report.breakdown.other)}.
+      </div>
+
+      <h4>By domain</h4>
+      ${report.domains.length === 0 ? '<div class="storage-empty">No highlights yet</div>' : ''}
+      ${report.domains.slice(0, 10).map(domain => `
+        <div class="storage-row">
+          <span class="storage-name">${html(domain.domain)}</span>
+          <span class="storage-detail">${plural(domain.highlights, 'highlight')} · ${this.formatBytes(domain.bytes)}</span>
+        </div>
+      `).join('')}
+
+      ${report.pages.length > 0 ? `
+        <h4>Oldest pages</h4>
+        ${oldest.map(page => pageRow(page, `changed ${new Date(page.updatedAt).toLocaleDateString()}`)).join('')}
+        <h4>Largest pages</h4>
+        ${largest.map(page => pageRow(page, `${plural(page.count, 'highlight')} · ${this.formatBytes(page.bytes)}`)).join('')}
+      ` : ''}
+
+      <h4>Clean up</h4>
+      <div class="storage-cleanup">
+        <label for="cleanupDays">Pages not changed in</label>
+        <input type="number" id="cleanupDays" min="1" value="365"> days
+        <button class="btn btn-secondary" id="cleanupOldBtn"></button>
+      </div>
+      <div class="storage-cleanup">
+        <span>${plural(report.orphaned, 'highlight')} not found on their page</span>
+        <button class="btn btn-secondary" id="cleanupOrphanedBtn" ${report.orphaned === 0 ? 'disabled' : ''}>Delete</button>
+      </div>
+      <div class="storage-cleanup">
+        <span>${plural(report.duplicates, 'duplicate highlight')}</span>
+        <button class="btn btn-secondary" id="cleanupDuplicatesBtn" ${report.duplicates === 0 ? 'disabled' : ''}>Merge</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Bind the cleanup actions; each asks first and redraws the dashboard afterwards
+   */
+  bindStorageDashboardEvents(report, modal) {
+    const plural = (count, word) => `${count} ${word}${count !== 1 ? 's' : ''}`;
+    const daysInput = modal.querySelector('#cleanupDays');
+    const oldButton = modal.querySelector('#cleanupOldBtn');
+    const oldPages = () => {
+      const cutoff = Date.now() - parseInt(daysInput.value) * 24 * 60 * 60 * 1000;
+      return report.pages.filter(page => page.updatedAt < cutoff);
+    };
+    const updateOldButton = () => {
+      const count = daysInput.value > 0 ? oldPages().length : 0;
+      oldButton.textContent = `Delete ${plural(count, 'page')}`;
+      oldButton.disabled = count === 0;
+    };
+    daysInput.addEventListener('input', updateOldButton);
+    updateOldButton();
+
+    oldButton.addEventListener('click', () => {
+      const pages = oldPages();
+      const highlights = pages.reduce((sum, page) => sum + page.count, 0);
+      this.cleanupStorage(modal, { cleanup: 'olderThan', days: parseInt(daysInput.value) },
+        `Move ${plural(highlights, 'highlight')} on ${plural(pages.length, 'page')} not changed in ${daysInput.value} days to the trash?`);
+    });
+    modal.querySelector('#cleanupOrphanedBtn').addEventListener('click', () => {
+      this.cleanupStorage(modal, { cleanup: 'orphaned' },
+        `Move ${plural(report.orphaned, 'highlight')} that could not be found on their page to the trash?`);
+    });
+    modal.querySelector('#cleanupDuplicatesBtn').addEventListener('click', () => {
+      this.cleanupStorage(modal, { cleanup: 'duplicates' },
+        `Merge ${plural(report.duplicates, 'duplicate highlight')} into the copies they repeat? Notes, tags and collections are kept, and the merged copies go to the trash.`);
+    });
+  }
+
+  /**
+   * Run a cleanup action after the user confirms it
+   */
+  async cleanupStorage(modal, request, question) {
+    if (!confirm(question)) {
+      return;
+    }
+
+    try {
+      const response = await browser.runtime.sendMessage(Object.assign({ action: 'cleanupStorage' }, request));
+      if (response && response.success) {
+        this.updateStatus(`${request.cleanup === 'duplicates' ? 'Merged' : 'Moved'} ${response.highlights} highlights on ${response.pages} page${response.pages !== 1 ? 's' : ''} to the trash`);
+      } else {
+        this.updateStatus('Cleanup failed: ' + (response?.error || 'Unknown error'));
+      }
+    } catch (error) {
+      console.error('Error cleaning up storage:', error);
+      this.updateStatus('Error: ' + error.message);
+    }
+    await this.refreshStorageDashboard(modal);
+  }
+
+  /**
+   * Format a size in bytes for display
+   */
+  formatBytes(bytes) {
+    if (bytes < 1024) {
+      return `${bytes} B`;
+    }
+    const units = ['KB', 'MB', 'GB'];
+    let size = bytes / 1024;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+      size /= 1024;
+      unit++;
+    }
+    return `${size.toFixed(size < 10 ? 1 : 0)} ${units[unit]}`;
+  }
+
+  /**
+   * Show the clear and trash manager: clear highlights by domain, date range, color or tag, and
+   * restore earlier clears from the trash
+   */
+  async showTrashManager() {
+    const pages = await this.store.getAllPages();
+    const records = Object.values(pages).flat();
+    const domains = Array.from(new Set(Object.keys(pages).map(url => this.getDomainFromUrl(url)))).sort();
+    const tags = Array.from(new Set(records.flatMap(record => record.tags || []))).sort();
+    const colors = Array.from(new Set(records.map(record => record.color).filter(Boolean)));
+
+    const modal = document.createElement('div');
+    modal.className = 'highlights-modal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>Clear and Restore Highlights</h3>
+          <button class="close-btn" id="closeModal">×</button>
+        </div>
+        <div class="modal-body">
+          <h4 class="trash-heading">Clear highlights matching</h4>
+          <div class="clear-form">
+            <label for="clearDomain">Domain</label>
+            <input type="text" id="clearDomain" list="clearDomains" placeholder="Any domain" spellcheck="false">
+            <datalist id="clearDomains">
+              ${domains.map(domain => `<option value="${this.markdown.escapeHtml(domain)}">`).join('')}
+            </datalist>
+            <label for="clearFrom">Made from</label>
+            <div class="clear-dates">
+              <input type="date" id="clearFrom">
+              <label for="clearTo">to</label>
+              <input type="date" id="clearTo">
+            </div>
+            <label for="clearColor">Color</label>
+            <select id="clearColor">
+              <option value="">Any color</option>
+              ${colors.map(color => `<option value="${this.markdown.escapeHtml(color)}">${this.markdown.escapeHtml(this.describeColor(color))}</option>`).join('')}
+            </select>
+            <label for="clearTag">Tag</label>
+            <select id="clearTag">
+              <option value="">Any tag</option>
+              ${tags.map(tag => `<option value="${this.markdown.escapeHtml(tag)}">#${this.markdown.escapeHtml(tag)}</option>`).join('')}
+            </select>
+          </div>
+          <div class="clear-actions">
+            <span class="sync-status" id="clearPreview"></span>
+            <button class="btn btn-secondary" id="clearMatchingBtn" disabled>Move to Trash</button>
+          </div>
+
+          <h4 class="trash-heading">Trash</h4>
+          <div class="clear-form">
+            <label for="trashRetention">Keep for</label>
+            <select id="trashRetention">
+              ${[1, 7, 30, 90, 365].map(days => `<option value="${days}">${days} day${days !== 1 ? 's' : ''}</option>`).join('')}
+            </select>
+          </div>
+          <div class="websites-list" id="trashList"></div>
+        </div>
+        <div class="modal-footer">
+          <button class="btn btn-secondary" id="emptyTrashBtn">Empty Trash</button>
+          <button class="btn btn-secondary" id="closeModalBtn">Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    modal.querySelector('#closeModal').addEventListener('click', () => this.closeModal(modal));
+    modal.querySelector('#closeModalBtn').addEventListener('click', () => this.closeModal(modal));
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        this.closeModal(modal);
+      }
+    });
+
+    // Count the matching highlights as the filter changes
+    let previewTimer = null;
+    ['clearDomain', 'clearFrom', 'clearTo', 'clearColor', 'clearTag'].forEach(id => {
+      modal.querySelector('#' + id).addEventListener('input', () => {
+        clearTimeout(previewTimer);
+        previewTimer = setTimeout(() => this.previewClear(modal), 150);
+      });
+    });
+    modal.querySelector('#clearMatchingBtn').addEventListener('click', () => this.clearMatching(modal));
+    modal.querySelector('#trashRetention').addEventListener('change', async (e) => {
+      await this.store.setSettings({ trashRetentionDays: parseInt(e.target.value) });
+      this.updateStatus(`Cleared highlights stay in the trash for ${e.target.selectedOptions[0].textContent}`);
+      this.loadTrash(modal);
+    });
+    modal.querySelector('#emptyTrashBtn').addEventListener('click', () => this.deleteFromTrash(modal, null));
+
+    this.previewClear(modal);
+    await this.loadTrash(modal);
+  }
+
+  /**
+   * Read the clear filter from the form; dates cover whole days
+   */
+  readClearFilter(modal) {
+    const filter = {};
+    const domain = modal.querySelector('#clearDomain').value.trim();
+    const from = modal.querySelector('#clearFrom').value;
+    const to = modal.querySelector('#clearTo').value;
+    const color = modal.querySelector('#clearColor').value;
+    const tag = modal.querySelector('#clearTag').value;
+    if (domain) {
+      filter.domain = domain;
+    }
+    if (from) {
+      filter.from = new Date(from + 'T00:00:00').getTime();
+    }
+    if (to) {
+      filter.to = new Date(to + 'T23:59:59.999').getTime();
+    }
+    if (color) {
+      filter.color = color;
+    }
+    if (tag) {
+      filter.tag = tag;
+    }
+    return filter;
+  }
+
+  /**
+   * Show how many highlights the current filter would clear
    */
-  async highlightSelection() {
+  async previewClear(modal) {
+    const preview = modal.querySelector('#clearPreview');
+    const button = modal.querySelector('#clearMatchingBtn');
     try {
-      const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
-      
-      if (!tab.url || !tab.url.startsWith('http')) {
-        this.updateStatus('Cannot highlight on this page type');
-        return;
+      const response = await browser.runtime.sendMessage({ action: 'previewClear', filter: this.readClearFilter(modal) });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Unknown error');
       }
+      preview.textContent = `${response.highlights} highlight${response.highlights !== 1 ? 's' : ''} on ${response.pages} page${response.pages !== 1 ? 's' : ''}`;
+      button.disabled = response.highlights === 0;
+    } catch (error) {
+      console.error('Error previewing clear:', error);
+      preview.textContent = 'Error: ' + error.message;
+      button.disabled = true;
+    }
+  }
 
-      // Send message to content script to highlight selection
-      const response = await browser.tabs.sendMessage(tab.id, {
-        action: 'highlightSelection',
-        color: this.currentColor
-      });
+  /**
+   * Move the highlights matching the form to the trash
+   */
+  async clearMatching(modal) {
+    const filter = this.readClearFilter(modal);
+    const everything = Object.keys(filter).length === 0;
+    const question = everything
+      ? 'Move ALL highlights on every page to the trash?'
+      : `Move ${modal.querySelector('#clearPreview').textContent} matching ${this.describeFilter(filter)} to the trash?`;
+    if (!confirm(question)) {
+      return;
+    }
 
+    try {
+      const response = await browser.runtime.sendMessage({ action: 'clearHighlights', filter: filter });
       if (response && response.success) {
-        this.updateStatus(`Highlighted text with ${this.currentColor}`);
-        
-        // Close popup after successful highlight
-        setTimeout(() => {
-          window.close();
-        }, 1000);
+        this.updateStatus(`Moved ${response.highlights} highlights to the trash`);
       } else {
-        this.updateStatus('No text selected or highlighting failed');
+        this.updateStatus('Clear failed: ' + (response?.error || 'Unknown error'));
       }
     } catch (error) {
-      console.error('Error highlighting selection:', error);
+      console.error('Error clearing highlights:', error);
       this.updateStatus('Error: ' + error.message);
     }
+    await this.previewClear(modal);
+    await this.loadTrash(modal);
   }
 
   /**
-   * Clear all highlights on the current page
+   * List the snapshots in the trash with their restore and delete buttons
    */
-  async clearAllHighlights() {
+  async loadTrash(modal) {
+    const list = modal.querySelector('#trashList');
     try {
-      const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
-      
-      if (!tab.url || !tab.url.startsWith('http')) {
-        this.updateStatus('Cannot clear highlights on this page type');
-        return;
-      }
-
-      // First check if there are any highlights to clear
-      const result = await browser.storage.local.get(tab.url);
-      const highlights = result[tab.url] || [];
-      
-      if (highlights.length === 0) {
-        this.updateStatus('No highlights found on this page');
-        return;
+      const trash = await browser.runtime.sendMessage({ action: 'getTrash' });
+      if (!trash || !trash.success) {
+        throw new Error(trash?.error || 'Unknown error');
       }
+      modal.querySelector('#trashRetention').value = String(trash.retentionDays);
+      modal.querySelector('#emptyTrashBtn').disabled = trash.entries.length === 0;
 
-      // Confirm deletion
-      if (!confirm(`Are you sure you want to delete all ${highlights.length} highlights from this page?`)) {
+      if (trash.entries.length === 0) {
+        list.innerHTML = '<div class="storage-empty">The trash is empty</div>';
         return;
       }
+      list.innerHTML = trash.entries.map(entry => `
+        <div class="website-item trash-item">
+          <div class="website-info">
+            <div class="website-url">${entry.count} highlight${entry.count !== 1 ? 's' : ''} on ${entry.pageCount} page${entry.pageCount !== 1 ? 's' : ''}</div>
+            <div class="website-details">
+              <span class="highlight-count">${this.markdown.escapeHtml(this.describeFilter(entry.filter))}</span>
+              <span class="website-full-url">Cleared ${new Date(entry.createdAt).toLocaleString()}, kept until ${new Date(entry.expiresAt).toLocaleDateString()}</span>
+            </div>
+          </div>
+          <div class="website-actions">
+            <button class="view-highlights-btn restore-trash-btn" data-id="${this.markdown.escapeHtml(entry.id)}">↩️ Restore</button>
+            <button class="delete-website-btn delete-trash-btn" data-id="${this.markdown.escapeHtml(entry.id)}">🗑️ Delete</button>
+          </div>
+        </div>
+      `).join('');
 
-      // Send message to content script to clear highlights
-      const response = await browser.tabs.sendMessage(tab.id, {
-        action: 'clearAllHighlights'
+      list.querySelectorAll('.restore-trash-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => this.restoreFromTrash(modal, e.target.dataset.id));
+      });
+      list.querySelectorAll('.delete-trash-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => this.deleteFromTrash(modal, [e.target.dataset.id]));
       });
+    } catch (error) {
+      console.error('Error loading the trash:', error);
+      list.innerHTML = `<div class="storage-empty">Could not load the trash: ${this.markdown.escapeHtml(error.message)}</div>`;
+    }
+  }
 
+  /**
+   * Put a snapshot's highlights back on their pages
+   */
+  async restoreFromTrash(modal, trashId) {
+    try {
+      const response = await browser.runtime.sendMessage({ action: 'restoreTrash', trashId: trashId });
       if (response && response.success) {
-        this.updateStatus(`Successfully cleared ${response.count} highlights`);
-        
-        // Close popup after successful clear
-        setTimeout(() => {
-          window.close();
-        }, 1500);
+        this.updateStatus(`Restored ${response.highlights} highlights on ${response.pages} page${response.pages !== 1 ? 's' : ''}`);
       } else {
-        this.updateStatus('Failed to clear highlights: ' + (response?.message || 'Unknown error'));
+        this.updateStatus('Restore failed: ' + (response?.error || 'Unknown error'));
       }
     } catch (error) {
-      console.error('Error clearing highlights:', error);
+      console.error('Error restoring from the trash:', error);
       this.updateStatus('Error: ' + error.message);
     }
+    await this.previewClear(modal);
+    await this.loadTrash(modal);
   }
 
   /**
-   * Manage highlights on the current page
+   * Delete snapshots from the trash for good; the whole trash without ids
    */
-  async manageHighlights() {
+  async deleteFromTrash(modal, trashIds) {
+    const question = trashIds
+      ? 'Delete these highlights for good? They cannot be restored afterwards.'
+      : 'Empty the trash? Its highlights cannot be restored afterwards.';
+    if (!confirm(question)) {
+      return;
+    }
+
     try {
-      // Get all stored highlights from all websites
-      const result = await browser.storage.local.get();
-      const urlHighlights = {};
-      
-      // Group highlights by URL
-      Object.keys(result).forEach(key => {
-        if (key !== 'defaultHighlightColor' && key.startsWith('http')) {
-          if (Array.isArray(result[key]) && result[key].length > 0) {
-            urlHighlights[key] = result[key];
-          }
-        }
-      });
-      
-      if (Object.keys(urlHighlights).length > 0) {
-        this.showWebsitesManager(urlHighlights);
+      const response = await browser.runtime.sendMessage({ action: 'deleteTrash', trashIds: trashIds });
+      if (response && response.success) {
+        this.updateStatus(trashIds ? 'Deleted from the trash' : 'Emptied the trash');
       } else {
-        this.updateStatus('No highlights found on any website');
+        this.updateStatus('Error: ' + (response?.error || 'Unknown error'));
       }
     } catch (error) {
-      console.error('Error managing highlights:', error);
+      console.error('Error deleting from the trash:', error);
       this.updateStatus('Error: ' + error.message);
     }
+    await this.loadTrash(modal);
   }
 
   /**
-   * Refresh the highlights list (useful after clearing highlights)
+   * Describe a clear filter in words, e.g. "example.com, #todo, Yellow"
    */
-  async refreshHighlightsList() {
-    try {
-      const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
-      
-      if (tab.url && tab.url.startsWith('http')) {
-        // Get updated highlights for current page
-        const result = await browser.storage.local.get(tab.url);
-        const highlights = result[tab.url] || [];
-        
-        if (highlights.length === 0) {
-          this.updateStatus('No highlights on this page');
-        } else {
-          this.updateStatus(`${highlights.length} highlights on this page`);
-        }
-      }
-    } catch (error) {
-      console.error('Error refreshing highlights list:', error);
+  describeFilter(filter) {
+    const cleanups = {
+      olderThan: `Pages not changed in ${filter.days} days`,
+      orphaned: 'Highlights not found on their page',
+      duplicates: 'Merged duplicates'
+    };
+    if (filter.cleanup) {
+      return cleanups[filter.cleanup] || 'Storage cleanup';
+    }
+    const parts = [];
+    const date = time => new Date(time).toLocaleDateString();
+    if (filter.url) {
+      parts.push(this.truncateText(filter.url, 60));
+    }
+    if (filter.domain) {
+      parts.push(filter.domain);
+    }
+    if (filter.from && filter.to) {
+      parts.push(`made ${date(filter.from)} – ${date(filter.to)}`);
+    } else if (filter.from) {
+      parts.push(`made since ${date(filter.from)}`);
+    } else if (filter.to) {
+      parts.push(`made until ${date(filter.to)}`);
     }
+    if (filter.color) {
+      parts.push(this.describeColor(filter.color));
+    }
+    if (filter.tag) {
+      parts.push('#' + filter.tag);
+    }
+    return parts.length > 0 ? parts.join(', ') : 'All highlights';
+  }
+
+  /**
+   * Name a color by its palette name and label, or its hex code
+   */
+  describeColor(color) {
+    const entry = this.palette.find(candidate => candidate.color.toLowerCase() === color.toLowerCase());
+    const label = this.colorLabels[color];
+    const name = entry ? entry.name : color;
+    return label ? `${name} – ${label}` : name;
   }
 
   /**
@@ -299,6 +1511,7 @@ class PopupManager {
    */
   showWebsitesManager(urlHighlights) {
     const totalHighlights = Object.values(urlHighlights).reduce((sum, highlights) => sum + highlights.length, 0);
+    const filters = this.collectFilters(urlHighlights);
     
     // Create modal overlay
     const modal = document.createElement('div');
@@ -309,26 +1522,37 @@ class PopupManager {
           <h3>Manage Highlights (${Object.keys(urlHighlights).length} websites, ${totalHighlights} total highlights)</h3>
           <button class="close-btn" id="closeModal">×</button>
         </div>
-        <div class="modal-body">
-          <div class="websites-list">
-            ${Object.entries(urlHighlights).map(([url, highlights]) => `
-              <div class="website-item" data-url="${url}">
-                <div class="website-info">
-                  <div class="website-url">${this.getDomainFromUrl(url)}</div>
-                  <div class="website-details">
-                    <span class="highlight-count">${highlights.length} highlight${highlights.length !== 1 ? 's' : ''}</span>
-                    <span class="website-full-url">${url}</span>
-                  </div>
-                </div>
-                <div class="website-actions">
-                  <button class="view-highlights-btn" data-url="${url}" data-count="${highlights.length}">👁️ View</button>
-                  <button class="delete-website-btn" data-url="${url}">🗑️ Delete All</button>
-                </div>
-              </div>
+        <div class="manager-toolbar">
+          <input type="search" id="searchInput" placeholder="Search text, notes, titles and domains">
+          <select id="filterSelect">
+            <option value="">All websites</option>
+            ${filters.orphans ? '<option value="status:orphaned">Could not be placed</option>' : ''}
+            ${filters.labels.map(({ color, label }) => `
+              <option value="label:${this.markdown.escapeHtml(color)}">Label: ${this.markdown.escapeHtml(label)}</option>
             `).join('')}
-          </div>
+            ${filters.tags.map(tag => `
+              <option value="tag:${this.markdown.escapeHtml(tag)}">Tag: #${this.markdown.escapeHtml(tag)}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="modal-body">
+          ${this.renderWebsitesList(urlHighlights)}
         </div>
         <div class="modal-footer">
+          <div class="export-controls">
+            <select id="exportScope" title="What to export">
+              <option value="page">This page</option>
+              <option value="domain">This domain</option>
+              <option value="all">Everything</option>
+            </select>
+            <select id="exportFormat" title="Export format">
+              <option value="markdown">Markdown</option>
+              <option value="html">HTML report</option>
+              <option value="csv">CSV</option>
+              <option value="json">JSON (lossless)</option>
+            </select>
+            <button class="btn btn-info" id="exportBtn">⬇️ Export</button>
+          </div>
           <button class="btn btn-secondary" id="closeModalBtn">Close</button>
         </div>
       </div>
@@ -340,7 +1564,252 @@ class PopupManager {
     // Add event listeners
     modal.querySelector('#closeModal').addEventListener('click', () => this.closeModal(modal));
     modal.querySelector('#closeModalBtn').addEventListener('click', () => this.closeModal(modal));
+    modal.querySelector('#exportBtn').addEventListener('click', () => {
+      this.exportHighlights(modal.querySelector('#exportScope').value, modal.querySelector('#exportFormat').value);
+    });
+    this.bindWebsitesListEvents(modal);
+    
+    // Filter by tag or label across all websites
+    modal.querySelector('#filterSelect').addEventListener('change', () => {
+      this.refreshManagerBody(urlHighlights, modal);
+    });
+    
+    // Search across all websites as the user types
+    let searchTimer = null;
+    modal.querySelector('#searchInput').addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => this.refreshManagerBody(urlHighlights, modal), 150);
+    });
+    modal.querySelector('#searchInput').focus();
+
+    // Close modal when clicking outside
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        this.closeModal(modal);
+      }
+    });
+  }
+
+  /**
+   * Show search results, filtered highlights or the websites list depending on the toolbar
+   */
+  refreshManagerBody(urlHighlights, modal) {
+    const query = modal.querySelector('#searchInput').value.trim();
+    const filter = modal.querySelector('#filterSelect').value;
+    
+    if (query) {
+      this.showSearchResults(urlHighlights, query, filter, modal);
+    } else if (filter) {
+      this.showFilteredHighlights(urlHighlights, filter, modal);
+    } else {
+      modal.querySelector('.modal-body').innerHTML = this.renderWebsitesList(urlHighlights);
+      this.bindWebsitesListEvents(modal);
+    }
+  }
+
+  /**
+   * Rank every highlight against a query; all terms must match somewhere
+   */
+  searchHighlights(urlHighlights, query, filter) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const phrase = query.toLowerCase();
+    const results = [];
+    
+    Object.entries(urlHighlights).forEach(([url, highlights]) => {
+      const domain = this.getDomainFromUrl(url).toLowerCase();
+      highlights.forEach(highlight => {
+        if (filter && !this.matchesFilter(highlight, filter)) {
+          return;
+        }
+        
+        // Matches in the highlighted text count most, the domain least
+        const fields = [
+          { value: (highlight.text || '').toLowerCase(), weight: 4 },
+          { value: (highlight.note || '').toLowerCase(), weight: 3 },
+          { value: (highlight.title || '').toLowerCase(), weight: 2 },
+          { value: domain, weight: 1 }
+        ];
+        
+        let score = 0;
+        const allTermsMatch = terms.every(term => {
+          const matching = fields.filter(field => field.value.includes(term));
+          matching.forEach(field => {
+            score += field.weight;
+            // Reward whole-word matches over substrings
+            if (new RegExp(`\\b${this.escapeRegExp(term)}\\b`).test(field.value)) {
+              score += field.weight / 2;
+            }
+          });
+          return matching.length > 0;
+        });
+        if (!allTermsMatch) {
+          return;
+        }
+        
+        if (terms.length > 1 && fields.some(field => field.value.includes(phrase))) {
+          score += 5;
+        }
+        results.push({ url: url, highlight: highlight, score: score });
+      });
+    });
+    
+    return results.sort((a, b) => b.score - a.score || (b.highlight.timestamp || 0) - (a.highlight.timestamp || 0));
+  }
+
+  /**
+   * Show ranked search results; clicking one opens its page at the highlight
+   */
+  showSearchResults(urlHighlights, query, filter, modal) {
+    const results = this.searchHighlights(urlHighlights, query, filter);
+    
+    const modalBody = modal.querySelector('.modal-body');
+    modalBody.innerHTML = `
+      <div class="highlights-view">
+        <div class="view-header">
+          <h4>${results.length} result${results.length !== 1 ? 's' : ''}</h4>
+        </div>
+        <div class="highlights-list">
+          ${results.map(({ url, highlight }) => `
+            <div class="search-result">
+              <div class="search-result-page">
+                ${this.markdown.escapeHtml(highlight.title || this.getDomainFromUrl(url))}
+                <span class="search-result-domain">${this.markdown.escapeHtml(this.getDomainFromUrl(url))}</span>
+              </div>
+              ${this.renderHighlightItem(highlight, url)}
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+    this.bindHighlightItemEvents(modalBody);
+  }
+
+  /**
+   * Make every listed highlight jump to its place on the page when clicked
+   */
+  bindHighlightItemEvents(container) {
+    container.querySelectorAll('.highlight-item[data-url]').forEach(item => {
+      item.addEventListener('click', () => {
+        this.openHighlight(item.dataset.url, item.dataset.id);
+      });
+    });
+    
+    // The color swatch opens a palette to recolor the highlight instead
+    container.querySelectorAll('.highlight-item .recolor-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.toggleRecolorPalette(btn.closest('.highlight-item'));
+      });
+    });
+  }
+
+  /**
+   * Show or hide the palette for recoloring a listed highlight
+   */
+  toggleRecolorPalette(item) {
+    const existing = item.querySelector('.recolor-palette');
+    if (existing) {
+      existing.remove();
+      return;
+    }
+    
+    const current = item.querySelector('.recolor-btn').dataset.color;
+    const palette = document.createElement('div');
+    palette.className = 'recolor-palette';
+    palette.innerHTML = this.palette.map(entry => `
+      <button class="recolor-option${entry.color === current ? ' current' : ''}" data-color="${entry.color}"
+        title="${this.markdown.escapeHtml(entry.label ? `${entry.name} – ${entry.label}` : entry.name)}"
+        style="background-color: ${entry.color}"></button>
+    `).join('');
     
+    palette.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const option = e.target.closest('.recolor-option');
+      if (option && option.dataset.color !== current) {
+        this.recolorHighlight(item, option.dataset.color);
+      }
+    });
+    item.querySelector('.highlight-body').appendChild(palette);
+  }
+
+  /**
+   * Change a listed highlight's color in storage. Open tabs of its page redraw it
+   * through their storage listener.
+   */
+  async recolorHighlight(item, color) {
+    try {
+      const url = item.dataset.url;
+      const highlights = await this.store.getPage(url);
+      const highlight = highlights.find(h => h.id === item.dataset.id);
+      if (!highlight) {
+        this.updateStatus('Highlight not found');
+        return;
+      }
+      
+      highlight.color = color;
+      highlight.updatedAt = Date.now();
+      await this.store.savePage(url, highlights);
+      
+      // Re-render the item so its label follows the new color
+      const template = document.createElement('div');
+      template.innerHTML = this.renderHighlightItem(highlight, url);
+      this.bindHighlightItemEvents(template);
+      item.replaceWith(template.firstElementChild);
+      this.updateStatus('Highlight color changed');
+    } catch (error) {
+      console.error('Error recoloring highlight:', error);
+      this.updateStatus('Error changing color');
+    }
+  }
+
+  /**
+   * Open or focus a highlight's page, scroll to it and flash it
+   */
+  async openHighlight(url, highlightId) {
+    try {
+      // The background script does the work; this popup closes once the page takes focus
+      browser.runtime.sendMessage({ action: 'openHighlight', url: url, highlightId: highlightId });
+      window.close();
+    } catch (error) {
+      console.error('Error opening highlight:', error);
+      this.updateStatus('Error: ' + error.message);
+    }
+  }
+
+  /**
+   * Render the list of websites that have highlights
+   */
+  renderWebsitesList(urlHighlights) {
+    return `
+      <div class="websites-list">
+        ${Object.entries(urlHighlights).map(([url, highlights]) => {
+          const orphans = highlights.filter(highlight => highlight.orphaned).length;
+          const escapedUrl = this.markdown.escapeHtml(url);
+          return `
+          <div class="website-item" data-url="${escapedUrl}">
+            <div class="website-info">
+              <div class="website-url">${this.markdown.escapeHtml(this.getDomainFromUrl(url))}</div>
+              <div class="website-details">
+                <span class="highlight-count">${highlights.length} highlight${highlights.length !== 1 ? 's' : ''}</span>
+                ${orphans > 0 ? `<span class="orphan-count" title="Last time the page was open">⚠️ ${orphans} not found on page</span>` : ''}
+                <span class="website-full-url">${escapedUrl}</span>
+              </div>
+            </div>
+            <div class="website-actions">
+              <button class="view-highlights-btn" data-url="${escapedUrl}" data-count="${highlights.length}">👁️ View</button>
+              <button class="delete-website-btn" data-url="${escapedUrl}">🗑️ Delete All</button>
+            </div>
+          </div>
+        `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Bind the view and delete buttons of the websites list
+   */
+  bindWebsitesListEvents(modal) {
     // Add view highlights button listeners
     modal.querySelectorAll('.view-highlights-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -357,13 +1826,101 @@ class PopupManager {
         this.deleteAllHighlightsForWebsite(url, modal);
       });
     });
+  }
 
-    // Close modal when clicking outside
-    modal.addEventListener('click', (e) => {
-      if (e.target === modal) {
-        this.closeModal(modal);
-      }
+  /**
+   * Collect the labels and tags in use across all websites
+   */
+  collectFilters(urlHighlights) {
+    const colors = new Set();
+    const tags = new Set();
+    Object.values(urlHighlights).forEach(highlights => {
+      highlights.forEach(highlight => {
+        colors.add(highlight.color);
+        (highlight.tags || []).forEach(tag => tags.add(tag));
+      });
     });
+    
+    return {
+      orphans: Object.values(urlHighlights).some(highlights => highlights.some(highlight => highlight.orphaned)),
+      labels: Array.from(colors)
+        .filter(color => this.colorLabels[color])
+        .map(color => ({ color: color, label: this.colorLabels[color] })),
+      tags: Array.from(tags).sort()
+    };
+  }
+
+  /**
+   * Check whether a highlight matches a "tag:", "label:" or "status:" filter
+   */
+  matchesFilter(highlight, filter) {
+    const [type, ...rest] = filter.split(':');
+    const value = rest.join(':');
+    if (type === 'tag') {
+      return (highlight.tags || []).includes(value);
+    }
+    if (type === 'label') {
+      return highlight.color === value;
+    }
+    if (type === 'status') {
+      return value === 'orphaned' && !!highlight.orphaned;
+    }
+    return true;
+  }
+
+  /**
+   * Show highlights from every website that match a filter
+   */
+  showFilteredHighlights(urlHighlights, filter, modal) {
+    const groups = Object.entries(urlHighlights)
+      .map(([url, highlights]) => [url, highlights.filter(highlight => this.matchesFilter(highlight, filter))])
+      .filter(([, highlights]) => highlights.length > 0);
+    const total = groups.reduce((sum, [, highlights]) => sum + highlights.length, 0);
+    
+    const modalBody = modal.querySelector('.modal-body');
+    modalBody.innerHTML = `
+      <div class="highlights-view">
+        <div class="view-header">
+          <h4>${total} matching highlight${total !== 1 ? 's' : ''}</h4>
+        </div>
+        ${groups.map(([url, highlights]) => `
+          <div class="filtered-group">
+            <div class="filtered-group-title">${this.markdown.escapeHtml(this.getDomainFromUrl(url))}</div>
+            <div class="highlights-list">
+              ${highlights.map(highlight => this.renderHighlightItem(highlight, url)).join('')}
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+    this.bindHighlightItemEvents(modalBody);
+  }
+
+  /**
+   * Render a single highlight with its label, tags and note
+   */
+  renderHighlightItem(highlight, url) {
+    const escape = (text) => this.markdown.escapeHtml(text);
+    const color = escape(highlight.color);
+    const label = this.colorLabels[highlight.color];
+    const tags = highlight.tags || [];
+    return `
+      <div class="highlight-item" data-id="${escape(highlight.id)}" data-url="${escape(url)}" title="Show on page">
+        <div class="highlight-preview" style="background-color: ${color}"></div>
+        <div class="highlight-body">
+          <div class="highlight-text">${escape(this.truncateText(highlight.text, 60))}</div>
+          ${label || tags.length > 0 || highlight.orphaned ? `
+            <div class="highlight-meta">
+              ${highlight.orphaned ? '<span class="highlight-orphan" title="Could not be placed the last time the page was open">⚠️ Not found on page</span>' : ''}
+              ${label ? `<span class="highlight-label">${escape(label)}</span>` : ''}
+              ${tags.map(tag => `<span class="highlight-tag">#${escape(tag)}</span>`).join('')}
+            </div>
+          ` : ''}
+          ${highlight.note ? `<div class="highlight-note">${this.markdown.render(highlight.note)}</div>` : ''}
+        </div>
+        <button class="highlight-color recolor-btn" data-color="${color}" title="Change color" style="background-color: ${color}"></button>
+      </div>
+    `;
   }
 
   /**
@@ -371,8 +1928,10 @@ class PopupManager {
    */
   async viewHighlightsForWebsite(url, count, modal) {
     try {
-      const result = await browser.storage.local.get(url);
-      const highlights = result[url] || [];
+      const highlights = await this.store.getPage(url);
+      
+      // "This page" and "This domain" exports now refer to the website being viewed
+      this.viewedUrl = url;
       
       // Replace modal content with highlights view
       const modalBody = modal.querySelector('.modal-body');
@@ -380,23 +1939,20 @@ class PopupManager {
         <div class="highlights-view">
           <div class="view-header">
             <button class="back-btn" id="backToWebsites">← Back to Websites</button>
-            <h4>${this.getDomainFromUrl(url)} (${count} highlights)</h4>
+            <h4>${this.markdown.escapeHtml(this.getDomainFromUrl(url))} (${count} highlights)</h4>
           </div>
           <div class="highlights-list">
-            ${highlights.map((highlight, index) => `
-              <div class="highlight-item" data-id="${highlight.id}">
-                <div class="highlight-preview" style="background-color: ${highlight.color}"></div>
-                <div class="highlight-text">${this.truncateText(highlight.text, 60)}</div>
-                <div class="highlight-color" style="background-color: ${highlight.color}"></div>
-              </div>
-            `).join('')}
+            ${highlights.map(highlight => this.renderHighlightItem(highlight, url)).join('')}
           </div>
         </div>
       `;
+      this.bindHighlightItemEvents(modalBody);
 
       // Add back button listener
       modalBody.querySelector('#backToWebsites').addEventListener('click', async () => {
         const websites = await this.getAllWebsitesWithHighlights();
+        this.viewedUrl = null;
+        this.closeModal(modal);
         this.showWebsitesManager(websites);
       });
 
@@ -412,23 +1968,25 @@ class PopupManager {
   async deleteAllHighlightsForWebsite(url, modal) {
     try {
       // Get the highlights count for this URL
-      const result = await browser.storage.local.get(url);
-      const highlights = result[url] || [];
+      const highlights = await this.store.getPage(url);
       const highlightCount = highlights.length;
       
       // Confirm deletion
-      if (!confirm(`Are you sure you want to delete ALL ${highlightCount} highlights from ${this.getDomainFromUrl(url)}?`)) {
+      if (!confirm(`Move ALL ${highlightCount} highlights from ${this.getDomainFromUrl(url)} to the trash?`)) {
         return;
       }
 
-      // Delete from storage
-      await browser.storage.local.remove(url);
+      // Delete from storage, keeping a copy in the trash
+      const response = await browser.runtime.sendMessage({ action: 'clearHighlights', filter: { url: url } });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Unknown error');
+      }
       
       // Check if this page is currently open in any tab and refresh highlights
       await this.refreshPageHighlights(url);
       
       // Remove the website item from the UI
-      const websiteItem = modal.querySelector(`[data-url="${url}"]`);
+      const websiteItem = modal.querySelector(`[data-url="${CSS.escape(url)}"]`);
       if (websiteItem) {
         websiteItem.remove();
       }
@@ -440,7 +1998,7 @@ class PopupManager {
       
       header.textContent = `Manage Highlights (${currentWebsiteCount - 1} websites, ${currentTotalCount - highlightCount} total highlights)`;
       
-      this.updateStatus(`Deleted all highlights from ${this.getDomainFromUrl(url)}`);
+      this.updateStatus(`Moved all highlights from ${this.getDomainFromUrl(url)} to the trash`);
       
       // If no more websites, close the modal
       if (currentWebsiteCount - 1 === 0) {
@@ -458,14 +2016,15 @@ class PopupManager {
    */
   async refreshPageHighlights(url) {
     try {
-      // Find all tabs with this URL
-      const tabs = await browser.tabs.query({ url: url });
+      // Tabs may show this page under a different URL, so let each one check its own key
+      const tabs = await browser.tabs.query({ url: ['http://*/*', 'https://*/*'] });
       
       // Send message to each tab to refresh highlights
       for (const tab of tabs) {
         try {
           await browser.tabs.sendMessage(tab.id, {
-            action: 'refreshHighlights'
+            action: 'refreshHighlights',
+            pageKey: url
           });
           console.log(`Sent refresh message to tab ${tab.id} for ${url}`);
         } catch (error) {
@@ -477,22 +2036,28 @@ class PopupManager {
     }
   }
 
+  /**
+   * Get the key a tab's highlights are stored under, asking its content script so the
+   * page's canonical link is honoured; falls back to normalizing the tab URL
+   */
+  async getPageKey(tab) {
+    try {
+      const response = await browser.tabs.sendMessage(tab.id, { action: 'getPageKey' });
+      if (response && response.pageKey) {
+        return response.pageKey;
+      }
+    } catch (error) {
+      console.log(`Tab ${tab.id} doesn't have content script loaded, normalizing its URL`);
+    }
+    const urls = new UrlNormalizer(await this.store.getSetting('urlNormalization'));
+    return urls.normalize(tab.url);
+  }
+
   /**
    * Get all websites with highlights
    */
   async getAllWebsitesWithHighlights() {
-    const result = await browser.storage.local.get();
-    const urlHighlights = {};
-    
-    Object.keys(result).forEach(key => {
-      if (key !== 'defaultHighlightColor' && key.startsWith('http')) {
-        if (Array.isArray(result[key]) && result[key].length > 0) {
-          urlHighlights[key] = result[key];
-        }
-      }
-    });
-    
-    return urlHighlights;
+    return this.store.getAllPages();
   }
 
   /**
@@ -523,17 +2088,22 @@ class PopupManager {
     const statusElement = document.getElementById('status');
     statusElement.textContent = message;
     
-    // Add visual feedback
-    statusElement.style.background = '#d4edda';
-    statusElement.style.color = '#155724';
+    // Add visual feedback; the colors live in popup.css so they follow the theme
+    statusElement.classList.add('status-success');
     
     // Reset to default style after 3 seconds
     setTimeout(() => {
-      statusElement.style.background = '#e3f2fd';
-      statusElement.style.color = '#1976d2';
+      statusElement.classList.remove('status-success');
     }, 3000);
   }
 
+  /**
+   * Escape text for use inside a regular expression
+   */
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
   /**
    * Truncate text to specified length
    */
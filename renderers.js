@@ -0,0 +1,552 @@
+/**
+ * HiLite - Highlight Renderers
+ * Rendering backends that draw highlights on the page: wrapping spans or the CSS Custom Highlight API.
+ * Besides its color, a highlight has a style: highlight (background), underline, wavy,
+ * strikethrough, box or bold.
+ */
+
+/**
+ * Draws highlights by wrapping each covered text node in a span
+ */
+class SpanRenderer {
+  constructor(options = {}) {
+    this.name = 'spans';
+    this.mutatesDom = true;
+    this.highlightClass = options.highlightClass || 'web-highlighter-highlight';
+    this.anchoring = options.anchoring;
+    this.contrast = options.contrast || null; // ContrastAdjuster keeping highlighted text readable
+    this.structuralTags = new Set(['TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'COLGROUP', 'UL', 'OL', 'DL', 'SELECT']);
+    this.splitNodes = new WeakSet(); // text nodes split off the page's own, joined back on removal
+  }
+
+  /**
+   * Wrap each text node in the range in its own highlight element, leaving the page markup intact
+   */
+  render(highlightId, range, color, style = 'highlight') {
+    // Collect the segments first so splitting nodes doesn't disturb the walk
+    const segments = this.getTextSegments(range);
+
+    segments.forEach(({ node, start, end }) => {
+      // Isolate the selected part of the text node
+      let target = node;
+      if (end < target.length) {
+        this.splitNodes.add(target.splitText(end));
+      }
+      if (start > 0) {
+        target = target.splitText(start);
+        this.splitNodes.add(target);
+      }
+
+      const highlightSpan = document.createElement('span');
+      highlightSpan.className = this.highlightClass;
+      highlightSpan.dataset.highlightId = highlightId;
+
+      target.parentNode.insertBefore(highlightSpan, target);
+      highlightSpan.appendChild(target);
+      // Styled once in place, where the colors around it can be measured
+      this.applyStyle(highlightSpan, color, style);
+    });
+  }
+
+  /**
+   * Paint an element in a color and style. Styles other than a background highlight are drawn
+   * by content.css from the --hilite-color variable. A background highlight may get a lighter
+   * background or another text color so its text keeps enough contrast.
+   */
+  applyStyle(element, color, style) {
+    element.dataset.color = color;
+    element.dataset.style = style;
+    element.style.setProperty('--hilite-color', color);
+    // Measure the page's own colors, not the ones set for a previous color or style
+    element.style.backgroundColor = '';
+    element.style.color = '';
+    if (style === 'highlight') {
+      const paint = this.contrast ? this.contrast.adjust(element, color) : { background: color, text: null };
+      element.style.backgroundColor = paint.background;
+      element.style.color = paint.text || '';
+    }
+    Array.from(element.classList)
+      .filter(name => name.startsWith('web-highlighter-style-'))
+      .forEach(name => element.classList.remove(name));
+    element.classList.add(`web-highlighter-style-${style}`);
+  }
+
+  /**
+   * Split a range into the text node segments it covers
+   */
+  getTextSegments(range) {
+    const segments = [];
+    const root = range.commonAncestorContainer;
+
+    const collect = (node) => {
+      if (!range.intersectsNode(node) || this.anchoring.acceptTextNode(node) !== NodeFilter.FILTER_ACCEPT) {
+        return;
+      }
+
+      const start = node === range.startContainer ? range.startOffset : 0;
+      const end = node === range.endContainer ? range.endOffset : node.length;
+      if (end <= start) {
+        return;
+      }
+
+      // Skip formatting whitespace where a span would be invalid, e.g. between table rows
+      if (!node.textContent.slice(start, end).trim() && this.structuralTags.has(node.parentNode.tagName)) {
+        return;
+      }
+
+      segments.push({ node, start, end });
+    };
+
+    if (root.nodeType === Node.TEXT_NODE) {
+      collect(root);
+    } else {
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+      let node;
+      while ((node = walker.nextNode())) {
+        collect(node);
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * Get every element rendering a highlight
+   */
+  getElements(highlightId) {
+    return document.querySelectorAll(`.${this.highlightClass}[data-highlight-id="${CSS.escape(highlightId)}"]`);
+  }
+
+  /**
+   * Check whether a highlight is currently drawn
+   */
+  has(highlightId) {
+    return this.getElements(highlightId).length > 0;
+  }
+
+  /**
+   * Remove a highlight's elements from the page, keeping their content in place
+   */
+  remove(highlightId) {
+    const elements = this.getElements(highlightId);
+    elements.forEach(element => this.unwrapElement(element));
+    return elements.length > 0;
+  }
+
+  /**
+   * Change the color of a drawn highlight
+   */
+  recolor(highlightId, color) {
+    const elements = this.getElements(highlightId);
+    elements.forEach(element => this.applyStyle(element, color, element.dataset.style || 'highlight'));
+    return elements.length > 0;
+  }
+
+  /**
+   * Change the style of a drawn highlight
+   */
+  restyle(highlightId, style) {
+    const elements = this.getElements(highlightId);
+    elements.forEach(element => this.applyStyle(element, element.dataset.color, style));
+    return elements.length > 0;
+  }
+
+  /**
+   * Remove every highlight from the page and return the ids that were drawn
+   */
+  clear() {
+    const ids = this.list().map(highlight => highlight.id);
+    document.querySelectorAll(`.${this.highlightClass}`).forEach(element => {
+      try {
+        this.unwrapElement(element);
+      } catch (error) {
+        console.error('Error clearing highlight:', error);
+      }
+    });
+    return ids;
+  }
+
+  /**
+   * Replace a highlight element with its children
+   */
+  unwrapElement(element) {
+    const parent = element.parentNode;
+    if (!parent) {
+      return;
+    }
+    const children = Array.from(element.childNodes);
+    while (element.firstChild) {
+      parent.insertBefore(element.firstChild, element);
+    }
+    parent.removeChild(element);
+    children.filter(child => child.nodeType === Node.TEXT_NODE).forEach(child => this.joinSplitText(child));
+  }
+
+  /**
+   * Join the text nodes render() split off back into the node before them, which is where their
+   * text came from. Unlike normalize(), this leaves the page's own text nodes alone, so frameworks
+   * holding references to them keep working. A split node whose origin is still inside another
+   * highlight stays apart until that highlight is removed too.
+   */
+  joinSplitText(node) {
+    if (!node.parentNode) {
+      return;
+    }
+    let first = node;
+    while (first.previousSibling && first.previousSibling.nodeType === Node.TEXT_NODE) {
+      first = first.previousSibling;
+    }
+
+    let kept = first;
+    let next = first.nextSibling;
+    while (next && next.nodeType === Node.TEXT_NODE) {
+      const following = next.nextSibling;
+      if (this.splitNodes.has(next)) {
+        kept.appendData(next.data);
+        next.parentNode.removeChild(next);
+      } else {
+        kept = next;
+      }
+      next = following;
+    }
+  }
+
+  /**
+   * List drawn highlights in document order
+   */
+  list() {
+    const highlights = new Map();
+    document.querySelectorAll(`.${this.highlightClass}`).forEach(element => {
+      const id = element.dataset.highlightId;
+      if (highlights.has(id)) {
+        highlights.get(id).text += element.textContent;
+      } else {
+        highlights.set(id, {
+          id: id,
+          text: element.textContent,
+          color: element.dataset.color || element.style.backgroundColor,
+          style: element.dataset.style || 'highlight'
+        });
+      }
+    });
+    return Array.from(highlights.values());
+  }
+
+  /**
+   * Find the highlight under a mouse event, if any
+   */
+  highlightIdAt(event) {
+    const element = event.target.closest && event.target.closest(`.${this.highlightClass}`);
+    return element ? element.dataset.highlightId : null;
+  }
+
+  /**
+   * Briefly pulse a highlight to draw attention to it
+   */
+  flash(highlightId) {
+    const elements = this.getElements(highlightId);
+    elements.forEach(element => element.classList.add('web-highlighter-flash'));
+    setTimeout(() => {
+      elements.forEach(element => element.classList.remove('web-highlighter-flash'));
+    }, 1600);
+  }
+
+  /**
+   * Mark a teammate's highlight: content.css shows its author where own highlights have a delete button
+   */
+  markShared(highlightId, author) {
+    const elements = this.getElements(highlightId);
+    elements.forEach(element => {
+      element.classList.add('web-highlighter-shared');
+      element.dataset.author = author;
+    });
+    return elements.length > 0;
+  }
+
+  /**
+   * Get a range spanning a drawn highlight
+   */
+  getRange(highlightId) {
+    const elements = this.getElements(highlightId);
+    if (elements.length === 0) {
+      return null;
+    }
+    const range = document.createRange();
+    range.setStartBefore(elements[0]);
+    range.setEndAfter(elements[elements.length - 1]);
+    return range;
+  }
+}
+
+/**
+ * Draws highlights with Range objects registered in CSS.highlights, without touching the page DOM
+ */
+class CustomHighlightRenderer {
+  constructor(options = {}) {
+    this.name = 'highlight-api';
+    this.mutatesDom = false;
+    this.namePrefix = 'hilite-';
+    this.contrast = options.contrast || null;
+    this.highlights = new Map(); // highlight id -> { range, color, style, key }
+    this.groups = new Map();     // style, color and paint key -> Highlight
+    this.styleElement = null;
+  }
+
+  /**
+   * Check whether the browser supports the CSS Custom Highlight API
+   */
+  static isSupported() {
+    return typeof CSS !== 'undefined' && !!CSS.highlights && typeof Highlight === 'function';
+  }
+
+  /**
+   * Register a highlight's range with the Highlight for its style and color
+   */
+  render(highlightId, range, color, style = 'highlight') {
+    this.remove(highlightId);
+
+    // Ranges in surroundings that need other paint for contrast go in a group of their own
+    const paint = this.getPaint(range, color, style);
+    let key = this.groupKey(color, style);
+    if (paint.background !== color || paint.text) {
+      key += `-${this.colorKey(paint.background)}${paint.text ? `-${this.colorKey(paint.text)}` : ''}`;
+    }
+
+    let group = this.groups.get(key);
+    if (!group) {
+      group = new Highlight();
+      CSS.highlights.set(this.namePrefix + key, group);
+      this.groups.set(key, group);
+      this.addColorRule(key, color, style, paint);
+    }
+
+    const liveRange = range.cloneRange();
+    group.add(liveRange);
+    this.highlights.set(highlightId, { range: liveRange, color: color, style: style, key: key });
+  }
+
+  /**
+   * Background and text color for a range, measured at the element where it starts
+   */
+  getPaint(range, color, style) {
+    if (style !== 'highlight' || !this.contrast) {
+      return { background: color, text: null };
+    }
+    const node = range.startContainer;
+    return this.contrast.adjust(node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement, color);
+  }
+
+  /**
+   * Check whether a highlight is currently drawn
+   */
+  has(highlightId) {
+    const highlight = this.highlights.get(highlightId);
+    return !!highlight && !highlight.range.collapsed;
+  }
+
+  /**
+   * Unregister a highlight's range
+   */
+  remove(highlightId) {
+    const highlight = this.highlights.get(highlightId);
+    if (!highlight) {
+      return false;
+    }
+
+    const group = this.groups.get(highlight.key);
+    if (group) {
+      group.delete(highlight.range);
+      if (group.size === 0) {
+        CSS.highlights.delete(this.namePrefix + highlight.key);
+        this.groups.delete(highlight.key);
+      }
+    }
+    this.highlights.delete(highlightId);
+    return true;
+  }
+
+  /**
+   * Move a drawn highlight to the Highlight for another color
+   */
+  recolor(highlightId, color) {
+    const highlight = this.highlights.get(highlightId);
+    if (!highlight) {
+      return false;
+    }
+    this.render(highlightId, highlight.range, color, highlight.style);
+    return true;
+  }
+
+  /**
+   * Move a drawn highlight to the Highlight for another style
+   */
+  restyle(highlightId, style) {
+    const highlight = this.highlights.get(highlightId);
+    if (!highlight) {
+      return false;
+    }
+    this.render(highlightId, highlight.range, highlight.color, style);
+    return true;
+  }
+
+  /**
+   * Remove every highlight and return the ids that were drawn
+   */
+  clear() {
+    const ids = Array.from(this.highlights.keys());
+    this.groups.forEach((group, key) => CSS.highlights.delete(this.namePrefix + key));
+    this.groups.clear();
+    this.highlights.clear();
+    CSS.highlights.delete(this.namePrefix + 'flash');
+    if (this.styleElement) {
+      this.styleElement.remove();
+      this.styleElement = null;
+    }
+    return ids;
+  }
+
+  /**
+   * List drawn highlights in document order
+   */
+  list() {
+    return Array.from(this.highlights.entries())
+      .filter(([, highlight]) => !highlight.range.collapsed)
+      .sort(([, a], [, b]) => a.range.compareBoundaryPoints(Range.START_TO_START, b.range))
+      .map(([id, highlight]) => ({
+        id: id,
+        text: highlight.range.toString(),
+        color: highlight.color,
+        style: highlight.style
+      }));
+  }
+
+  /**
+   * Find the highlight under a mouse event by hit-testing the caret position
+   */
+  highlightIdAt(event) {
+    let node = null;
+    let offset = 0;
+    if (document.caretPositionFromPoint) {
+      const position = document.caretPositionFromPoint(event.clientX, event.clientY);
+      if (position) {
+        node = position.offsetNode;
+        offset = position.offset;
+      }
+    } else if (document.caretRangeFromPoint) {
+      const range = document.caretRangeFromPoint(event.clientX, event.clientY);
+      if (range) {
+        node = range.startContainer;
+        offset = range.startOffset;
+      }
+    }
+    if (!node) {
+      return null;
+    }
+
+    // Later highlights are painted on top, so check them first
+    const entries = Array.from(this.highlights.entries()).reverse();
+    const match = entries.find(([, highlight]) => {
+      try {
+        return highlight.range.isPointInRange(node, offset);
+      } catch (error) {
+        return false;
+      }
+    });
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Briefly pulse a highlight by toggling its range in a dedicated flash highlight
+   */
+  flash(highlightId) {
+    const highlight = this.highlights.get(highlightId);
+    if (!highlight) {
+      return;
+    }
+    
+    const flashName = this.namePrefix + 'flash';
+    if (!CSS.highlights.has(flashName)) {
+      CSS.highlights.set(flashName, new Highlight());
+      this.addRule(`::highlight(${flashName}) { background-color: #ff9800; color: #000; }`);
+    }
+    
+    const flashGroup = CSS.highlights.get(flashName);
+    let toggles = 0;
+    const timer = setInterval(() => {
+      if (toggles % 2 === 0) {
+        flashGroup.add(highlight.range);
+      } else {
+        flashGroup.delete(highlight.range);
+      }
+      if (++toggles >= 6) {
+        clearInterval(timer);
+        flashGroup.delete(highlight.range);
+      }
+    }, 250);
+  }
+
+  /**
+   * Ranges have no elements to mark; the note tooltip names the author of a teammate's highlight
+   */
+  markShared(highlightId) {
+    return this.has(highlightId);
+  }
+
+  /**
+   * Get the live range of a drawn highlight
+   */
+  getRange(highlightId) {
+    const highlight = this.highlights.get(highlightId);
+    return highlight ? highlight.range : null;
+  }
+
+  /**
+   * Turn a color value into a name usable in ::highlight()
+   */
+  colorKey(color) {
+    return String(color).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Name part for the group of highlights sharing a color and style; plain highlights keep
+   * the color alone
+   */
+  groupKey(color, style = 'highlight') {
+    const key = this.colorKey(color);
+    return style === 'highlight' ? key : `${style}-${key}`;
+  }
+
+  /**
+   * Add the ::highlight() rule that paints a group. ::highlight() can't change layout or font
+   * weight, so the box and bold styles are approximated with lines and a text shadow.
+   */
+  addColorRule(key, color, style = 'highlight', paint = null) {
+    if (!CSS.supports('color', color)) {
+      console.error('Unsupported highlight color:', color);
+      return;
+    }
+    const declarations = {
+      highlight: paint && paint.text
+        ? `background-color: ${paint.background}; color: ${paint.text};`
+        : `background-color: ${paint ? paint.background : color};`,
+      underline: `text-decoration-line: underline; text-decoration-color: ${color}; text-decoration-thickness: 2px;`,
+      wavy: `text-decoration-line: underline; text-decoration-style: wavy; text-decoration-color: ${color};`,
+      strikethrough: `text-decoration-line: line-through; text-decoration-color: ${color}; text-decoration-thickness: 2px;`,
+      box: `text-decoration-line: underline overline; text-decoration-color: ${color}; text-decoration-thickness: 2px;`,
+      bold: `text-shadow: 0 0 0.6px currentColor; text-decoration-line: underline; text-decoration-color: ${color}; text-decoration-thickness: 2px;`
+    };
+    this.addRule(`::highlight(${this.namePrefix}${key}) { ${declarations[style] || declarations.highlight} }`);
+  }
+
+  /**
+   * Append a rule to our stylesheet, creating it on first use
+   */
+  addRule(rule) {
+    if (!this.styleElement) {
+      this.styleElement = document.createElement('style');
+      this.styleElement.id = 'web-highlighter-highlight-styles';
+      (document.head || document.documentElement).appendChild(this.styleElement);
+    }
+    this.styleElement.textContent += rule + '\n';
+  }
+}
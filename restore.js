@@ -0,0 +1,305 @@
+/**
+ * HiLite - Restore Scheduler
+ * Applies a page's stored highlights in idle time, tracks which ones are anchored, and retries
+ * the rest only when the page's content changes, so no highlight is ever applied twice
+ */
+
+class RestoreScheduler {
+  constructor(options) {
+    this.anchoring = options.anchoring;
+    this.getRenderer = options.getRenderer; // the renderer can be swapped at runtime
+    this.render = options.render;           // (record, range) => draw the highlight
+    this.ignoreSelector = options.ignoreSelector;
+    this.idleTimeout = options.idleTimeout || 500;
+    this.onSettled = options.onSettled || null; // called whenever a round of anchoring attempts ends
+
+    this.records = new Map();    // id -> every record of the page
+    this.pending = new Map();    // id -> record waiting for an anchoring attempt
+    this.unresolved = new Map(); // id -> record that didn't anchor, retried after content changes
+    this.anchored = new Set();
+    this.contentAdded = false;
+    this.contentRemoved = false;
+    this.handle = null;
+    this.waiters = [];
+    this.observer = null;
+    this.stats = { passes: 0, attempts: 0, anchored: 0, indexBuilds: 0 };
+  }
+
+  /**
+   * Make the given records the page's highlights: drawn ones are kept, ones deleted from
+   * storage since the last call are removed, and the rest are queued
+   */
+  setRecords(records) {
+    const renderer = this.getRenderer();
+    const previous = this.records;
+    this.records = new Map(records.map(record => [record.id, record]));
+
+    // Highlights drawn but not yet saved aren't in either list and stay put
+    previous.forEach((record, id) => {
+      if (!this.records.has(id)) {
+        renderer.remove(id);
+      }
+    });
+
+    this.pending.clear();
+    this.unresolved.clear();
+    this.anchored.clear();
+    records.forEach(record => {
+      if (renderer.has(record.id)) {
+        this.anchored.add(record.id);
+      } else {
+        this.pending.set(record.id, record);
+      }
+    });
+
+    this.schedule();
+  }
+
+  /**
+   * Forget everything, e.g. before switching renderers or pages
+   */
+  reset() {
+    this.cancel();
+    this.records.clear();
+    this.pending.clear();
+    this.unresolved.clear();
+    this.anchored.clear();
+    this.contentAdded = false;
+    this.contentRemoved = false;
+    this.settle();
+  }
+
+  /**
+   * Resolve once every queued record has had an anchoring attempt
+   */
+  whenSettled() {
+    if (this.pending.size === 0 && !this.handle) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  /**
+   * Records that had an anchoring attempt and couldn't be placed on the page
+   */
+  getOrphans() {
+    return Array.from(this.unresolved.values());
+  }
+
+  isAnchored(highlightId) {
+    return this.anchored.has(highlightId) && this.getRenderer().has(highlightId);
+  }
+
+  /**
+   * Anchor a single record right away, outside the idle queue
+   */
+  anchorNow(record) {
+    if (this.getRenderer().has(record.id)) {
+      this.markAnchored(record.id);
+      return true;
+    }
+    const range = this.resolve(record, this.buildIndex());
+    if (!range) {
+      return false;
+    }
+    this.render(record, range);
+    this.markAnchored(record.id);
+    return true;
+  }
+
+  /**
+   * Track a record added outside setRecords, e.g. by undo, anchoring it right away if possible
+   */
+  add(record) {
+    this.records.set(record.id, record);
+    if (!this.anchorNow(record)) {
+      this.pending.delete(record.id);
+      this.unresolved.set(record.id, record);
+    }
+  }
+
+  /**
+   * Stop tracking a deleted highlight so it isn't restored again
+   */
+  forget(highlightId) {
+    this.records.delete(highlightId);
+    this.pending.delete(highlightId);
+    this.unresolved.delete(highlightId);
+    this.anchored.delete(highlightId);
+  }
+
+  markAnchored(highlightId) {
+    this.anchored.add(highlightId);
+    this.pending.delete(highlightId);
+    this.unresolved.delete(highlightId);
+  }
+
+  /**
+   * Queue a pass for the next idle period, unless one is already queued
+   */
+  schedule() {
+    if (this.handle) {
+      return;
+    }
+    if (this.pending.size === 0 && !this.contentAdded && !this.contentRemoved) {
+      this.settle();
+      if (this.onSettled && this.records.size > 0) {
+        this.onSettled();
+      }
+      return;
+    }
+
+    if (typeof requestIdleCallback === 'function') {
+      this.handle = { idle: requestIdleCallback(deadline => this.run(deadline), { timeout: this.idleTimeout }) };
+    } else {
+      this.handle = { timer: setTimeout(() => this.run({ timeRemaining: () => 10, didTimeout: false }), 50) };
+    }
+  }
+
+  cancel() {
+    if (!this.handle) {
+      return;
+    }
+    if (this.handle.idle !== undefined) {
+      cancelIdleCallback(this.handle.idle);
+    } else {
+      clearTimeout(this.handle.timer);
+    }
+    this.handle = null;
+  }
+
+  /**
+   * Anchor queued records until the idle period runs out, then queue another pass if needed
+   */
+  run(deadline) {
+    this.handle = null;
+    this.stats.passes++;
+    const renderer = this.getRenderer();
+
+    // Highlights whose elements or text were removed by the page go back in the queue
+    if (this.contentRemoved) {
+      this.contentRemoved = false;
+      Array.from(this.anchored).forEach(id => {
+        if (!renderer.has(id)) {
+          this.anchored.delete(id);
+          if (this.records.has(id)) {
+            this.pending.set(id, this.records.get(id));
+          }
+        }
+      });
+    }
+
+    // New content may contain text that failed to anchor before
+    if (this.contentAdded) {
+      this.contentAdded = false;
+      this.unresolved.forEach((record, id) => this.pending.set(id, record));
+      this.unresolved.clear();
+    }
+
+    let index = null;
+    let processed = 0;
+    for (const [id, record] of Array.from(this.pending)) {
+      // Always make progress, even when the idle period is already used up
+      if (processed > 0 && deadline.timeRemaining() < 1) {
+        break;
+      }
+      processed++;
+      this.pending.delete(id);
+
+      if (renderer.has(id)) {
+        this.anchored.add(id);
+        continue;
+      }
+
+      index = index || this.buildIndex();
+      const range = this.resolve(record, index);
+      if (!range) {
+        this.unresolved.set(id, record);
+        continue;
+      }
+
+      this.render(record, range);
+      this.anchored.add(id);
+      this.stats.anchored++;
+
+      // Wrapping text in spans invalidates the text index; the Highlight API leaves the DOM alone
+      if (renderer.mutatesDom) {
+        index = null;
+      }
+    }
+
+    // Our own rendering isn't a content change
+    if (this.observer) {
+      this.observer.takeRecords();
+    }
+
+    this.schedule();
+  }
+
+  /**
+   * Resolve a record's anchor against a text index
+   */
+  resolve(record, index) {
+    if (!record.text || record.text.trim() === '') {
+      return null;
+    }
+    this.stats.attempts++;
+    // Records saved before anchors existed only carry their text
+    const anchor = record.anchor || { quote: { exact: record.text } };
+    return this.anchoring.resolve(anchor, index);
+  }
+
+  buildIndex() {
+    this.stats.indexBuilds++;
+    return this.anchoring.buildIndex();
+  }
+
+  /**
+   * Watch the page for content changes, batching them into the next idle pass
+   */
+  observe(root) {
+    this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
+    this.observer.observe(root, { childList: true, subtree: true, characterData: true });
+  }
+
+  handleMutations(mutations) {
+    mutations.forEach(mutation => {
+      if (this.isOwnNode(mutation.target)) {
+        return;
+      }
+      if (mutation.type === 'characterData') {
+        this.contentAdded = true;
+        this.contentRemoved = true;
+        return;
+      }
+      if (Array.from(mutation.addedNodes).some(node => !this.isOwnNode(node))) {
+        this.contentAdded = true;
+      }
+      if (mutation.removedNodes.length > 0) {
+        this.contentRemoved = true;
+      }
+    });
+
+    // Only wake up when something could change the outcome
+    if ((this.contentAdded && this.unresolved.size > 0) || (this.contentRemoved && this.anchored.size > 0)) {
+      this.schedule();
+    } else {
+      this.contentAdded = false;
+      this.contentRemoved = false;
+    }
+  }
+
+  /**
+   * Check whether a node belongs to our menus, tooltips or toasts
+   */
+  isOwnNode(node) {
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return !!element && !!element.closest(this.ignoreSelector);
+  }
+
+  settle() {
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+}
@@ -0,0 +1,447 @@
+/**
+ * HiLite - Sidebar
+ * Lists the active tab's highlights in reading order and acts on them through the tab's content
+ * script, so changes are drawn on the page and can be undone there. Stays open across clicks,
+ * unlike the popup, and follows storage changes and tab switches.
+ */
+
+class SidebarPanel {
+  constructor() {
+    this.markdown = new MarkdownRenderer();
+    this.store = new HighlightStore();
+    this.windowId = null;
+    this.tab = null;
+    this.pageKey = null;         // storage key of the active tab's page, as the content script computes it
+    this.palette = [];
+    this.colorLabels = {};
+    this.editingId = null;       // highlight whose note is being edited; refreshes wait until it's done
+    this.refreshPending = false;
+    this.refreshTimer = null;
+    this.refreshDelay = 150;
+    this.init();
+  }
+
+  /**
+   * Initialize the sidebar for the window it's open in
+   */
+  async init() {
+    try {
+      this.windowId = (await browser.windows.getCurrent()).id;
+    } catch (error) {
+      console.error('Error getting sidebar window:', error);
+    }
+    this.bindEvents();
+    this.setupListeners();
+    await Promise.all([this.loadPalette(), this.loadColorLabels()]);
+    this.refresh();
+  }
+
+  /**
+   * Load the palette offered for recoloring, without repeated colors
+   */
+  async loadPalette() {
+    try {
+      const palette = await browser.runtime.sendMessage({ action: 'getPalette' }) || [];
+      const seen = new Set();
+      this.palette = palette.filter(entry => !seen.has(entry.color) && seen.add(entry.color));
+    } catch (error) {
+      console.error('Error loading palette:', error);
+    }
+  }
+
+  async loadColorLabels() {
+    try {
+      this.colorLabels = await this.store.getSetting('colorLabels');
+    } catch (error) {
+      console.error('Error loading color labels:', error);
+    }
+  }
+
+  /**
+   * Follow the active tab, its navigation and changes to its page's highlights
+   */
+  setupListeners() {
+    browser.tabs.onActivated.addListener((activeInfo) => {
+      if (activeInfo.windowId === this.windowId) {
+        this.scheduleRefresh();
+      }
+    });
+
+    browser.tabs.onUpdated.addListener((tabId, changeInfo) => {
+      if (this.tab && tabId === this.tab.id && (changeInfo.url || changeInfo.title || changeInfo.status === 'complete')) {
+        this.scheduleRefresh();
+      }
+    });
+
+    browser.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local') {
+        return;
+      }
+
+      const settings = this.store.settingsChanges(changes);
+      if (settings.colorLabels) {
+        this.colorLabels = settings.colorLabels;
+        this.loadPalette();
+        this.scheduleRefresh();
+      }
+
+      if (this.pageKey && this.store.pageChange(changes, this.pageKey)) {
+        this.scheduleRefresh();
+      }
+    });
+  }
+
+  /**
+   * Refresh shortly, so a burst of changes results in a single redraw
+   */
+  scheduleRefresh() {
+    if (this.editingId) {
+      this.refreshPending = true;
+      return;
+    }
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => this.refresh(), this.refreshDelay);
+  }
+
+  /**
+   * Ask the active tab for its highlights' order and anchoring status, then list its stored records
+   */
+  async refresh() {
+    try {
+      const [tab] = await browser.tabs.query({ active: true, windowId: this.windowId });
+      this.tab = tab || null;
+      if (!tab) {
+        this.showEmpty('No active tab');
+        return;
+      }
+
+      let outline = null;
+      try {
+        outline = await browser.tabs.sendMessage(tab.id, { action: 'getHighlightOrder' });
+      } catch (error) {
+        // No content script, e.g. on about: pages or tabs opened before the extension loaded
+        console.log('Could not get highlight order:', error);
+      }
+
+      if (!outline || !outline.success) {
+        this.pageKey = null;
+        this.showEmpty('Highlights aren\'t available on this page');
+        return;
+      }
+
+      this.pageKey = outline.pageKey;
+      const records = await this.store.getPage(this.pageKey);
+      this.render(tab, this.sortRecords(records, outline));
+    } catch (error) {
+      console.error('Error refreshing sidebar:', error);
+      this.updateStatus('Error loading highlights');
+    }
+  }
+
+  /**
+   * Put records in reading order with their anchoring status. Highlights that aren't on the
+   * page follow the drawn ones, oldest first.
+   */
+  sortRecords(records, outline) {
+    const positions = new Map(outline.order.map((id, index) => [id, index]));
+    const orphaned = new Set(outline.orphaned);
+    const status = (record) => {
+      if (positions.has(record.id)) {
+        return 'anchored';
+      }
+      return orphaned.has(record.id) ? 'orphaned' : 'pending';
+    };
+
+    return records
+      .map(record => ({ record: record, status: status(record) }))
+      .sort((a, b) => {
+        const aPlaced = positions.has(a.record.id);
+        const bPlaced = positions.has(b.record.id);
+        if (aPlaced && bPlaced) {
+          return positions.get(a.record.id) - positions.get(b.record.id);
+        }
+        if (aPlaced !== bPlaced) {
+          return aPlaced ? -1 : 1;
+        }
+        return (a.record.timestamp || 0) - (b.record.timestamp || 0);
+      });
+  }
+
+  /**
+   * Show the page's title, a summary and one item per highlight
+   */
+  render(tab, entries) {
+    document.getElementById('pageTitle').textContent = tab.title || 'Highlights';
+
+    const list = document.getElementById('sidebarList');
+    if (entries.length === 0) {
+      this.showEmpty('No highlights on this page yet. Select some text to highlight it.');
+      return;
+    }
+
+    const missing = entries.filter(entry => entry.status === 'orphaned').length;
+    document.getElementById('pageSummary').textContent =
+      `${entries.length} highlight${entries.length !== 1 ? 's' : ''}` +
+      (missing > 0 ? ` · ${missing} not found on page` : '');
+    document.getElementById('sidebarEmpty').hidden = true;
+    list.hidden = false;
+    list.innerHTML = entries.map(entry => this.renderItem(entry.record, entry.status)).join('');
+  }
+
+  /**
+   * Render a highlight with its label, tags, note, status and actions
+   */
+  renderItem(highlight, status) {
+    const escape = (text) => this.markdown.escapeHtml(text);
+    const color = escape(highlight.color);
+    const label = this.colorLabels[highlight.color];
+    const tags = highlight.tags || [];
+    const badges = {
+      orphaned: '<span class="highlight-orphan" title="The text of this highlight could not be found on the page">⚠️ Not found on page</span>',
+      pending: '<span class="highlight-orphan" title="This highlight hasn\'t been placed on the page yet">Not placed yet</span>'
+    };
+
+    return `
+      <div class="highlight-item sidebar-item${status !== 'anchored' ? ' not-anchored' : ''}" data-id="${escape(highlight.id)}"
+        data-color="${color}" title="${status === 'anchored' ? 'Scroll to this highlight' : ''}">
+        <div class="highlight-preview" style="background-color: ${color}"></div>
+        <div class="highlight-body">
+          <div class="highlight-text">${escape(this.truncateText(highlight.text, 200))}</div>
+          ${badges[status] || label || tags.length > 0 ? `
+            <div class="highlight-meta">
+              ${badges[status] || ''}
+              ${label ? `<span class="highlight-label">${escape(label)}</span>` : ''}
+              ${tags.map(tag => `<span class="highlight-tag">#${escape(tag)}</span>`).join('')}
+            </div>
+          ` : ''}
+          ${highlight.note ? `<div class="highlight-note">${this.markdown.render(highlight.note)}</div>` : ''}
+          <div class="sidebar-actions">
+            <button class="sidebar-action" data-action="recolor" title="Change color">🎨</button>
+            <button class="sidebar-action" data-action="note" title="${highlight.note ? 'Edit note' : 'Add note'}">📝</button>
+            ${status === 'orphaned' ? '<button class="sidebar-action" data-action="reanchor" title="Select new text on the page for this highlight">🔗</button>' : ''}
+            <button class="sidebar-action" data-action="delete" title="Delete highlight">🗑️</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  showEmpty(message) {
+    document.getElementById('pageSummary').textContent = '';
+    document.getElementById('sidebarList').hidden = true;
+    document.getElementById('sidebarList').innerHTML = '';
+    const empty = document.getElementById('sidebarEmpty');
+    empty.textContent = message;
+    empty.hidden = false;
+  }
+
+  /**
+   * Handle clicks on items and their actions
+   */
+  bindEvents() {
+    document.getElementById('sidebarList').addEventListener('click', (e) => {
+      const item = e.target.closest('.sidebar-item');
+      if (!item) {
+        return;
+      }
+
+      const option = e.target.closest('.recolor-option');
+      if (option) {
+        this.recolorHighlight(item.dataset.id, option.dataset.color);
+        return;
+      }
+
+      const action = e.target.closest('.sidebar-action');
+      if (action) {
+        this.handleAction(action.dataset.action, item);
+        return;
+      }
+
+      // Clicks inside the palette or the note editor stay there
+      if (!e.target.closest('.recolor-palette, .sidebar-note-editor')) {
+        this.revealHighlight(item.dataset.id);
+      }
+    });
+  }
+
+  handleAction(action, item) {
+    switch (action) {
+      case 'recolor':
+        this.toggleRecolorPalette(item);
+        break;
+      case 'note':
+        this.showNoteEditor(item);
+        break;
+      case 'reanchor':
+        this.startReanchor(item.dataset.id);
+        break;
+      case 'delete':
+        this.deleteHighlight(item.dataset.id);
+        break;
+    }
+  }
+
+  /**
+   * Send an action to the active tab's content script
+   */
+  async sendToTab(message) {
+    if (!this.tab) {
+      return { success: false, message: 'No active tab' };
+    }
+    try {
+      return await browser.tabs.sendMessage(this.tab.id, message) || { success: false };
+    } catch (error) {
+      console.error(`Error sending ${message.action} to tab:`, error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Scroll the page to a highlight and flash it
+   */
+  async revealHighlight(highlightId) {
+    const response = await this.sendToTab({ action: 'revealHighlight', highlightId: highlightId });
+    if (!response.success) {
+      this.updateStatus(response.message || 'Could not show this highlight');
+    }
+  }
+
+  /**
+   * Show or hide the palette for recoloring a highlight
+   */
+  toggleRecolorPalette(item) {
+    const existing = item.querySelector('.recolor-palette');
+    if (existing) {
+      existing.remove();
+      return;
+    }
+
+    const current = item.dataset.color;
+    const palette = document.createElement('div');
+    palette.className = 'recolor-palette';
+    palette.innerHTML = this.palette.map(entry => `
+      <button class="recolor-option${entry.color === current ? ' current' : ''}" data-color="${entry.color}"
+        title="${this.markdown.escapeHtml(entry.label ? `${entry.name} – ${entry.label}` : entry.name)}"
+        style="background-color: ${entry.color}"></button>
+    `).join('');
+    item.querySelector('.sidebar-actions').after(palette);
+  }
+
+  /**
+   * Recolor through the content script; the list follows through the storage listener
+   */
+  async recolorHighlight(highlightId, color) {
+    const response = await this.sendToTab({ action: 'updateHighlight', highlightId: highlightId, changes: { color: color } });
+    this.updateStatus(response.success ? 'Highlight color changed' : 'Error changing color');
+  }
+
+  /**
+   * Replace an item's note with an editor until it's saved or cancelled
+   */
+  showNoteEditor(item) {
+    if (item.querySelector('.sidebar-note-editor')) {
+      return;
+    }
+    this.closeNoteEditor();
+
+    const highlightId = item.dataset.id;
+    this.editingId = highlightId;
+    const editor = document.createElement('div');
+    editor.className = 'sidebar-note-editor';
+    editor.innerHTML = `
+      <textarea rows="4" placeholder="Write a note (Markdown supported)"></textarea>
+      <div class="sidebar-editor-buttons">
+        <button class="btn btn-secondary" data-editor="cancel">Cancel</button>
+        <button class="btn btn-primary" data-editor="save">Save</button>
+      </div>
+    `;
+
+    const textarea = editor.querySelector('textarea');
+    this.store.getPage(this.pageKey).then(records => {
+      const record = records.find(r => r.id === highlightId);
+      textarea.value = (record && record.note) || '';
+      textarea.focus();
+    });
+
+    const save = async () => {
+      const response = await this.sendToTab({ action: 'updateHighlight', highlightId: highlightId, changes: { note: textarea.value.trim() } });
+      this.updateStatus(response.success ? 'Note saved' : 'Error saving note');
+      this.closeNoteEditor();
+    };
+    editor.querySelector('[data-editor="save"]').addEventListener('click', save);
+    editor.querySelector('[data-editor="cancel"]').addEventListener('click', () => this.closeNoteEditor());
+    textarea.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        save();
+      } else if (e.key === 'Escape') {
+        this.closeNoteEditor();
+      }
+    });
+
+    const note = item.querySelector('.highlight-note');
+    if (note) {
+      note.hidden = true;
+    }
+    item.querySelector('.sidebar-actions').before(editor);
+  }
+
+  /**
+   * Close the open note editor and catch up on changes that arrived while it was open
+   */
+  closeNoteEditor() {
+    const editor = document.querySelector('.sidebar-note-editor');
+    if (editor) {
+      const note = editor.parentElement.querySelector('.highlight-note');
+      if (note) {
+        note.hidden = false;
+      }
+      editor.remove();
+    }
+
+    this.editingId = null;
+    if (this.refreshPending) {
+      this.refreshPending = false;
+      this.scheduleRefresh();
+    }
+  }
+
+  /**
+   * Let the user select new text on the page for a highlight that couldn't be placed
+   */
+  async startReanchor(highlightId) {
+    const response = await this.sendToTab({ action: 'startReanchor', highlightId: highlightId });
+    this.updateStatus(response.success ? 'Select the new text on the page, then click "Reattach"' : 'Could not start re-anchoring');
+  }
+
+  /**
+   * Delete through the content script, which offers undo on the page
+   */
+  async deleteHighlight(highlightId) {
+    const response = await this.sendToTab({ action: 'deleteHighlight', highlightId: highlightId });
+    this.updateStatus(response.success ? 'Highlight deleted' : 'Error deleting highlight');
+  }
+
+  truncateText(text, maxLength) {
+    const value = String(text || '');
+    return value.length > maxLength ? value.substring(0, maxLength) + '…' : value;
+  }
+
+  /**
+   * Update status message
+   */
+  updateStatus(message) {
+    const statusElement = document.getElementById('status');
+    statusElement.textContent = message;
+    statusElement.classList.add('status-success');
+
+    clearTimeout(this.statusTimer);
+    this.statusTimer = setTimeout(() => {
+      statusElement.classList.remove('status-success');
+    }, 3000);
+  }
+}
+
+// Initialize the sidebar when its page loads
+document.addEventListener('DOMContentLoaded', () => {
+  new SidebarPanel();
+});
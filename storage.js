@@ -0,0 +1,331 @@
+/**
+ * HiLite - Storage
+ * Shared access to the namespaced storage layout:
+ *   schemaVersion   - version of the layout below, see migrations.js
+ *   settings        - user preferences such as the default color and color labels
+ *   page:<url>      - the highlight records of one page, keyed by normalized URL (see urls.js)
+ *   index:pages     - one summary entry per page with highlights, so lists don't load every record
+ *   sync:state      - what the last sync saw and how it went, see sync.js
+ *   collections     - the collections highlights can be grouped in, see collections.js
+ *   shared:<url>    - teammates' highlights on one page, from shared collections; read-only
+ *   index:shared    - highlight count per page with teammates' highlights
+ *   trash:<id>      - highlights removed by one clear, kept for a while to be restored, see trash.js
+ *   index:trash     - one summary entry per snapshot in the trash
+ */
+
+class HighlightStore {
+  constructor(area) {
+    this.area = area || browser.storage.local;
+    this.schemaVersion = 3;
+    this.settingsKey = 'settings';
+    this.indexKey = 'index:pages';
+    this.pagePrefix = 'page:';
+    this.collectionsKey = 'collections';
+    this.sharedPrefix = 'shared:';
+    this.sharedIndexKey = 'index:shared';
+    this.trashPrefix = 'trash:';
+    this.trashIndexKey = 'index:trash';
+    this.defaultSettings = {
+      defaultHighlightColor: '#ffff00',
+      defaultHighlightStyle: 'highlight', // highlight, underline, wavy, strikethrough, box or bold
+      highlightRenderer: 'spans',
+      autoContrast: true, // adjust highlight colors so highlighted text stays readable
+      colorLabels: {},
+      urlNormalization: {}, // see UrlNormalizer.defaults
+      toolbarDisabledSites: [], // hostnames where the selection toolbar stays hidden
+      sync: { backend: 'off', url: '', username: '', password: '' }, // see sync.js; never synced itself
+      sharing: { endpoint: '', token: '', author: '', authorId: '', color: '#45b7d1' }, // see collections.js
+      trashRetentionDays: 30 // how long cleared highlights stay in the trash
+    };
+  }
+
+  /**
+   * Storage key holding a page's records
+   */
+  pageKey(url) {
+    return this.pagePrefix + url;
+  }
+
+  isPageKey(key) {
+    return key.startsWith(this.pagePrefix);
+  }
+
+  urlFromKey(key) {
+    return key.slice(this.pagePrefix.length);
+  }
+
+  /**
+   * Storage key holding teammates' highlights on a page
+   */
+  sharedPageKey(url) {
+    return this.sharedPrefix + url;
+  }
+
+  /**
+   * Get all settings, filled in with defaults
+   */
+  async getSettings() {
+    const result = await this.area.get(this.settingsKey);
+    return Object.assign({}, this.defaultSettings, result[this.settingsKey]);
+  }
+
+  /**
+   * Get a single setting
+   */
+  async getSetting(name) {
+    const settings = await this.getSettings();
+    return settings[name];
+  }
+
+  /**
+   * Change some settings, leaving the others untouched
+   */
+  async setSettings(changes) {
+    const result = await this.area.get(this.settingsKey);
+    const settings = Object.assign({}, result[this.settingsKey], changes);
+    await this.area.set({ [this.settingsKey]: settings });
+    return settings;
+  }
+
+  /**
+   * Get a page's highlight records
+   */
+  async getPage(url) {
+    const key = this.pageKey(url);
+    const result = await this.area.get(key);
+    return result[key] || [];
+  }
+
+  /**
+   * Replace a page's records and keep the index in step; an empty list removes the page
+   */
+  async savePage(url, records) {
+    await this.savePages({ [url]: records });
+  }
+
+  /**
+   * Replace the records of several pages at once
+   */
+  async savePages(pages) {
+    const index = await this.getPageIndex();
+    const changes = {};
+    const removed = [];
+
+    Object.entries(pages).forEach(([url, records]) => {
+      if (records && records.length > 0) {
+        changes[this.pageKey(url)] = records;
+        index[url] = this.summarize(records);
+      } else {
+        removed.push(this.pageKey(url));
+        delete index[url];
+      }
+    });
+
+    changes[this.indexKey] = index;
+    await this.area.set(changes);
+    if (removed.length > 0) {
+      await this.area.remove(removed);
+    }
+  }
+
+  /**
+   * Remove a page's records
+   */
+  async removePage(url) {
+    await this.savePages({ [url]: [] });
+  }
+
+  /**
+   * Get the page index: url -> { count, title, updatedAt }
+   */
+  async getPageIndex() {
+    const result = await this.area.get(this.indexKey);
+    return result[this.indexKey] || {};
+  }
+
+  /**
+   * Get the records of every page with highlights, keyed by url. The page: keys are the source of
+   * truth: tabs and the background save pages concurrently, and two saves can each rewrite the
+   * shared index without the other's entry. Reading the pages here repairs the index when it drifted.
+   */
+  async getAllPages() {
+    const everything = await this.area.get(null);
+    const pages = {};
+    Object.entries(everything).forEach(([key, records]) => {
+      if (this.isPageKey(key) && Array.isArray(records) && records.length > 0) {
+        pages[this.urlFromKey(key)] = records;
+      }
+    });
+
+    const index = this.buildIndex(pages);
+    if (JSON.stringify(index) !== JSON.stringify(everything[this.indexKey] || {})) {
+      await this.area.set({ [this.indexKey]: index });
+    }
+    return pages;
+  }
+
+  /**
+   * Get the collections, in the order they were made
+   */
+  async getCollections() {
+    const result = await this.area.get(this.collectionsKey);
+    return result[this.collectionsKey] || [];
+  }
+
+  async saveCollections(collections) {
+    await this.area.set({ [this.collectionsKey]: collections });
+  }
+
+  /**
+   * Get teammates' highlights on a page
+   */
+  async getSharedPage(url) {
+    const key = this.sharedPageKey(url);
+    const result = await this.area.get(key);
+    return result[key] || [];
+  }
+
+  /**
+   * Get teammates' highlights on every page that has some, keyed by url
+   */
+  async getAllSharedPages() {
+    const result = await this.area.get(this.sharedIndexKey);
+    const urls = Object.keys(result[this.sharedIndexKey] || {});
+    if (urls.length === 0) {
+      return {};
+    }
+
+    const records = await this.area.get(urls.map(url => this.sharedPageKey(url)));
+    const pages = {};
+    urls.forEach(url => {
+      pages[url] = records[this.sharedPageKey(url)] || [];
+    });
+    return pages;
+  }
+
+  /**
+   * Replace every page's shared highlights; pages left out lose theirs. Only pages whose
+   * highlights changed are written, so open tabs aren't redrawn for nothing.
+   */
+  async saveSharedPages(pages) {
+    const result = await this.area.get(this.sharedIndexKey);
+    const previous = result[this.sharedIndexKey] || {};
+    const current = await this.area.get(Object.keys(previous).map(url => this.sharedPageKey(url)));
+    const index = {};
+    const changes = {};
+
+    Object.entries(pages).forEach(([url, records]) => {
+      if (records.length === 0) {
+        return;
+      }
+      index[url] = { count: records.length };
+      if (JSON.stringify(current[this.sharedPageKey(url)]) !== JSON.stringify(records)) {
+        changes[this.sharedPageKey(url)] = records;
+      }
+    });
+    const removed = Object.keys(previous)
+      .filter(url => !index[url])
+      .map(url => this.sharedPageKey(url));
+
+    changes[this.sharedIndexKey] = index;
+    await this.area.set(changes);
+    if (removed.length > 0) {
+      await this.area.remove(removed);
+    }
+  }
+
+  /**
+   * Get the trash index: id -> { createdAt, filter, count, pageCount }
+   */
+  async getTrashIndex() {
+    const result = await this.area.get(this.trashIndexKey);
+    return result[this.trashIndexKey] || {};
+  }
+
+  /**
+   * Get a snapshot from the trash, or null if it's gone
+   */
+  async getTrashEntry(id) {
+    const key = this.trashPrefix + id;
+    const result = await this.area.get(key);
+    return result[key] || null;
+  }
+
+  /**
+   * Put a snapshot in the trash
+   */
+  async saveTrashEntry(entry) {
+    const index = await this.getTrashIndex();
+    index[entry.id] = { createdAt: entry.createdAt, filter: entry.filter, count: entry.count, pageCount: entry.pageCount };
+    await this.area.set({ [this.trashPrefix + entry.id]: entry, [this.trashIndexKey]: index });
+  }
+
+  /**
+   * Remove snapshots from the trash
+   */
+  async removeTrashEntries(ids) {
+    const index = await this.getTrashIndex();
+    ids.forEach(id => delete index[id]);
+    await this.area.set({ [this.trashIndexKey]: index });
+    await this.area.remove(ids.map(id => this.trashPrefix + id));
+  }
+
+  /**
+   * Build the page index for a set of pages
+   */
+  buildIndex(pages) {
+    const index = {};
+    Object.entries(pages).forEach(([url, records]) => {
+      index[url] = this.summarize(records);
+    });
+    return index;
+  }
+
+  /**
+   * Index entry for a page's records
+   */
+  summarize(records) {
+    const withTitle = records.slice().reverse().find(record => record.title);
+    return {
+      count: records.length,
+      title: withTitle ? withTitle.title : '',
+      updatedAt: Math.max(...records.map(record => record.updatedAt || record.timestamp || 0))
+    };
+  }
+
+  /**
+   * Pick the settings that changed out of a storage.onChanged event: name -> new value
+   */
+  settingsChanges(changes) {
+    const change = changes[this.settingsKey];
+    if (!change) {
+      return {};
+    }
+
+    const oldSettings = Object.assign({}, this.defaultSettings, change.oldValue);
+    const newSettings = Object.assign({}, this.defaultSettings, change.newValue);
+    const changed = {};
+    Object.keys(newSettings).forEach(name => {
+      if (JSON.stringify(oldSettings[name]) !== JSON.stringify(newSettings[name])) {
+        changed[name] = newSettings[name];
+      }
+    });
+    return changed;
+  }
+
+  /**
+   * Get a page's new records out of a storage.onChanged event, or null if it didn't change
+   */
+  pageChange(changes, url) {
+    const change = changes[this.pageKey(url)];
+    return change ? (change.newValue || []) : null;
+  }
+
+  /**
+   * Get a page's new shared highlights out of a storage.onChanged event, or null if they didn't change
+   */
+  sharedPageChange(changes, url) {
+    const change = changes[this.sharedPageKey(url)];
+    return change ? (change.newValue || []) : null;
+  }
+}
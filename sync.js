@@ -0,0 +1,595 @@
+/**
+ * HiLite - Sync
+ * Optional replication of highlights and settings between browsers, through storage.sync or a
+ * WebDAV/HTTP server. Every device merges its own data with a single shared document:
+ *   records  - id -> { page, record }; of two versions the one changed last (updatedAt, else
+ *              timestamp) wins
+ *   deleted  - id -> when the highlight was deleted; a deletion wins over versions older than it
+ *   settings - the synced settings and when they last changed; the newer set wins as a whole
+ */
+
+class SyncEngine {
+  constructor(store) {
+    this.store = store;
+    this.format = 'hilite-sync';
+    this.version = 1;
+    this.stateKey = 'sync:state';
+    // Device-specific choices like the renderer, and the sync configuration itself, stay local
+    this.syncedSettings = ['defaultHighlightColor', 'defaultHighlightStyle', 'colorLabels', 'urlNormalization', 'toolbarDisabledSites', 'autoContrast'];
+    this.tombstoneLifetime = 180 * 24 * 60 * 60 * 1000;
+    this.maxAttempts = 3;
+  }
+
+  /**
+   * Error thrown by a backend when the shared document changed since it was read
+   */
+  static conflictError(message) {
+    const error = new Error(message);
+    error.code = 'conflict';
+    return error;
+  }
+
+  /**
+   * Sync with a backend, starting over when another device wrote in the meantime
+   */
+  async run(backend) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.runOnce(backend);
+      } catch (error) {
+        if (error.code !== 'conflict' || attempt >= this.maxAttempts) {
+          throw error;
+        }
+        console.log('Sync document changed while syncing, trying again');
+      }
+    }
+  }
+
+  /**
+   * Pull the shared document, merge it with local data, write back what changed on either side
+   */
+  async runOnce(backend) {
+    const remote = await backend.pull();
+    const state = await this.getState();
+    const local = await this.readLocal(state);
+    const merged = this.merge(local, remote.document ? this.validate(remote.document) : this.emptyDocument());
+
+    const received = await this.applyLocal(local, merged);
+    const sent = !remote.document || this.fingerprint(merged) !== this.fingerprint(remote.document);
+    if (sent) {
+      merged.updatedAt = Date.now();
+      await backend.push(merged, remote);
+    }
+
+    // Only now, so deletions found in this round are found again if pushing them failed
+    await this.saveState({
+      knownIds: Object.keys(merged.records),
+      settingsHash: this.canonical(merged.settings.values),
+      settingsUpdatedAt: merged.settings.updatedAt,
+      lastSync: Date.now(),
+      lastError: null
+    });
+
+    console.log(`Sync finished: ${received} local changes, ${sent ? 'sent' : 'nothing sent'}, ${Object.keys(merged.records).length} highlights`);
+    return { received: received, sent: sent, highlights: Object.keys(merged.records).length };
+  }
+
+  /**
+   * Local data in the shared document's shape. Highlights known at the last sync that are gone
+   * now were deleted here; settings that differ from the last sync were changed here.
+   */
+  async readLocal(state) {
+    const pages = await this.store.getAllPages();
+    const records = {};
+    Object.entries(pages).forEach(([page, highlights]) => {
+      highlights.forEach(highlight => {
+        records[highlight.id] = { page: page, record: this.shared(highlight) };
+      });
+    });
+
+    const now = Date.now();
+    const deleted = {};
+    (state.knownIds || []).forEach(id => {
+      if (!records[id]) {
+        deleted[id] = now;
+      }
+    });
+
+    const settings = await this.store.getSettings();
+    const values = {};
+    this.syncedSettings.forEach(name => {
+      values[name] = settings[name];
+    });
+    // A device that never synced takes the shared settings rather than pushing its defaults
+    let updatedAt = 0;
+    if (state.lastSync) {
+      updatedAt = this.canonical(values) === state.settingsHash ? (state.settingsUpdatedAt || 0) : now;
+    }
+
+    return { pages: pages, records: records, deleted: deleted, settings: { values: values, updatedAt: updatedAt } };
+  }
+
+  /**
+   * Merge two documents. Both devices come to the same result whichever merges first.
+   */
+  merge(local, remote) {
+    const cutoff = Date.now() - this.tombstoneLifetime;
+    const deleted = {};
+    [remote.deleted, local.deleted].forEach(tombstones => {
+      Object.entries(tombstones || {}).forEach(([id, time]) => {
+        if (time >= cutoff && time > (deleted[id] || 0)) {
+          deleted[id] = time;
+        }
+      });
+    });
+
+    const records = Object.assign({}, remote.records);
+    Object.entries(local.records || {}).forEach(([id, entry]) => {
+      if (!records[id] || this.isNewer(entry, records[id])) {
+        records[id] = entry;
+      }
+    });
+
+    // A deletion removes versions from before it; a later edit brings the highlight back
+    Object.keys(deleted).forEach(id => {
+      if (!records[id]) {
+        return;
+      }
+      if (deleted[id] >= this.versionOf(records[id].record)) {
+        delete records[id];
+      } else {
+        delete deleted[id];
+      }
+    });
+
+    // A document without settings yet takes this device's
+    const remoteSettings = remote.settings || { values: {}, updatedAt: 0 };
+    const useLocal = local.settings.updatedAt > remoteSettings.updatedAt || Object.keys(remoteSettings.values || {}).length === 0;
+    return {
+      format: this.format,
+      version: this.version,
+      updatedAt: remote.updatedAt || 0,
+      records: records,
+      deleted: deleted,
+      settings: useLocal ? local.settings : remoteSettings
+    };
+  }
+
+  /**
+   * Write merged records and settings to local storage, touching only pages that changed.
+   * Returns the number of highlights added, changed or removed.
+   */
+  async applyLocal(local, merged) {
+    const wanted = {};
+    Object.values(merged.records).forEach(({ page, record }) => {
+      (wanted[page] = wanted[page] || []).push(record);
+    });
+
+    const changed = {};
+    let count = 0;
+    new Set([...Object.keys(local.pages), ...Object.keys(wanted)]).forEach(page => {
+      const current = local.pages[page] || [];
+      const incoming = new Map((wanted[page] || []).map(record => [record.id, record]));
+      const next = [];
+
+      // Keep the page's order, and whether each highlight could be placed on this device
+      current.forEach(highlight => {
+        const record = incoming.get(highlight.id);
+        incoming.delete(highlight.id);
+        if (!record) {
+          count++;
+        } else if (JSON.stringify(this.shared(highlight)) === JSON.stringify(record)) {
+          next.push(highlight);
+        } else {
+          next.push(highlight.orphaned ? Object.assign({}, record, { orphaned: true }) : record);
+          count++;
+        }
+      });
+      Array.from(incoming.values())
+        .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+        .forEach(record => {
+          next.push(record);
+          count++;
+        });
+
+      if (next.length !== current.length || next.some((highlight, index) => highlight !== current[index])) {
+        changed[page] = next;
+      }
+    });
+
+    if (Object.keys(changed).length > 0) {
+      await this.store.savePages(changed);
+    }
+    // Documents from older versions may lack settings added since
+    const values = merged.settings.values;
+    if (Object.keys(values).some(name => this.canonical(values[name]) !== this.canonical(local.settings.values[name]))) {
+      await this.store.setSettings(values);
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Check that a pulled document is ours and fill in missing parts
+   */
+  validate(document) {
+    if (!document || document.format !== this.format) {
+      throw new Error('The sync location holds something other than HiLite sync data');
+    }
+    if (document.version > this.version) {
+      throw new Error('The sync data was written by a newer version of HiLite; update this one first');
+    }
+    return Object.assign(this.emptyDocument(), document);
+  }
+
+  emptyDocument() {
+    return { format: this.format, version: this.version, updatedAt: 0, records: {}, deleted: {}, settings: { values: {}, updatedAt: 0 } };
+  }
+
+  /**
+   * The part of a record that is synced; whether it could be placed is worked out on each device
+   */
+  shared(highlight) {
+    const { orphaned, ...record } = highlight;
+    return record;
+  }
+
+  versionOf(record) {
+    return record.updatedAt || record.timestamp || 0;
+  }
+
+  /**
+   * Whether a local version of a record should replace the shared one. Of two versions from the
+   * same time, the local one is kept when they differ only in where the page is stored, which
+   * follows this device's URL settings; otherwise content decides, so every device picks the same.
+   */
+  isNewer(entry, other) {
+    const a = this.versionOf(entry.record);
+    const b = this.versionOf(other.record);
+    if (a !== b) {
+      return a > b;
+    }
+    const { url: localUrl, ...localRecord } = entry.record;
+    const { url: sharedUrl, ...sharedRecord } = other.record;
+    if (this.canonical(localRecord) === this.canonical(sharedRecord)) {
+      return true;
+    }
+    return this.canonical(entry) > this.canonical(other);
+  }
+
+  /**
+   * Compare documents by content, regardless of key order and when they were written
+   */
+  fingerprint(document) {
+    return this.canonical({ records: document.records, deleted: document.deleted, settings: document.settings });
+  }
+
+  /**
+   * JSON with object keys sorted, so equal values give equal strings
+   */
+  canonical(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonical(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.canonical(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  async getState() {
+    const result = await browser.storage.local.get(this.stateKey);
+    return result[this.stateKey] || {};
+  }
+
+  /**
+   * Change part of the sync state, e.g. the last error
+   */
+  async saveState(changes) {
+    const state = Object.assign(await this.getState(), changes);
+    await browser.storage.local.set({ [this.stateKey]: state });
+    return state;
+  }
+}
+
+/**
+ * Keeps the shared document in browser.storage.sync, split into chunks that fit its per-item quota
+ */
+class StorageSyncBackend {
+  constructor(area) {
+    this.area = area || browser.storage.sync;
+    this.metaKey = 'hilite:meta';
+    this.chunkPrefix = 'hilite:chunk:';
+    // Firefox's limits; the constants aren't exposed everywhere
+    this.itemQuota = this.area.QUOTA_BYTES_PER_ITEM || 8192;
+    this.totalQuota = this.area.QUOTA_BYTES || 102400;
+    this.maxItems = this.area.MAX_ITEMS || 512;
+  }
+
+  chunkKey(index) {
+    return this.chunkPrefix + index;
+  }
+
+  /**
+   * Read and join the chunks. Each chunk carries the revision it was written for, since another
+   * device's chunks may arrive in several steps.
+   */
+  async pull() {
+    const meta = (await this.area.get(this.metaKey))[this.metaKey];
+    if (!meta) {
+      return { document: null, revision: null };
+    }
+
+    const keys = Array.from({ length: meta.chunks }, (_, index) => this.chunkKey(index));
+    const chunks = await this.area.get(keys);
+    if (keys.some(key => !chunks[key] || chunks[key].revision !== meta.revision)) {
+      throw new Error('Synced data is still arriving from another device; try again in a minute');
+    }
+    return { document: JSON.parse(keys.map(key => chunks[key].data).join('')), revision: meta.revision };
+  }
+
+  /**
+   * Write the document in chunks, unless another device wrote since it was pulled
+   */
+  async push(document, remote) {
+    // storage.sync has no conditional writes, so check the revision right before writing
+    const current = (await this.area.get(this.metaKey))[this.metaKey];
+    if ((current ? current.revision : null) !== remote.revision) {
+      throw SyncEngine.conflictError('Synced data changed on another device');
+    }
+
+    const revision = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const items = {};
+    this.split(JSON.stringify(document), revision).forEach((data, index) => {
+      items[this.chunkKey(index)] = { revision: revision, data: data };
+    });
+    const chunkCount = Object.keys(items).length;
+    items[this.metaKey] = { revision: revision, chunks: chunkCount };
+
+    const bytes = Object.entries(items).reduce((sum, [key, value]) => sum + this.itemBytes(key, value), 0);
+    if (bytes > this.totalQuota || chunkCount + 1 > this.maxItems) {
+      throw new Error(`Your highlights need ${Math.ceil(bytes / 1024)} KB, more than the ${Math.floor(this.totalQuota / 1024)} KB Firefox Sync allows. Sync through a WebDAV/HTTP server instead.`);
+    }
+
+    await this.area.set(items);
+    if (current && current.chunks > chunkCount) {
+      const stale = Array.from({ length: current.chunks - chunkCount }, (_, index) => this.chunkKey(chunkCount + index));
+      await this.area.remove(stale);
+    }
+  }
+
+  /**
+   * Cut text into pieces whose stored items stay within the per-item quota
+   */
+  split(text, revision) {
+    const chunks = [];
+    let start = 0;
+    while (start < text.length) {
+      let size = Math.min(this.itemQuota, text.length - start);
+      // Multi-byte characters and escaped quotes make an item bigger than its length
+      while (size > 1 && this.itemBytes(this.chunkKey(chunks.length), { revision: revision, data: text.slice(start, start + size) }) > this.itemQuota) {
+        size = Math.floor(size * 0.9);
+      }
+      // Don't separate the halves of a surrogate pair
+      const last = text.charCodeAt(start + size - 1);
+      if (size > 1 && start + size < text.length && last >= 0xd800 && last <= 0xdbff) {
+        size--;
+      }
+      chunks.push(text.slice(start, start + size));
+      start += size;
+    }
+    return chunks;
+  }
+
+  itemBytes(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+  }
+}
+
+/**
+ * Keeps the shared document as one JSON file on a WebDAV or plain HTTP server that supports GET
+ * and PUT. ETags, where the server sends them, keep two devices from overwriting each other.
+ * Team collections (collections.js) store their documents the same way.
+ */
+class HttpSyncBackend {
+  constructor(options) {
+    this.url = options.url;
+    this.username = options.username || '';
+    this.password = options.password || '';
+    this.token = options.token || '';  // sent as a bearer token instead of a username and password
+    this.serverName = options.serverName || 'sync server'; // how errors refer to the server
+    this.timeout = options.timeout || 30000;
+  }
+
+  async pull() {
+    const response = await this.request('GET', { Accept: 'application/json' });
+    if (response.status === 404) {
+      return { document: null, revision: null };
+    }
+    this.checkResponse(response);
+
+    const text = await response.text();
+    return { document: text.trim() ? JSON.parse(text) : null, revision: response.headers.get('ETag') };
+  }
+
+  /**
+   * Replace the file, on the condition that it is still the version that was pulled
+   */
+  async push(document, remote) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (remote.revision) {
+      headers['If-Match'] = remote.revision;
+    } else if (!remote.document) {
+      headers['If-None-Match'] = '*';
+    }
+
+    const response = await this.request('PUT', headers, JSON.stringify(document));
+    if (response.status === 412) {
+      throw SyncEngine.conflictError('The sync file changed on the server');
+    }
+    this.checkResponse(response);
+  }
+
+  async request(method, headers, body) {
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    } else if (this.username || this.password) {
+      const credentials = new TextEncoder().encode(`${this.username}:${this.password}`);
+      headers.Authorization = 'Basic ' + btoa(String.fromCharCode(...credentials));
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    try {
+      return await fetch(this.url, {
+        method: method,
+        headers: headers,
+        body: body,
+        cache: 'no-store',
+        credentials: 'omit',
+        signal: controller.signal
+      });
+    } catch (error) {
+      throw new Error(error.name === 'AbortError' ? `The ${this.serverName} didn't answer in time` : `Could not reach the ${this.serverName}: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  checkResponse(response) {
+    if (response.status === 401 || response.status === 403) {
+      throw new Error(`The ${this.serverName} rejected the ${this.token ? 'access token' : 'username or password'}`);
+    }
+    if (!response.ok) {
+      throw new Error(`The ${this.serverName} answered ${response.status} ${response.statusText}`);
+    }
+  }
+}
+
+/**
+ * Runs syncs with the configured backend: shortly after local changes, periodically, and on request
+ */
+class SyncManager {
+  constructor(store) {
+    this.store = store;
+    this.engine = new SyncEngine(store);
+    this.interval = 5 * 60 * 1000;  // pick up other devices' changes
+    this.changeDelay = 10 * 1000;   // gather a burst of local changes into one sync
+    this.startupDelay = 15 * 1000;  // leave time for migrations after an update
+    this.intervalTimer = null;
+    this.changeTimer = null;
+    this.running = null;
+  }
+
+  /**
+   * Sync in the background from now on, if configured
+   */
+  start() {
+    browser.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local') {
+        return;
+      }
+      const settings = this.store.settingsChanges(changes);
+      if (settings.sync) {
+        this.reschedule(settings.sync);
+        return;
+      }
+      const relevant = Object.keys(changes).some(key => this.store.isPageKey(key)) ||
+        this.engine.syncedSettings.some(name => name in settings);
+      if (relevant) {
+        this.scheduleSoon();
+      }
+    });
+
+    this.getConfig().then(config => {
+      this.reschedule(config, this.startupDelay);
+    });
+  }
+
+  async getConfig() {
+    return Object.assign({ backend: 'off' }, await this.store.getSetting('sync'));
+  }
+
+  /**
+   * Restart the periodic sync for a configuration, syncing first after the given delay
+   */
+  reschedule(config, delay = 0) {
+    clearInterval(this.intervalTimer);
+    clearTimeout(this.changeTimer);
+    this.intervalTimer = null;
+    if (!config || config.backend === 'off') {
+      return;
+    }
+    this.intervalTimer = setInterval(() => this.syncNow(), this.interval);
+    this.changeTimer = setTimeout(() => this.syncNow(), delay);
+  }
+
+  scheduleSoon() {
+    if (!this.intervalTimer) {
+      return;
+    }
+    clearTimeout(this.changeTimer);
+    this.changeTimer = setTimeout(() => this.syncNow(), this.changeDelay);
+  }
+
+  createBackend(config) {
+    switch (config.backend) {
+      case 'storage-sync':
+        return new StorageSyncBackend();
+      case 'http':
+        if (!/^https?:\/\//i.test(config.url || '')) {
+          throw new Error('Enter the http:// or https:// address of the sync file');
+        }
+        return new HttpSyncBackend({ url: config.url, username: config.username, password: config.password });
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Sync now, or wait for the sync already running
+   */
+  syncNow() {
+    if (!this.running) {
+      this.running = this.runSync().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async runSync() {
+    try {
+      const backend = this.createBackend(await this.getConfig());
+      if (!backend) {
+        return { success: false, message: 'Sync is turned off' };
+      }
+      const result = await this.engine.run(backend);
+      return Object.assign({ success: true }, result);
+    } catch (error) {
+      console.error('Error syncing highlights:', error);
+      await this.engine.saveState({ lastError: error.message, lastErrorAt: Date.now() });
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Configuration summary and the outcome of the last sync, for the popup
+   */
+  async getStatus() {
+    try {
+      const config = await this.getConfig();
+      const state = await this.engine.getState();
+      return {
+        success: true,
+        backend: config.backend,
+        lastSync: state.lastSync || null,
+        lastError: state.lastError || null,
+        running: !!this.running
+      };
+    } catch (error) {
+      console.error('Error getting sync status:', error);
+      return { success: false, message: error.message };
+    }
+  }
+}
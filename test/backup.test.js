@@ -0,0 +1,59 @@
+/**
+ * Tests for reading JSON exports back in, in backup.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers');
+
+const { HighlightBackup, UrlNormalizer } = loadScripts(['markdown.js', 'urls.js', 'backup.js'], ['HighlightBackup', 'UrlNormalizer']);
+
+const record = (id, extra = {}) => Object.assign({ id: id, text: `text ${id}`, color: '#ffff00', timestamp: 1000 }, extra);
+const exported = pages => JSON.stringify({ format: 'hilite-export', version: 1, pages: pages });
+
+test('imported pages move to their normalized key, merging pages that share it', () => {
+  const backup = new HighlightBackup();
+
+  const incoming = backup.parse(exported({
+    'https://example.com/post?utm_source=feed#comments': [record('h1'), record('h2')],
+    'https://example.com/post': [record('h2'), record('h3')]
+  }), new UrlNormalizer());
+
+  assert.deepEqual(Object.keys(incoming.pages), ['https://example.com/post']);
+  assert.deepEqual(plain(incoming.pages['https://example.com/post'].map(highlight => [highlight.id, highlight.url])), [
+    ['h1', 'https://example.com/post'],
+    ['h2', 'https://example.com/post'],
+    ['h3', 'https://example.com/post']
+  ]);
+});
+
+test('imported pages follow the user\'s URL settings', () => {
+  const backup = new HighlightBackup();
+  const urls = new UrlNormalizer({ rules: [{ domain: 'example.com', keepFragment: true }] });
+
+  const incoming = backup.parse(exported({ 'https://example.com/app#/settings': [record('h1')] }), urls);
+
+  assert.deepEqual(Object.keys(incoming.pages), ['https://example.com/app#/settings']);
+});
+
+test('records and color labels with colors other than hex codes are dropped', () => {
+  const backup = new HighlightBackup();
+  const text = JSON.stringify({
+    format: 'hilite-export',
+    version: 1,
+    pages: {
+      'https://example.com/a': [
+        record('h1', { color: '#FF6B6B' }),
+        record('h2', { color: 'red" onmouseover="alert(1)' }),
+        record('h3', { color: 'url(https://tracker.example/)' })
+      ]
+    },
+    colorLabels: { '#ff6b6b': 'Important', '<img src=x>': 'Bad' }
+  });
+
+  const incoming = backup.parse(text, new UrlNormalizer());
+
+  assert.deepEqual(plain(incoming.pages['https://example.com/a'].map(highlight => highlight.id)), ['h1']);
+  assert.equal(incoming.invalid, 2);
+  assert.deepEqual(plain(incoming.colorLabels), { '#ff6b6b': 'Important' });
+});
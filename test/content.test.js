@@ -0,0 +1,32 @@
+/**
+ * Tests for WebHighlighter in content.js, run on a jsdom page
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, waitFor } = require('./helpers');
+
+const url = 'https://example.com/article';
+const html = '<html><body><p>The quick brown fox jumps over the lazy dog</p></body></html>';
+
+const record = (id, exact) => ({ id: id, text: exact, color: '#ffff00', timestamp: 1000, anchor: { quote: { exact: exact } } });
+
+test('deleting a highlight through a message takes it off the page', async () => {
+  const page = loadPage(url, html, {
+    [`page:${url}`]: [record('h1', 'quick brown'), record('h2', 'lazy dog')],
+    'index:pages': { [url]: { count: 2, title: '', updatedAt: 1000 } }
+  });
+  const drawn = id => !!page.window.document.querySelector(`[data-highlight-id="${id}"]`);
+  try {
+    await waitFor(() => drawn('h1') && drawn('h2'));
+
+    const response = await page.send({ action: 'deleteHighlight', highlightId: 'h1' });
+
+    assert.equal(response.success, true);
+    assert.equal(drawn('h1'), false);
+    assert.equal(drawn('h2'), true);
+    assert.deepEqual(page.area.data[`page:${url}`].map(stored => stored.id), ['h2']);
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,111 @@
+/**
+ * Helpers shared by the test suites: load extension scripts into a sandbox and stand in for storage.local
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Load extension scripts into a sandbox, the way the background page loads them, and return the named globals
+ */
+function loadScripts(files, names, globals = {}) {
+  const source = files.map(file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8')).join('\n');
+  const context = vm.createContext(Object.assign({ console: { log() {}, error() {} }, URL: URL }, globals));
+  return vm.runInContext(`${source}\n;({ ${names.join(', ')} })`, context);
+}
+
+/**
+ * A storage.local stand-in that copies values in and out, like the real one, counts writes and
+ * tells its listeners what changed. Every call takes a turn of the event loop, so overlapping calls
+ * interleave as they can in the browser.
+ */
+function createArea(initial = {}) {
+  const clone = value => JSON.parse(JSON.stringify(value));
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+  const area = {
+    data: clone(initial),
+    writes: 0,
+    listeners: [], // (changes, areaName), like storage.onChanged
+    notify(changes) {
+      area.listeners.forEach(listener => listener(changes, 'local'));
+    },
+    async get(keys) {
+      await tick();
+      if (keys === undefined || keys === null) {
+        return clone(area.data);
+      }
+      const result = {};
+      (Array.isArray(keys) ? keys : [keys]).forEach(key => {
+        if (key in area.data) {
+          result[key] = clone(area.data[key]);
+        }
+      });
+      return result;
+    },
+    async set(items) {
+      await tick();
+      area.writes++;
+      const changes = {};
+      Object.entries(items).forEach(([key, value]) => {
+        changes[key] = { oldValue: area.data[key], newValue: clone(value) };
+        area.data[key] = clone(value);
+      });
+      area.notify(changes);
+    },
+    async remove(keys) {
+      await tick();
+      area.writes++;
+      const changes = {};
+      (Array.isArray(keys) ? keys : [keys]).forEach(key => {
+        changes[key] = { oldValue: area.data[key] };
+        delete area.data[key];
+      });
+      area.notify(changes);
+    }
+  };
+  return area;
+}
+
+/**
+ * Open a page in jsdom and run the content scripts in it, in the manifest's order. Returns the
+ * window, the storage area and send(message), which answers like runtime.sendMessage to the tab.
+ */
+function loadPage(url, html, initial = {}, sendMessage = async () => null) {
+  const { JSDOM } = require('jsdom');
+  const dom = new JSDOM(html, { url: url, runScripts: 'outside-only', pretendToBeVisual: true });
+  const window = dom.window;
+  const area = createArea(initial);
+  let onMessage = null;
+  window.browser = {
+    storage: { local: area, onChanged: { addListener: listener => area.listeners.push(listener) } },
+    runtime: { sendMessage: sendMessage, onMessage: { addListener: listener => { onMessage = listener; } } }
+  };
+  window.CSS = { escape: value => String(value).replace(/["\\]/g, '\\$&') }; // jsdom has no CSS object
+  window.console = { log() {}, error() {} };
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8'));
+  const files = manifest.content_scripts[0].js;
+  window.eval(files.map(file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8')).join('\n'));
+
+  const send = message => new Promise(resolve => onMessage(message, {}, resolve));
+  return { window, area, send, close: () => window.close() };
+}
+
+/**
+ * Resolve once check() returns true, polling for up to a second
+ */
+async function waitFor(check, timeout = 1000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for the page');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// Values made inside the sandbox have its prototypes, which strict deepEqual tells apart
+const plain = value => JSON.parse(JSON.stringify(value));
+
+module.exports = { loadScripts, createArea, loadPage, waitFor, plain };
@@ -0,0 +1,130 @@
+/**
+ * Tests for the storage schema migrations in migrations.js, run against an in-memory storage area
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createArea, plain } = require('./helpers');
+
+const { HighlightStore, StorageMigrator } = loadScripts(['storage.js', 'urls.js', 'migrations.js'], ['HighlightStore', 'StorageMigrator']);
+
+function createMigrator(data) {
+  const area = createArea(data);
+  return { area: area, migrator: new StorageMigrator(new HighlightStore(area)) };
+}
+
+const record = (id, extra = {}) => Object.assign({ id: id, text: `text ${id}`, color: '#ffff00', timestamp: 1000 }, extra);
+
+test('1.0.0 -> v2 moves raw URL keys and legacy settings, drops empty pages and keeps unknown keys', () => {
+  const { migrator } = createMigrator();
+  const data = plain(migrator.migrateToV2({
+    'https://example.com/a': [record('h1', { title: 'A' })],
+    'https://example.com/empty': [],
+    defaultHighlightColor: '#ff0000',
+    colorLabels: { '#ff0000': 'Important' },
+    highlightRenderer: 'highlight-api',
+    somethingElse: { keep: true }
+  }));
+
+  assert.deepEqual(Object.keys(data).sort(), ['index:pages', 'page:https://example.com/a', 'settings', 'somethingElse']);
+  assert.equal(data['page:https://example.com/a'][0].url, 'https://example.com/a');
+  assert.deepEqual(data.settings, {
+    defaultHighlightColor: '#ff0000',
+    colorLabels: { '#ff0000': 'Important' },
+    highlightRenderer: 'highlight-api'
+  });
+  assert.deepEqual(data['index:pages'], { 'https://example.com/a': { count: 1, title: 'A', updatedAt: 1000 } });
+  assert.deepEqual(data.somethingElse, { keep: true });
+});
+
+test('1.0.0 -> v2 also moves pages that were not on http(s), and leaves other arrays alone', async () => {
+  const { area, migrator } = createMigrator({
+    'file:///home/user/notes.html': [record('h1')],
+    'ftp://example.com/readme.txt': [record('h2')],
+    recentColors: ['#ff0000']
+  });
+
+  await migrator.run();
+
+  assert.deepEqual(area.data['page:file:///home/user/notes.html'].map(stored => stored.id), ['h1']);
+  assert.deepEqual(area.data['page:ftp://example.com/readme.txt'].map(stored => stored.id), ['h2']);
+  assert.equal(area.data['file:///home/user/notes.html'], undefined);
+  assert.deepEqual(Object.keys(area.data['index:pages']).sort(), ['file:///home/user/notes.html', 'ftp://example.com/readme.txt']);
+  assert.deepEqual(area.data.recentColors, ['#ff0000']);
+});
+
+test('1.0.0 storage is migrated all the way to the current version', async () => {
+  const { area, migrator } = createMigrator({
+    'https://example.com/a': [record('h1')],
+    'https://example.com/empty': [],
+    defaultHighlightColor: '#ff0000'
+  });
+
+  const result = await migrator.run();
+
+  assert.deepEqual(plain(result), { success: true, migrated: true, version: 3 });
+  assert.deepEqual(Object.keys(area.data).sort(), ['index:pages', 'page:https://example.com/a', 'schemaVersion', 'settings']);
+  assert.equal(area.data.settings.defaultHighlightColor, '#ff0000');
+});
+
+test('v2 -> v3 merges URL variants onto the normalized key without duplicating ids', async () => {
+  const { area, migrator } = createMigrator({
+    schemaVersion: 2,
+    settings: {},
+    'page:https://example.com/a?utm_source=news': [record('h1'), record('h2')],
+    'page:https://example.com/a#section': [record('h2'), record('h3')],
+    'page:https://example.com/b': [record('h4')],
+    'index:pages': {}
+  });
+
+  const result = await migrator.run();
+
+  assert.equal(result.version, 3);
+  const records = area.data['page:https://example.com/a'];
+  assert.deepEqual(records.map(r => r.id), ['h1', 'h2', 'h3']);
+  assert.ok(records.every(r => r.url === 'https://example.com/a'));
+  assert.equal(area.data['page:https://example.com/a?utm_source=news'], undefined);
+  assert.equal(area.data['page:https://example.com/a#section'], undefined);
+  assert.deepEqual(Object.keys(area.data['index:pages']).sort(), ['https://example.com/a', 'https://example.com/b']);
+  assert.equal(area.data['index:pages']['https://example.com/a'].count, 3);
+});
+
+test('running the migrations again on migrated storage does nothing', async () => {
+  const { area, migrator } = createMigrator({ 'https://example.com/a': [record('h1')] });
+  await migrator.run();
+  const migrated = JSON.parse(JSON.stringify(area.data));
+  const writes = area.writes;
+
+  const result = await migrator.run();
+
+  assert.deepEqual(plain(result), { success: true, migrated: false, version: 3 });
+  assert.equal(area.writes, writes);
+  assert.deepEqual(area.data, migrated);
+});
+
+test('a failed write rolls storage back to the snapshot', async () => {
+  const original = {
+    'https://example.com/a': [record('h1')],
+    defaultHighlightColor: '#ff0000',
+    somethingElse: 1
+  };
+  const { area, migrator } = createMigrator(original);
+
+  // Let the migrated keys be written and the old ones removed, then fail bumping the version
+  const set = area.set;
+  let calls = 0;
+  area.set = async (items) => {
+    calls++;
+    if (calls === 2) {
+      throw new Error('QuotaExceededError');
+    }
+    return set(items);
+  };
+
+  const result = await migrator.run();
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'QuotaExceededError');
+  assert.equal(result.version, 1);
+  assert.deepEqual(area.data, original);
+});
@@ -0,0 +1,40 @@
+/**
+ * Tests for HighlightStore in storage.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createArea, plain } = require('./helpers');
+
+const { HighlightStore } = loadScripts(['storage.js'], ['HighlightStore']);
+
+const record = (id, extra = {}) => Object.assign({ id: id, text: `text ${id}`, timestamp: 1000 }, extra);
+
+test('pages saved at the same time are all found, and the index is repaired', async () => {
+  const area = createArea();
+  const tabA = new HighlightStore(area);
+  const tabB = new HighlightStore(area);
+
+  // Both read the index before either writes it back, so one index entry is lost
+  await Promise.all([
+    tabA.savePage('https://example.com/a', [record('h1')]),
+    tabB.savePage('https://example.com/b', [record('h2')])
+  ]);
+  assert.equal(Object.keys(area.data['index:pages']).length, 1);
+
+  const pages = plain(await tabA.getAllPages());
+
+  assert.deepEqual(Object.keys(pages).sort(), ['https://example.com/a', 'https://example.com/b']);
+  assert.deepEqual(Object.keys(area.data['index:pages']).sort(), ['https://example.com/a', 'https://example.com/b']);
+});
+
+test('getAllPages leaves a correct index alone', async () => {
+  const area = createArea();
+  const store = new HighlightStore(area);
+  await store.savePage('https://example.com/a', [record('h1')]);
+  const writes = area.writes;
+
+  await store.getAllPages();
+
+  assert.equal(area.writes, writes);
+});
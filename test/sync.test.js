@@ -0,0 +1,160 @@
+/**
+ * Tests for sync.js: SyncEngine against HttpSyncBackend and the stand-in server in tools/, and
+ * StorageSyncBackend's chunking
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createArea, plain } = require('./helpers');
+const { SyncStandInServer } = require('../tools/sync-server');
+
+const record = (id, extra = {}) => Object.assign({ id: id, text: `text ${id}`, color: '#ffff00', timestamp: 1000 }, extra);
+
+/**
+ * A browser with its own storage.local and the sync code loaded, as each device has
+ */
+function createDevice(pages = {}) {
+  const area = createArea();
+  const browser = { storage: { local: area } };
+  const scripts = loadScripts(['storage.js', 'sync.js'], ['HighlightStore', 'SyncEngine', 'HttpSyncBackend', 'StorageSyncBackend'], {
+    browser, fetch, AbortController, TextEncoder, btoa, setTimeout, clearTimeout
+  });
+  const store = new scripts.HighlightStore(area);
+  const engine = new scripts.SyncEngine(store);
+  return {
+    area,
+    store,
+    engine,
+    scripts,
+    seed: () => store.savePages(pages),
+    backend: url => new scripts.HttpSyncBackend({ url: url }),
+    ids: async () => Object.values(await store.getAllPages()).flat().map(highlight => highlight.id).sort()
+  };
+}
+
+/**
+ * Run the stand-in server on a free port for the length of a test
+ */
+async function startServer(t) {
+  const standIn = new SyncStandInServer({});
+  standIn.port = 0;
+  const log = console.log;
+  console.log = () => {}; // the server logs every request
+  const server = standIn.start();
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => {
+    console.log = log;
+    return new Promise(resolve => server.close(resolve));
+  });
+  return { standIn, url: `http://localhost:${server.address().port}/hilite.json` };
+}
+
+const serverDocument = standIn => JSON.parse(standIn.documents.get('/hilite.json').body);
+
+test('two devices end up with each other\'s highlights', async (t) => {
+  const { standIn, url } = await startServer(t);
+  const laptop = createDevice({ 'https://example.com/a': [record('h1')] });
+  const desktop = createDevice({ 'https://example.com/b': [record('h2')] });
+  await laptop.seed();
+  await desktop.seed();
+
+  await laptop.engine.run(laptop.backend(url));
+  const result = await desktop.engine.run(desktop.backend(url));
+  await laptop.engine.run(laptop.backend(url));
+
+  assert.equal(result.sent, true);
+  assert.deepEqual(await laptop.ids(), ['h1', 'h2']);
+  assert.deepEqual(await desktop.ids(), ['h1', 'h2']);
+  assert.deepEqual(Object.keys(serverDocument(standIn).records).sort(), ['h1', 'h2']);
+});
+
+test('a deletion reaches the other device, and an edit made after it brings the highlight back', async (t) => {
+  const { standIn, url } = await startServer(t);
+  const laptop = createDevice({ 'https://example.com/a': [record('h1'), record('h2')] });
+  const desktop = createDevice();
+  await laptop.seed();
+  await laptop.engine.run(laptop.backend(url));
+  await desktop.engine.run(desktop.backend(url));
+
+  await laptop.store.savePage('https://example.com/a', [record('h2')]);
+  await laptop.engine.run(laptop.backend(url));
+  await desktop.engine.run(desktop.backend(url));
+
+  assert.deepEqual(await desktop.ids(), ['h2']);
+  assert.ok(serverDocument(standIn).deleted.h1);
+
+  // The laptop still had h2 from before; the desktop edits it after the laptop deletes it
+  await laptop.store.savePage('https://example.com/a', []);
+  await laptop.engine.run(laptop.backend(url));
+  await desktop.store.savePage('https://example.com/a', [record('h2', { note: 'keep', updatedAt: Date.now() + 1000 })]);
+  await desktop.engine.run(desktop.backend(url));
+  await laptop.engine.run(laptop.backend(url));
+
+  assert.deepEqual(await laptop.ids(), ['h2']);
+  assert.equal((await laptop.store.getPage('https://example.com/a'))[0].note, 'keep');
+});
+
+test('a push rejected because another device wrote first is retried with both changes', async (t) => {
+  const { standIn, url } = await startServer(t);
+  const laptop = createDevice({ 'https://example.com/a': [record('h1')] });
+  const desktop = createDevice({ 'https://example.com/b': [record('h2')] });
+  await laptop.seed();
+  await desktop.seed();
+
+  // The desktop syncs after the laptop pulled, so the laptop's If-Match no longer holds
+  const backend = laptop.backend(url);
+  const pull = backend.pull.bind(backend);
+  let pulls = 0;
+  backend.pull = async () => {
+    const remote = await pull();
+    if (++pulls === 1) {
+      await desktop.engine.run(desktop.backend(url));
+    }
+    return remote;
+  };
+
+  const result = await laptop.engine.run(backend);
+
+  assert.equal(pulls, 2);
+  assert.equal(result.sent, true);
+  assert.deepEqual(Object.keys(serverDocument(standIn).records).sort(), ['h1', 'h2']);
+  assert.deepEqual(await laptop.ids(), ['h1', 'h2']);
+});
+
+test('storage.sync chunks stay within the per-item quota and join back into the document', async () => {
+  const { scripts } = createDevice();
+  const area = createArea();
+  const backend = new scripts.StorageSyncBackend(area);
+  // Quotes and multi-byte characters take more room stored than their length suggests
+  const text = 'Quote "this" – naïve café 😀 '.repeat(900);
+  const document = { format: 'hilite-sync', version: 1, records: { h1: { page: 'https://example.com/a', record: record('h1', { text: text }) } } };
+
+  await backend.push(document, await backend.pull());
+
+  const chunkKeys = Object.keys(area.data).filter(key => key.startsWith(backend.chunkPrefix));
+  assert.ok(chunkKeys.length > 1);
+  assert.equal(area.data[backend.metaKey].chunks, chunkKeys.length);
+  chunkKeys.forEach(key => {
+    assert.ok(backend.itemBytes(key, area.data[key]) <= backend.itemQuota, `${key} is over the per-item quota`);
+  });
+  assert.deepEqual(plain((await backend.pull()).document), document);
+
+  // A smaller document leaves no chunks of the bigger one behind
+  const smaller = { format: 'hilite-sync', version: 1, records: {} };
+  await backend.push(smaller, await backend.pull());
+  assert.equal(Object.keys(area.data).filter(key => key.startsWith(backend.chunkPrefix)).length, 1);
+  assert.deepEqual(plain((await backend.pull()).document), smaller);
+});
+
+test('storage.sync refuses a document over the total quota and keeps what was there', async () => {
+  const { scripts } = createDevice();
+  const area = createArea();
+  const backend = new scripts.StorageSyncBackend(area);
+  const stored = { format: 'hilite-sync', version: 1, records: {} };
+  await backend.push(stored, await backend.pull());
+
+  const tooBig = { format: 'hilite-sync', version: 1, records: { h1: { page: 'https://example.com/a', record: record('h1', { text: 'x'.repeat(backend.totalQuota) }) } } };
+
+  await assert.rejects(backend.push(tooBig, await backend.pull()), /more than the 100 KB Firefox Sync allows/);
+  assert.deepEqual(plain((await backend.pull()).document), stored);
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests for HighlightTrash in trash.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createArea, plain } = require('./helpers');
+
+const { HighlightStore, HighlightTrash } = loadScripts(['storage.js', 'trash.js'], ['HighlightStore', 'HighlightTrash']);
+
+const record = (id, extra = {}) => Object.assign({ id: id, text: `text ${id}`, timestamp: Date.now() }, extra);
+
+async function createTrash(initial = {}) {
+  const area = createArea(initial);
+  const store = new HighlightStore(area);
+  await store.savePages({
+    'https://example.com/a': [record('h1', { color: 'yellow' }), record('h2', { color: 'green' })],
+    'https://example.com/b': [record('h3', { color: 'yellow' })]
+  });
+  return { area, store, trash: new HighlightTrash(store) };
+}
+
+test('clears made at the same time each keep their snapshot in the index', async () => {
+  const { area, trash } = await createTrash();
+
+  const results = await Promise.all([
+    trash.clear({ url: 'https://example.com/a' }),
+    trash.clear({ url: 'https://example.com/b' })
+  ]);
+
+  assert.ok(results.every(result => result.success));
+  assert.deepEqual(Object.keys(area.data['index:trash']).sort(), results.map(result => result.trashId).sort());
+  assert.equal(Object.keys(area.data).filter(key => key.startsWith('trash:')).length, 2);
+});
+
+test('restoring while another clear runs keeps the other snapshot', async () => {
+  const { area, trash } = await createTrash();
+  const first = await trash.clear({ url: 'https://example.com/a' });
+
+  const [restored, cleared] = await Promise.all([
+    trash.restore(first.trashId),
+    trash.clear({ url: 'https://example.com/b' })
+  ]);
+
+  assert.equal(restored.highlights, 2);
+  assert.deepEqual(Object.keys(area.data['index:trash']), [cleared.trashId]);
+  assert.ok(area.data[`trash:${cleared.trashId}`]);
+  assert.equal(area.data[`trash:${first.trashId}`], undefined);
+});
+
+test('list drops snapshots missing from the index and index entries without a snapshot', async () => {
+  const { area, trash } = await createTrash({
+    'trash:lost': { id: 'lost', createdAt: Date.now(), pages: {} },
+    'index:trash': { gone: { createdAt: Date.now(), count: 1, pageCount: 1 } }
+  });
+  const cleared = await trash.clear({ color: 'yellow' });
+
+  const listed = await trash.list();
+
+  assert.deepEqual(plain(listed.entries.map(entry => entry.id)), [cleared.trashId]);
+  assert.deepEqual(Object.keys(area.data['index:trash']), [cleared.trashId]);
+  assert.deepEqual(Object.keys(area.data).filter(key => key.startsWith('trash:')), [`trash:${cleared.trashId}`]);
+});
+
+test('purge removes snapshots older than the retention period', async () => {
+  const old = Date.now() - 40 * 24 * 60 * 60 * 1000;
+  const { area, trash } = await createTrash({
+    'trash:old': { id: 'old', createdAt: old, pages: {} },
+    'index:trash': { old: { createdAt: old, count: 1, pageCount: 1 } }
+  });
+
+  await trash.purge();
+
+  assert.deepEqual(area.data['index:trash'], {});
+  assert.equal(area.data['trash:old'], undefined);
+});
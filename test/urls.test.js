@@ -0,0 +1,33 @@
+/**
+ * Tests for UrlNormalizer in urls.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+const { UrlNormalizer } = loadScripts(['urls.js'], ['UrlNormalizer']);
+
+test('a canonical link on another site is ignored', () => {
+  const urls = new UrlNormalizer();
+
+  assert.equal(
+    urls.normalize('https://attacker.example/page?utm_source=x#top', 'https://bank.example/account'),
+    'https://attacker.example/page'
+  );
+  assert.equal(urls.normalize('https://evil.example.com/post', 'https://example.com/post'), 'https://evil.example.com/post');
+});
+
+test('a canonical link on the same site or its www, mobile or AMP variant is used', () => {
+  const urls = new UrlNormalizer();
+
+  assert.equal(urls.normalize('https://example.com/post?id=1', '/articles/post'), 'https://example.com/articles/post');
+  assert.equal(urls.normalize('https://m.example.com/post', 'https://www.example.com/post'), 'https://www.example.com/post');
+  assert.equal(urls.normalize('https://amp.example.com/post', 'https://example.com/post'), 'https://example.com/post');
+});
+
+test('a canonical link to the site root from a deeper page is ignored', () => {
+  const urls = new UrlNormalizer();
+
+  assert.equal(urls.normalize('https://example.com/post', 'https://example.com/'), 'https://example.com/post');
+});
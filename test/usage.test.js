@@ -0,0 +1,70 @@
+/**
+ * Tests for the storage dashboard's clean-ups in usage.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createArea, plain } = require('./helpers');
+
+const { HighlightStore, HighlightTrash, StorageUsage } = loadScripts(
+  ['storage.js', 'trash.js', 'usage.js'], ['HighlightStore', 'HighlightTrash', 'StorageUsage']);
+
+const day = 24 * 60 * 60 * 1000;
+const record = (id, extra = {}) => Object.assign({ id: id, text: `text ${id}`, color: '#ffff00', timestamp: Date.now() }, extra);
+
+async function createUsage(pages) {
+  const area = createArea();
+  const store = new HighlightStore(area);
+  await store.savePages(pages);
+  const trash = new HighlightTrash(store);
+  return { area, store, trash, usage: new StorageUsage(store, trash) };
+}
+
+const pageUrls = async store => Object.keys(await store.getAllPages()).sort();
+
+test('deleting old pages moves them to the trash, from where they can be restored', async () => {
+  const old = Date.now() - 400 * day;
+  const { store, trash, usage } = await createUsage({
+    'https://example.com/old': [record('h1', { timestamp: old })],
+    'https://example.com/new': [record('h2')]
+  });
+
+  const result = await usage.deleteOlderThan(365);
+
+  assert.equal(result.highlights, 1);
+  assert.deepEqual(await pageUrls(store), ['https://example.com/new']);
+  const listed = await trash.list();
+  assert.deepEqual(plain(listed.entries.map(entry => entry.filter)), [{ cleanup: 'olderThan', days: 365 }]);
+
+  await trash.restore(result.trashId);
+  assert.deepEqual(await pageUrls(store), ['https://example.com/new', 'https://example.com/old']);
+});
+
+test('deleting highlights that could not be placed keeps them in the trash', async () => {
+  const { store, trash, usage } = await createUsage({
+    'https://example.com/a': [record('h1', { orphaned: true }), record('h2')]
+  });
+
+  const result = await usage.deleteOrphaned();
+
+  assert.equal(result.highlights, 1);
+  assert.deepEqual((await store.getPage('https://example.com/a')).map(highlight => highlight.id), ['h2']);
+  await trash.restore(result.trashId);
+  assert.deepEqual((await store.getPage('https://example.com/a')).map(highlight => highlight.id), ['h2', 'h1']);
+});
+
+test('merging duplicates keeps the merged copies in the trash', async () => {
+  const { area, store, usage } = await createUsage({
+    'https://example.com/a': [
+      record('h1', { text: 'same', note: 'first', updatedAt: 1000 }),
+      record('h2', { text: 'same', note: 'second', updatedAt: 2000 })
+    ]
+  });
+
+  const result = await usage.compactDuplicates();
+
+  assert.equal(result.highlights, 1);
+  const kept = await store.getPage('https://example.com/a');
+  assert.deepEqual(kept.map(highlight => [highlight.id, highlight.note]), [['h2', 'second\n\nfirst']]);
+  assert.deepEqual(area.data[`trash:${result.trashId}`].pages['https://example.com/a'].map(highlight => highlight.id), ['h1']);
+});
@@ -0,0 +1,252 @@
+/**
+ * HiLite - Selection Toolbar
+ * A small toolbar shown next to a text selection with the palette and quick actions.
+ * It lives in a closed Shadow DOM so the page's CSS can't restyle or hide it.
+ */
+
+class SelectionToolbar {
+  constructor(options) {
+    this.hostClass = options.hostClass;
+    this.shouldShow = options.shouldShow; // (target) => whether a selection ending at target gets the toolbar
+    this.getPalette = options.getPalette; // async () => [{ color, name, label }]
+    this.actions = options.actions;       // { highlight(color), addNote(), copyQuote(), search(), disableSite() }
+    this.host = null;
+    this.toolbar = null;
+    this.building = null;   // the build in progress, shared by updates that arrive meanwhile
+    this.generation = 0;    // bumped by reset() so a build still loading the palette is dropped
+  }
+
+  /**
+   * Watch for selections made with the mouse or the keyboard
+   */
+  attach() {
+    document.addEventListener('mouseup', (e) => {
+      if (!this.contains(e.target)) {
+        // Let the selection settle first; a click inside a selection only collapses it afterwards
+        setTimeout(() => this.update(e.target), 0);
+      }
+    });
+    document.addEventListener('keyup', (e) => {
+      if (e.key === 'Escape') {
+        this.hide();
+      } else if (e.shiftKey || e.key === 'Shift') {
+        this.update(e.target);
+      }
+    });
+    document.addEventListener('mousedown', (e) => {
+      if (!this.contains(e.target)) {
+        this.hide();
+      }
+    });
+    document.addEventListener('selectionchange', () => {
+      if (this.isVisible() && window.getSelection().isCollapsed) {
+        this.hide();
+      }
+    });
+    window.addEventListener('scroll', () => this.hide(), { passive: true });
+  }
+
+  /**
+   * Show the toolbar for the current selection, or hide it when there is none
+   */
+  async update(target) {
+    const selection = window.getSelection();
+    if (selection.isCollapsed || !selection.toString().trim() || !this.shouldShow(target)) {
+      this.hide();
+      return;
+    }
+
+    const rect = selection.getRangeAt(0).getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) {
+      this.hide();
+      return;
+    }
+    await this.show(rect);
+  }
+
+  /**
+   * Place the toolbar above the selection, or below it when there is no room
+   */
+  async show(rect) {
+    if (!this.host) {
+      if (!this.building) {
+        const building = this.build().finally(() => {
+          if (this.building === building) {
+            this.building = null;
+          }
+        });
+        this.building = building;
+      }
+      await this.building;
+      if (!this.host) {
+        return;
+      }
+    }
+
+    this.host.style.display = 'block';
+    const width = this.toolbar.offsetWidth;
+    const height = this.toolbar.offsetHeight;
+    const left = Math.min(Math.max(8, rect.left + rect.width / 2 - width / 2), window.innerWidth - width - 8);
+    const top = rect.top - height - 8 >= 0 ? rect.top - height - 8 : rect.bottom + 8;
+    this.host.style.left = `${left}px`;
+    this.host.style.top = `${top}px`;
+  }
+
+  hide() {
+    if (this.host) {
+      this.host.style.display = 'none';
+    }
+  }
+
+  isVisible() {
+    return !!this.host && this.host.style.display !== 'none';
+  }
+
+  contains(node) {
+    return !!this.host && (node === this.host || this.host.contains(node));
+  }
+
+  /**
+   * Forget the palette, e.g. after color labels changed, so the next toolbar shows the new one
+   */
+  reset() {
+    this.generation++;
+    this.building = null;
+    if (this.host) {
+      this.host.remove();
+      this.host = null;
+      this.toolbar = null;
+    }
+  }
+
+  /**
+   * Create the host element and the toolbar inside its shadow root
+   */
+  async build() {
+    const generation = this.generation;
+    const palette = await this.getPalette();
+    if (generation !== this.generation) {
+      return;
+    }
+
+    const host = document.createElement('div');
+    host.className = this.hostClass;
+    host.style.cssText = 'all: initial; position: fixed; z-index: 2147483646; display: none;';
+    const root = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = SelectionToolbar.styles;
+    root.appendChild(style);
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'toolbar';
+    toolbar.setAttribute('role', 'toolbar');
+    toolbar.setAttribute('aria-label', 'HiLite');
+
+    const swatches = document.createElement('div');
+    swatches.className = 'swatches';
+    palette.forEach(entry => {
+      const swatch = this.createButton('', entry.label ? `${entry.name} – ${entry.label}` : entry.name, () => {
+        this.actions.highlight(entry.color);
+      });
+      swatch.className = 'swatch';
+      swatch.style.backgroundColor = entry.color;
+      swatches.appendChild(swatch);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    actions.appendChild(this.createButton('📝', 'Highlight and add a note', () => this.actions.addNote()));
+    actions.appendChild(this.createButton('❝', 'Copy as quote', () => this.actions.copyQuote()));
+    actions.appendChild(this.createButton('🔍', 'Search the web', () => this.actions.search()));
+    actions.appendChild(this.createButton('✕', 'Don\'t show this toolbar on this site', () => this.actions.disableSite()));
+
+    toolbar.appendChild(swatches);
+    toolbar.appendChild(actions);
+    root.appendChild(toolbar);
+
+    // Keep the page's selection when the toolbar is clicked
+    toolbar.addEventListener('mousedown', (e) => e.preventDefault());
+
+    document.body.appendChild(host);
+    this.host = host;
+    this.toolbar = toolbar;
+  }
+
+  /**
+   * Create a toolbar button that hides the toolbar and runs an action
+   */
+  createButton(text, title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.title = title;
+    button.setAttribute('aria-label', title);
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.hide();
+      onClick();
+    });
+    return button;
+  }
+
+  /**
+   * Styles of the toolbar's shadow root; the page's styles don't reach in here
+   */
+  static get styles() {
+    return `
+      .toolbar {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 6px 8px;
+        background: #2c3e50;
+        border-radius: 8px;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+        font: 13px/1 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      }
+      .swatches {
+        display: grid;
+        grid-template-columns: repeat(10, 16px);
+        gap: 4px;
+      }
+      .actions {
+        display: flex;
+        gap: 2px;
+        padding-left: 8px;
+        border-left: 1px solid rgba(255, 255, 255, 0.25);
+      }
+      button {
+        margin: 0;
+        padding: 0;
+        border: none;
+        cursor: pointer;
+        font: inherit;
+      }
+      .swatch {
+        width: 16px;
+        height: 16px;
+        border: 1px solid rgba(255, 255, 255, 0.6);
+        border-radius: 3px;
+      }
+      .swatch:hover,
+      .swatch:focus-visible {
+        transform: scale(1.2);
+        outline: none;
+      }
+      .actions button {
+        width: 26px;
+        height: 26px;
+        border-radius: 4px;
+        background: transparent;
+        color: white;
+        font-size: 14px;
+      }
+      .actions button:hover,
+      .actions button:focus-visible {
+        background: rgba(255, 255, 255, 0.15);
+        outline: none;
+      }
+    `;
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * HiLite - Sync Stand-in Server
+ * A minimal WebDAV-like file server for trying out and testing HTTP sync locally. It keeps one
+ * document per path in memory (or in a JSON file), answers GET, PUT and DELETE, sends ETags and
+ * honours If-Match / If-None-Match the way WebDAV servers do.
+ *
+ *   node tools/sync-server.js [--port 8765] [--user name --password secret | --token secret] [--file data.json]
+ *
+ * Then choose "WebDAV or HTTP server" under Sync in the popup and enter
+ * http://localhost:8765/hilite.json, or enter http://localhost:8765 as the sharing server under
+ * Team collections.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+
+class SyncStandInServer {
+  constructor(options) {
+    this.port = options.port || 8765;
+    this.user = options.user || null;
+    this.password = options.password || '';
+    this.token = options.token || null;
+    this.file = options.file || null;
+    this.documents = new Map(); // path -> { body, etag }
+    this.load();
+  }
+
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) {
+      return;
+    }
+    Object.entries(JSON.parse(fs.readFileSync(this.file, 'utf8'))).forEach(([path, body]) => {
+      this.documents.set(path, { body: body, etag: this.etag(body) });
+    });
+  }
+
+  save() {
+    if (!this.file) {
+      return;
+    }
+    const data = {};
+    this.documents.forEach((document, path) => {
+      data[path] = document.body;
+    });
+    fs.writeFileSync(this.file, JSON.stringify(data));
+  }
+
+  etag(body) {
+    return `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+  }
+
+  start() {
+    const server = http.createServer((request, response) => this.handle(request, response));
+    server.listen(this.port, () => {
+      console.log(`Sync stand-in server listening on http://localhost:${this.port}/`);
+      if (this.user) {
+        console.log(`Requests must authenticate as "${this.user}"`);
+      } else if (this.token) {
+        console.log('Requests must send the access token');
+      }
+    });
+    return server;
+  }
+
+  handle(request, response) {
+    const path = new URL(request.url, 'http://localhost').pathname;
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, If-Match, If-None-Match');
+    response.setHeader('Access-Control-Expose-Headers', 'ETag');
+
+    if (request.method === 'OPTIONS') {
+      return this.send(request, response, 204);
+    }
+    if (!this.isAuthorized(request)) {
+      response.setHeader('WWW-Authenticate', this.token ? 'Bearer' : 'Basic realm="HiLite sync"');
+      return this.send(request, response, 401);
+    }
+
+    const current = this.documents.get(path);
+    switch (request.method) {
+      case 'GET':
+        if (!current) {
+          return this.send(request, response, 404);
+        }
+        response.setHeader('ETag', current.etag);
+        response.setHeader('Content-Type', 'application/json');
+        return this.send(request, response, 200, current.body);
+      case 'PUT':
+        if (!this.preconditionsMet(request, current)) {
+          return this.send(request, response, 412);
+        }
+        return this.readBody(request).then(body => {
+          const etag = this.etag(body);
+          this.documents.set(path, { body: body, etag: etag });
+          this.save();
+          response.setHeader('ETag', etag);
+          this.send(request, response, current ? 204 : 201);
+        });
+      case 'DELETE':
+        if (!current) {
+          return this.send(request, response, 404);
+        }
+        this.documents.delete(path);
+        this.save();
+        return this.send(request, response, 204);
+      default:
+        return this.send(request, response, 405);
+    }
+  }
+
+  isAuthorized(request) {
+    if (this.token) {
+      return request.headers.authorization === `Bearer ${this.token}`;
+    }
+    if (!this.user) {
+      return true;
+    }
+    const expected = 'Basic ' + Buffer.from(`${this.user}:${this.password}`).toString('base64');
+    return request.headers.authorization === expected;
+  }
+
+  /**
+   * If-Match must name the current version; If-None-Match: * requires that there is none yet
+   */
+  preconditionsMet(request, current) {
+    const ifMatch = request.headers['if-match'];
+    const ifNoneMatch = request.headers['if-none-match'];
+    if (ifMatch && (!current || (ifMatch !== '*' && ifMatch !== current.etag))) {
+      return false;
+    }
+    if (ifNoneMatch === '*' && current) {
+      return false;
+    }
+    return true;
+  }
+
+  readBody(request) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      request.on('data', chunk => chunks.push(chunk));
+      request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      request.on('error', reject);
+    });
+  }
+
+  send(request, response, status, body = '') {
+    response.statusCode = status;
+    response.end(body);
+    console.log(`${request.method} ${request.url} -> ${status}`);
+  }
+}
+
+/**
+ * Read --name value pairs from the command line
+ */
+function parseArguments(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    options[args[i].replace(/^--/, '')] = args[i + 1];
+  }
+  return {
+    port: parseInt(options.port, 10) || undefined,
+    user: options.user,
+    password: options.password,
+    token: options.token,
+    file: options.file
+  };
+}
+
+if (require.main === module) {
+  new SyncStandInServer(parseArguments(process.argv.slice(2))).start();
+}
+
+module.exports = { SyncStandInServer };
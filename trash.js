@@ -0,0 +1,273 @@
+/**
+ * HiLite - Trash
+ * Clears highlights by page, domain, date range, color or tag. Whatever a clear removes is first
+ * kept as a snapshot under trash:<id>, for as long as the trashRetentionDays setting says, so it
+ * can be restored. A filter is { url, domain, from, to, color, tag }; every part is optional and
+ * a highlight must match all the parts given. The storage dashboard's clean-ups are kept the same
+ * way, with { cleanup } naming the clean-up in place of a filter.
+ */
+
+class HighlightTrash {
+  constructor(store) {
+    this.store = store;
+    this.dayLength = 24 * 60 * 60 * 1000;
+    this.purgeInterval = 60 * 60 * 1000;
+    this.queue = Promise.resolve(); // trash operations run one at a time, see run()
+  }
+
+  /**
+   * Run a task after the ones before it. saveTrashEntry and removeTrashEntries rewrite the whole
+   * index, so two overlapping changes would lose one of them.
+   */
+  run(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Drop expired snapshots now, every hour and whenever the retention period changes
+   */
+  start() {
+    browser.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && this.store.settingsChanges(changes).trashRetentionDays !== undefined) {
+        this.purge();
+      }
+    });
+    setInterval(() => this.purge(), this.purgeInterval);
+    this.purge();
+  }
+
+  /**
+   * Check whether a page's highlight matches a filter
+   */
+  matches(url, record, filter) {
+    if (filter.url && url !== filter.url) {
+      return false;
+    }
+    if (filter.domain) {
+      const domain = filter.domain.toLowerCase().replace(/^www\./, '');
+      let hostname;
+      try {
+        hostname = new URL(url).hostname.replace(/^www\./, '');
+      } catch (error) {
+        return false;
+      }
+      if (hostname !== domain && !hostname.endsWith('.' + domain)) {
+        return false;
+      }
+    }
+    const time = record.timestamp || record.updatedAt || 0;
+    if ((filter.from && time < filter.from) || (filter.to && time > filter.to)) {
+      return false;
+    }
+    if (filter.color && (record.color || '').toLowerCase() !== filter.color.toLowerCase()) {
+      return false;
+    }
+    if (filter.tag && !(record.tags || []).includes(filter.tag)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * The highlights a filter matches, keyed by url
+   */
+  select(pages, filter) {
+    const selected = {};
+    Object.entries(pages).forEach(([url, records]) => {
+      const matched = records.filter(record => this.matches(url, record, filter));
+      if (matched.length > 0) {
+        selected[url] = matched;
+      }
+    });
+    return selected;
+  }
+
+  /**
+   * Count what a clear would remove
+   */
+  async preview(filter) {
+    try {
+      const selected = this.select(await this.store.getAllPages(), filter || {});
+      return {
+        success: true,
+        pages: Object.keys(selected).length,
+        highlights: Object.values(selected).reduce((sum, records) => sum + records.length, 0)
+      };
+    } catch (error) {
+      console.error('Error previewing clear:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Move the highlights a filter matches to the trash. Nothing is removed unless the snapshot was saved.
+   */
+  clear(filter) {
+    filter = filter || {};
+    return this.discard(filter, pages => {
+      const remaining = {};
+      Object.entries(this.select(pages, filter)).forEach(([url, selected]) => {
+        const removed = new Set(selected.map(record => record.id));
+        remaining[url] = pages[url].filter(record => !removed.has(record.id));
+      });
+      return remaining;
+    });
+  }
+
+  /**
+   * Save changed pages, first moving the highlights they no longer hold to the trash, for clears
+   * a filter can't describe such as the storage dashboard's clean-ups. change(pages) returns
+   * url -> the records to keep for each page it changes; filter is how the trash lists the clear.
+   */
+  discard(filter, change) {
+    return this.run(async () => {
+      try {
+        const pages = await this.store.getAllPages();
+        const remaining = change(pages);
+        const selected = {};
+        Object.entries(remaining).forEach(([url, records]) => {
+          const kept = new Set(records.map(record => record.id));
+          const removed = (pages[url] || []).filter(record => !kept.has(record.id));
+          if (removed.length > 0) {
+            selected[url] = removed;
+          }
+        });
+        const urls = Object.keys(selected);
+        const count = urls.reduce((sum, url) => sum + selected[url].length, 0);
+        if (count === 0) {
+          return { success: true, pages: 0, highlights: 0 };
+        }
+
+        const entry = {
+          id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+          createdAt: Date.now(),
+          filter: filter,
+          count: count,
+          pageCount: urls.length,
+          pages: selected
+        };
+        await this.store.saveTrashEntry(entry);
+        await this.store.savePages(remaining);
+        await this.dropExpired();
+
+        console.log(`Moved ${count} highlights from ${urls.length} pages to the trash`);
+        return { success: true, pages: urls.length, highlights: count, trashId: entry.id };
+      } catch (error) {
+        console.error('Error clearing highlights:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * List the snapshots in the trash, newest first, with when each expires
+   */
+  list() {
+    return this.run(async () => {
+      try {
+        await this.dropExpired();
+        const retentionDays = await this.store.getSetting('trashRetentionDays');
+        const index = await this.store.getTrashIndex();
+        const entries = Object.entries(index)
+          .map(([id, summary]) => Object.assign({ id: id, expiresAt: summary.createdAt + retentionDays * this.dayLength }, summary))
+          .sort((a, b) => b.createdAt - a.createdAt);
+        return { success: true, retentionDays: retentionDays, entries: entries };
+      } catch (error) {
+        console.error('Error listing the trash:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Put a snapshot's highlights back on their pages, next to any made since, and take it out of the trash
+   */
+  restore(id) {
+    return this.run(async () => {
+      try {
+        const entry = await this.store.getTrashEntry(id);
+        if (!entry) {
+          return { success: false, error: 'This snapshot is no longer in the trash' };
+        }
+
+        const urls = Object.keys(entry.pages);
+        const current = await this.store.area.get(urls.map(url => this.store.pageKey(url)));
+        const changed = {};
+        let count = 0;
+        urls.forEach(url => {
+          const records = current[this.store.pageKey(url)] || [];
+          const ids = new Set(records.map(record => record.id));
+          // A fresh change time, or sync would treat the restored highlights as deleted again
+          const restored = entry.pages[url]
+            .filter(record => !ids.has(record.id))
+            .map(record => Object.assign({}, record, { updatedAt: Date.now() }));
+          if (restored.length > 0) {
+            changed[url] = records.concat(restored);
+            count += restored.length;
+          }
+        });
+
+        if (Object.keys(changed).length > 0) {
+          await this.store.savePages(changed);
+        }
+        await this.store.removeTrashEntries([id]);
+        console.log(`Restored ${count} highlights from the trash`);
+        return { success: true, pages: Object.keys(changed).length, highlights: count };
+      } catch (error) {
+        console.error('Error restoring from the trash:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Delete snapshots for good; all of them without ids
+   */
+  remove(ids) {
+    return this.run(async () => {
+      try {
+        await this.store.removeTrashEntries(ids || Object.keys(await this.store.getTrashIndex()));
+        return { success: true };
+      } catch (error) {
+        console.error('Error emptying the trash:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Delete the snapshots older than the retention period
+   */
+  purge() {
+    return this.run(() => this.dropExpired());
+  }
+
+  /**
+   * Delete expired snapshots, and tidy up after trash changes that overlapped before they were run
+   * one at a time: snapshots missing from the index and index entries whose snapshot is gone.
+   * Only call it from a task already running in the queue.
+   */
+  async dropExpired() {
+    try {
+      const cutoff = Date.now() - (await this.store.getSetting('trashRetentionDays')) * this.dayLength;
+      const everything = await this.store.area.get(null);
+      const index = everything[this.store.trashIndexKey] || {};
+      const expired = Object.keys(index).filter(id => index[id].createdAt < cutoff);
+      const missing = Object.keys(index).filter(id => !expired.includes(id) && !everything[this.store.trashPrefix + id]);
+      const unlisted = Object.keys(everything)
+        .filter(key => key.startsWith(this.store.trashPrefix))
+        .map(key => key.slice(this.store.trashPrefix.length))
+        .filter(id => !index[id]);
+
+      const ids = expired.concat(missing, unlisted);
+      if (ids.length > 0) {
+        await this.store.removeTrashEntries(ids);
+        console.log(`Removed ${expired.length} expired snapshots from the trash, ${missing.length + unlisted.length} left over`);
+      }
+    } catch (error) {
+      console.error('Error purging the trash:', error);
+    }
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * HiLite - URL Normalization
+ * Turns page URLs into the keys highlights are stored under, so the same article reached
+ * through tracking links, fragments or AMP/mobile variants shares one set of highlights
+ */
+
+class UrlNormalizer {
+  constructor(options = {}) {
+    this.options = Object.assign({}, UrlNormalizer.defaults, options);
+    this.trackingParams = [
+      /^utm_/, /^mc_(cid|eid)$/, /^(fbclid|gclid|gclsrc|dclid|msclkid|yclid|twclid|igshid|ttclid|wbraid|gbraid)$/,
+      /^_ga$/, /^_gl$/, /^_hs(enc|mi)$/, /^mkt_tok$/, /^oly_(anon|enc)_id$/, /^vero_(conv|id)$/,
+      /^(ref_src|ref_url|cmpid|ncid|sr_share|spm|scid)$/
+    ];
+  }
+
+  /**
+   * Default settings, stored as the urlNormalization setting.
+   * rules: [{ domain, keepFragment, keepParams: [], stripParams: [], useCanonical }]
+   */
+  static get defaults() {
+    return {
+      enabled: true,
+      stripFragments: true,
+      stripTracking: true,
+      useCanonical: true,
+      rules: []
+    };
+  }
+
+  /**
+   * Parse per-domain rules written one per line, e.g.
+   *   example.com keep-fragment keep=page,id strip=ref no-canonical
+   */
+  static parseRules(text) {
+    return String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(line => {
+      const [domain, ...options] = line.split(/\s+/);
+      const rule = { domain: domain.toLowerCase() };
+      options.forEach(option => {
+        const [name, value = ''] = option.split('=');
+        const params = value.split(',').filter(Boolean);
+        if (name === 'keep-fragment') {
+          rule.keepFragment = true;
+        } else if (name === 'strip-fragment') {
+          rule.keepFragment = false;
+        } else if (name === 'canonical') {
+          rule.useCanonical = true;
+        } else if (name === 'no-canonical') {
+          rule.useCanonical = false;
+        } else if (name === 'keep') {
+          rule.keepParams = params;
+        } else if (name === 'strip') {
+          rule.stripParams = params;
+        }
+      });
+      return rule;
+    });
+  }
+
+  /**
+   * Write rules back in the one-per-line format read by parseRules
+   */
+  static formatRules(rules) {
+    return (rules || []).map(rule => {
+      const parts = [rule.domain];
+      if (rule.keepFragment !== undefined) {
+        parts.push(rule.keepFragment ? 'keep-fragment' : 'strip-fragment');
+      }
+      if (rule.useCanonical !== undefined) {
+        parts.push(rule.useCanonical ? 'canonical' : 'no-canonical');
+      }
+      if (rule.keepParams && rule.keepParams.length > 0) {
+        parts.push(`keep=${rule.keepParams.join(',')}`);
+      }
+      if (rule.stripParams && rule.stripParams.length > 0) {
+        parts.push(`strip=${rule.stripParams.join(',')}`);
+      }
+      return parts.join(' ');
+    }).join('\n');
+  }
+
+  /**
+   * Normalize a page URL. A canonical URL from the page replaces it when allowed and plausible.
+   * Non-http(s) URLs and unparsable input are returned unchanged.
+   */
+  normalize(url, canonicalUrl = null) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return url;
+    }
+    if (!this.options.enabled || !/^https?:$/.test(parsed.protocol)) {
+      return url;
+    }
+
+    let rule = this.ruleFor(parsed.hostname);
+    const useCanonical = rule.useCanonical !== undefined ? rule.useCanonical : this.options.useCanonical;
+    if (useCanonical && canonicalUrl) {
+      const canonical = this.parseCanonical(canonicalUrl, parsed);
+      if (canonical) {
+        parsed = canonical;
+        rule = this.ruleFor(parsed.hostname);
+      }
+    }
+
+    const keepFragment = rule.keepFragment !== undefined ? rule.keepFragment : !this.options.stripFragments;
+    if (!keepFragment) {
+      parsed.hash = '';
+    }
+
+    const keepParams = rule.keepParams || [];
+    const stripParams = rule.stripParams || [];
+    // Filter the raw pairs rather than using searchParams, which would re-encode the rest of the query
+    const pairs = parsed.search.slice(1).split('&').filter(pair => {
+      if (!pair) {
+        return false;
+      }
+      const name = this.decodeParam(pair.split('=')[0]);
+      if (keepParams.includes(name)) {
+        return true;
+      }
+      return !stripParams.includes(name) && !(this.options.stripTracking && this.isTrackingParam(name));
+    });
+    parsed.search = pairs.join('&');
+
+    return parsed.href;
+  }
+
+  /**
+   * Check whether a query parameter only tracks where a visit came from
+   */
+  isTrackingParam(name) {
+    const lower = name.toLowerCase();
+    return this.trackingParams.some(pattern => pattern.test(lower));
+  }
+
+  decodeParam(name) {
+    try {
+      return decodeURIComponent(name.replace(/\+/g, ' '));
+    } catch (error) {
+      return name;
+    }
+  }
+
+  /**
+   * Find the rule for a hostname; a rule for example.com also covers its subdomains
+   */
+  ruleFor(hostname) {
+    const host = hostname.toLowerCase();
+    const matches = (this.options.rules || []).filter(rule => {
+      const domain = String(rule.domain || '').toLowerCase().replace(/^\*?\./, '');
+      return domain && (host === domain || host.endsWith('.' + domain));
+    });
+    // Prefer the most specific domain
+    matches.sort((a, b) => b.domain.length - a.domain.length);
+    return matches[0] || {};
+  }
+
+  /**
+   * Resolve a <link rel="canonical"> href, ignoring values that would merge unrelated pages,
+   * such as a canonical pointing at the site root from an article. Only the page's own site
+   * counts: any page can declare a canonical, and another site's would load that site's
+   * highlights and notes into this page.
+   */
+  parseCanonical(canonicalUrl, pageUrl) {
+    try {
+      const canonical = new URL(canonicalUrl, pageUrl.href);
+      if (!/^https?:$/.test(canonical.protocol)) {
+        return null;
+      }
+      if (this.siteHost(canonical.hostname) !== this.siteHost(pageUrl.hostname)) {
+        return null;
+      }
+      if (canonical.pathname === '/' && pageUrl.pathname !== '/') {
+        return null;
+      }
+      return canonical;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * A hostname without the www, mobile and AMP prefixes, so m.example.com and www.example.com
+   * count as the same site but other subdomains don't
+   */
+  siteHost(hostname) {
+    return hostname.toLowerCase().replace(/^(www|m|mobile|amp)\./, '');
+  }
+}
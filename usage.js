@@ -0,0 +1,234 @@
+/**
+ * HiLite - Storage Usage
+ * Measures what the stored data takes per page and domain, watches the quotas it counts against,
+ * and cleans up: pages that haven't changed in a while, highlights that couldn't be placed, and
+ * duplicates, e.g. left by importing with "Keep both". What a clean-up removes goes to the trash.
+ */
+
+class StorageUsage {
+  constructor(store, trash) {
+    this.store = store;
+    this.trash = trash; // HighlightTrash; clean-ups go through it so they can be restored
+    this.warningRatio = 0.8;
+    this.criticalRatio = 0.95;
+    this.syncQuota = 102400; // storage.sync's total quota in Firefox, see StorageSyncBackend
+  }
+
+  /**
+   * Size of a stored item in bytes, as JSON the way the browser keeps it
+   */
+  byteSize(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+  }
+
+  /**
+   * Usage of every page, domain and quota, and what the cleanup actions would remove
+   */
+  async getReport() {
+    const everything = await this.store.area.get(null);
+    const breakdown = { highlights: 0, shared: 0, trash: 0, other: 0 };
+    const pages = [];
+
+    Object.entries(everything).forEach(([key, value]) => {
+      const bytes = this.byteSize(key, value);
+      if (this.store.isPageKey(key) && Array.isArray(value)) {
+        breakdown.highlights += bytes;
+        const url = this.store.urlFromKey(key);
+        const summary = this.store.summarize(value);
+        pages.push({
+          url: url,
+          domain: this.domainOf(url),
+          title: summary.title,
+          count: value.length,
+          bytes: bytes,
+          updatedAt: summary.updatedAt,
+          orphaned: value.filter(record => record.orphaned).length,
+          duplicates: this.countDuplicates(value)
+        });
+      } else if (key === this.store.indexKey) {
+        breakdown.highlights += bytes;
+      } else if (key.startsWith(this.store.sharedPrefix) || key === this.store.sharedIndexKey) {
+        breakdown.shared += bytes;
+      } else if (key.startsWith(this.store.trashPrefix) || key === this.store.trashIndexKey) {
+        breakdown.trash += bytes;
+      } else {
+        breakdown.other += bytes;
+      }
+    });
+
+    const totalStorageSize = Object.values(breakdown).reduce((sum, bytes) => sum + bytes, 0);
+    const quotas = await this.getQuotas(totalStorageSize);
+    return {
+      success: true,
+      totalPages: pages.length,
+      totalHighlights: pages.reduce((sum, page) => sum + page.count, 0),
+      totalStorageSize: totalStorageSize,
+      breakdown: breakdown,
+      domains: this.groupByDomain(pages),
+      pages: pages,
+      orphaned: pages.reduce((sum, page) => sum + page.orphaned, 0),
+      duplicates: pages.reduce((sum, page) => sum + page.duplicates, 0),
+      quotas: quotas,
+      warnings: quotas.filter(quota => quota.level !== 'ok').map(quota => this.describeQuota(quota))
+    };
+  }
+
+  domainOf(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '') || url;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * Per-domain totals, largest first
+   */
+  groupByDomain(pages) {
+    const domains = new Map();
+    pages.forEach(page => {
+      const domain = domains.get(page.domain) || { domain: page.domain, pages: 0, highlights: 0, bytes: 0 };
+      domain.pages++;
+      domain.highlights += page.count;
+      domain.bytes += page.bytes;
+      domains.set(page.domain, domain);
+    });
+    return Array.from(domains.values()).sort((a, b) => b.bytes - a.bytes);
+  }
+
+  /**
+   * The quotas stored data counts against. Firefox doesn't give storage.local a fixed quota, so
+   * the origin's quota from the Storage API stands in for it; Firefox Sync only counts when used.
+   */
+  async getQuotas(usedBytes) {
+    const quotas = [];
+    let limit = browser.storage.local.QUOTA_BYTES || null;
+    if (!limit && navigator.storage && navigator.storage.estimate) {
+      try {
+        limit = (await navigator.storage.estimate()).quota || null;
+      } catch (error) {
+        console.log('Storage estimate not available:', error);
+      }
+    }
+    if (limit) {
+      quotas.push(this.quota('local', 'Browser storage', usedBytes, limit));
+    }
+
+    const sync = await this.store.getSetting('sync');
+    if (sync && sync.backend === 'storage-sync') {
+      const items = await browser.storage.sync.get(null);
+      const used = Object.entries(items).reduce((sum, [key, value]) => sum + this.byteSize(key, value), 0);
+      quotas.push(this.quota('sync', 'Firefox Sync', used, browser.storage.sync.QUOTA_BYTES || this.syncQuota));
+    }
+    return quotas;
+  }
+
+  quota(id, name, used, limit) {
+    const ratio = used / limit;
+    const level = ratio >= this.criticalRatio ? 'critical' : ratio >= this.warningRatio ? 'warning' : 'ok';
+    return { id: id, name: name, used: used, limit: limit, ratio: ratio, level: level };
+  }
+
+  describeQuota(quota) {
+    const percent = Math.round(quota.ratio * 100);
+    return quota.level === 'critical'
+      ? `${quota.name} is ${percent}% full; new highlights may not be saved. Clean up old or duplicate highlights, or empty the trash.`
+      : `${quota.name} is ${percent}% full`;
+  }
+
+  /**
+   * Two records are duplicates when they mark the same occurrence of the same text
+   */
+  duplicateKey(record) {
+    const quote = record.anchor && record.anchor.quote;
+    return JSON.stringify(quote ? [quote.exact, quote.prefix || '', quote.suffix || ''] : [record.text, '', '']);
+  }
+
+  countDuplicates(records) {
+    return records.length - new Set(records.map(record => this.duplicateKey(record))).size;
+  }
+
+  /**
+   * Move every page whose highlights haven't changed in the given number of days to the trash
+   */
+  async deleteOlderThan(days) {
+    if (!(days > 0)) {
+      return { success: false, error: 'Enter a number of days' };
+    }
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    return this.trash.discard({ cleanup: 'olderThan', days: days }, pages => {
+      const remaining = {};
+      Object.entries(pages).forEach(([url, records]) => {
+        if (this.store.summarize(records).updatedAt < cutoff) {
+          remaining[url] = [];
+        }
+      });
+      return remaining;
+    });
+  }
+
+  /**
+   * Move the highlights flagged as not found on their page the last time it was open to the trash
+   */
+  async deleteOrphaned() {
+    return this.trash.discard({ cleanup: 'orphaned' }, pages => {
+      const remaining = {};
+      Object.entries(pages).forEach(([url, records]) => {
+        if (records.some(record => record.orphaned)) {
+          remaining[url] = records.filter(record => !record.orphaned);
+        }
+      });
+      return remaining;
+    });
+  }
+
+  /**
+   * Merge duplicate highlights into the most recently changed one, keeping the notes, tags and
+   * collections of the others. The copies merged away go to the trash.
+   */
+  async compactDuplicates() {
+    return this.trash.discard({ cleanup: 'duplicates' }, pages => {
+      const remaining = {};
+      Object.entries(pages).forEach(([url, records]) => {
+        if (this.countDuplicates(records) === 0) {
+          return;
+        }
+        const groups = new Map();
+        records.forEach(record => {
+          const key = this.duplicateKey(record);
+          groups.set(key, (groups.get(key) || []).concat([record]));
+        });
+        const kept = new Set(Array.from(groups.values()).map(group => this.mergeGroup(group)));
+        remaining[url] = records.filter(record => kept.has(record));
+      });
+      return remaining;
+    });
+  }
+
+  /**
+   * Fold a group of duplicates into the one changed last and return it
+   */
+  mergeGroup(group) {
+    if (group.length === 1) {
+      return group[0];
+    }
+    const version = record => record.updatedAt || record.timestamp || 0;
+    const kept = group.reduce((latest, record) => (version(record) > version(latest) ? record : latest));
+    const union = field => Array.from(new Set(group.flatMap(record => record[field] || [])));
+
+    // Notes that differ are joined, the kept highlight's first
+    const notes = Array.from(new Set([kept].concat(group).map(record => record.note).filter(Boolean)));
+    if (notes.length > 0) {
+      kept.note = notes.join('\n\n');
+    }
+    ['tags', 'collections'].forEach(field => {
+      const values = union(field);
+      if (values.length > 0) {
+        kept[field] = values;
+      }
+    });
+    kept.timestamp = Math.min(...group.map(record => record.timestamp || version(record)));
+    kept.updatedAt = Date.now();
+    return kept;
+  }
+}